@@ -0,0 +1,115 @@
+const config = require('../config');
+const AIService = require('../aiService');
+const CircuitBreaker = require('../circuitBreaker');
+const { AIProviderError } = require('../aiProviders');
+
+const { STATES } = CircuitBreaker;
+const messages = [{ role: 'user', content: 'hello' }];
+
+describe('AIService circuit breaker handling', () => {
+  let service;
+  let provider;
+  let breaker;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    service = new AIService({ provider: 'mock' });
+    provider = service.getProvider();
+    breaker = service.getCircuitBreaker(provider.name);
+
+    // Half-open: the reset timeout has passed since the circuit opened
+    breaker.state = STATES.OPEN;
+    breaker.openedAt = Date.now() - breaker.resetTimeoutMs;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a request-specific error on the trial closes the circuit', async () => {
+    jest.spyOn(provider, 'complete').mockRejectedValueOnce(
+      new AIProviderError('Bad request', { provider: 'mock', status: 400 })
+    );
+
+    const failed = await service.complete(messages);
+    expect(failed.ok).toBe(false);
+    expect(breaker.state).toBe(STATES.CLOSED);
+
+    const retried = await service.complete(messages);
+    expect(retried.ok).toBe(true);
+  });
+
+  test('a provider failure on the trial reopens the circuit', async () => {
+    jest.spyOn(provider, 'complete').mockRejectedValueOnce(
+      new AIProviderError('Unauthorized', { provider: 'mock', status: 401 })
+    );
+
+    await service.complete(messages);
+    expect(breaker.state).toBe(STATES.OPEN);
+    expect(breaker.trialInFlight).toBe(false);
+  });
+
+  test('an unexpected exception still releases the trial', async () => {
+    jest.spyOn(provider, 'wrapError').mockImplementationOnce(() => {
+      throw new Error('boom');
+    });
+    jest.spyOn(provider, 'complete').mockRejectedValueOnce(new Error('network'));
+
+    await expect(service.complete(messages)).rejects.toThrow('boom');
+    expect(breaker.trialInFlight).toBe(false);
+  });
+});
+
+describe('AIService provider credentials', () => {
+  const saved = { ...config };
+
+  afterEach(() => {
+    Object.assign(config, saved);
+    jest.restoreAllMocks();
+  });
+
+  test('a per-group provider uses its own credentials', () => {
+    Object.assign(config, { AI_API_KEY: 'global-key', OPENAI_API_KEY: 'openai-key', OPENAI_API_URL: '' });
+    const service = new AIService({ provider: 'chatbot' });
+
+    const provider = service.getProvider('openai');
+    expect(provider.apiKey).toBe('openai-key');
+    expect(provider.apiUrl).toBe('https://api.openai.com/v1/chat/completions');
+  });
+
+  test('the global settings win for the global provider', () => {
+    Object.assign(config, { AI_API_KEY: 'global-key', OPENAI_API_KEY: 'openai-key' });
+    const service = new AIService({ provider: 'openai' });
+
+    expect(service.getProvider().apiKey).toBe('global-key');
+  });
+
+  test('config validation accepts the credentials the service uses', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Object.assign(config, {
+      TELEGRAM_BOT_TOKEN: 'token',
+      AI_PROVIDER: 'openai',
+      AI_API_URL: '',
+      AI_API_KEY: '',
+      OPENAI_API_URL: '',
+      OPENAI_API_KEY: 'openai-key'
+    });
+
+    expect(new AIService().isConfigured('openai')).toBe(true);
+    expect(config.validate()).toBe(true);
+
+    config.OPENAI_API_KEY = '';
+    expect(new AIService().isConfigured('openai')).toBe(false);
+    expect(() => config.validate()).toThrow();
+  });
+
+  test('openai without a key or URL is not configured', () => {
+    Object.assign(config, { AI_API_URL: '', AI_API_KEY: '', OPENAI_API_URL: '', OPENAI_API_KEY: '' });
+    const service = new AIService({ provider: 'chatbot' });
+
+    expect(service.isConfigured('openai')).toBe(false);
+    expect(service.isConfigured('ollama')).toBe(true);
+  });
+});
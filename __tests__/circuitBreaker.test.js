@@ -0,0 +1,92 @@
+const CircuitBreaker = require('../circuitBreaker');
+
+const { STATES } = CircuitBreaker;
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    breaker = new CircuitBreaker('test', { failureThreshold: 3, resetTimeoutMs: 5000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const open = () => {
+    for (let i = 0; i < 3; i++) breaker.recordFailure();
+  };
+
+  test('stays closed below the failure threshold', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    expect(breaker.state).toBe(STATES.CLOSED);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('a success resets the consecutive failure count', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    expect(breaker.state).toBe(STATES.CLOSED);
+  });
+
+  test('opens after the threshold and rejects until the timeout passes', () => {
+    open();
+    expect(breaker.state).toBe(STATES.OPEN);
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.retryAfterMs()).toBe(5000);
+
+    now += 4999;
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.retryAfterMs()).toBe(1);
+  });
+
+  test('lets exactly one trial through when half-open', () => {
+    open();
+    now += 5000;
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe(STATES.HALF_OPEN);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('a successful trial closes the circuit', () => {
+    open();
+    now += 5000;
+    breaker.canRequest();
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe(STATES.CLOSED);
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('a failed trial reopens the circuit for another timeout', () => {
+    open();
+    now += 5000;
+    breaker.canRequest();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe(STATES.OPEN);
+    expect(breaker.canRequest()).toBe(false);
+    now += 5000;
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('a trial released without an outcome lets the next one through', () => {
+    open();
+    now += 5000;
+    breaker.canRequest();
+    breaker.releaseTrial();
+
+    expect(breaker.state).toBe(STATES.HALF_OPEN);
+    expect(breaker.canRequest()).toBe(true);
+  });
+});
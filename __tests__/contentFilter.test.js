@@ -0,0 +1,158 @@
+const ContentFilter = require('../contentFilter');
+
+const { normalize, parseFilter, hasNestedQuantifier } = ContentFilter;
+
+function filter(pattern, fields = {}) {
+  return { id: 1, pattern, type: 'word', action: 'delete', match: 'word', ...fields };
+}
+
+describe('normalize', () => {
+  test('folds accents, fullwidth and styled letters', () => {
+    expect(normalize('Ｃａｆé 𝐒𝐏𝐀𝐌')).toBe('cafe spam');
+  });
+
+  test('drops invisible characters', () => {
+    expect(normalize('sp\u200Bam\u00AD')).toBe('spam');
+  });
+
+  test('maps look-alike letters from other scripts', () => {
+    expect(normalize('ѕрам')).toBe('spam');
+  });
+
+  test('folds leet digits and symbols', () => {
+    expect(normalize('fr33 $p@m')).toBe('free spam');
+  });
+
+  test('can leave leet symbols alone', () => {
+    expect(normalize('fr33 $p@m!', { symbols: false })).toBe('free $p@m!');
+  });
+});
+
+describe('parseFilter', () => {
+  test('parses a word with its options in any order', () => {
+    expect(parseFilter('free money substring warn')).toEqual({
+      filter: { pattern: 'free money', type: 'word', action: 'warn', match: 'substring' }
+    });
+  });
+
+  test('defaults to delete and word matching', () => {
+    expect(parseFilter('spam').filter).toMatchObject({ action: 'delete', match: 'word' });
+  });
+
+  test('keeps an option word that is the whole pattern', () => {
+    expect(parseFilter('mute').filter.pattern).toBe('mute');
+  });
+
+  test('parses a regex with options', () => {
+    expect(parseFilter('/t\\.me\\/\\w+/ mute').filter).toMatchObject({
+      pattern: 't\\.me\\/\\w+',
+      type: 'regex',
+      action: 'mute'
+    });
+  });
+
+  test('rejects invalid input', () => {
+    expect(parseFilter('').error).toBeDefined();
+    expect(parseFilter('/[a-/').error).toMatch(/^Invalid regex/);
+    expect(parseFilter('/spam/ explode').error).toMatch(/^Unknown option/);
+    expect(parseFilter('x'.repeat(201)).error).toMatch(/at most/);
+    expect(parseFilter('\u200B\u200B').error).toMatch(/no letters/);
+  });
+
+  test('rejects regexes with nested quantifiers', () => {
+    expect(parseFilter('/(a+)+$/').error).toMatch(/repeat a group/);
+  });
+});
+
+describe('hasNestedQuantifier', () => {
+  test('flags groups that repeat a repeating pattern', () => {
+    expect(hasNestedQuantifier('(a+)+$')).toBe(true);
+    expect(hasNestedQuantifier('(\\w+\\s?)*$')).toBe(true);
+    expect(hasNestedQuantifier('((ab)*c)+')).toBe(true);
+    expect(hasNestedQuantifier('(?:x[a-z]{2,})*')).toBe(true);
+    expect(hasNestedQuantifier('(.*a){20}')).toBe(true);
+  });
+
+  test('allows ordinary patterns', () => {
+    expect(hasNestedQuantifier('t\\.me/\\w+')).toBe(false);
+    expect(hasNestedQuantifier('(free|cheap) (money|crypto)+')).toBe(false);
+    expect(hasNestedQuantifier('(a+)?b')).toBe(false);
+    expect(hasNestedQuantifier('(ab+){1}')).toBe(false);
+    expect(hasNestedQuantifier('[(+]+\\(x+\\)+')).toBe(false);
+  });
+});
+
+describe('ContentFilter.findMatches', () => {
+  const contentFilter = new ContentFilter();
+  const matches = (text, filters) => contentFilter.findMatches(text, filters).map(f => f.pattern);
+
+  test('matches whole words only by default', () => {
+    expect(matches('that is a scam', [filter('scam')])).toEqual(['scam']);
+    expect(matches('scampi for dinner', [filter('scam')])).toEqual([]);
+  });
+
+  test('matches inside words in substring mode', () => {
+    expect(matches('scampi for dinner', [filter('scam', { match: 'substring' })])).toEqual(['scam']);
+  });
+
+  test('matches a word followed by punctuation', () => {
+    const filters = [filter('scam'), filter('buy followers')];
+
+    expect(matches('scam!', filters)).toEqual(['scam']);
+    expect(matches('this is a scam!!', filters)).toEqual(['scam']);
+    expect(matches('scam|', filters)).toEqual(['scam']);
+    expect(matches('scam$ and scam@', filters)).toEqual(['scam']);
+    expect(matches('buy followers!', filters)).toEqual(['buy followers']);
+  });
+
+  test('sees through leet speak, repeats and spacing', () => {
+    const filters = [filter('spam')];
+
+    expect(matches('$p@m', filters)).toEqual(['spam']);
+    expect(matches('5pam', filters)).toEqual(['spam']);
+    expect(matches('sppaaam', filters)).toEqual(['spam']);
+    expect(matches('s.p.a.m', filters)).toEqual(['spam']);
+    expect(matches('s p a m!', filters)).toEqual(['spam']);
+  });
+
+  test('matches phrases with or without a space', () => {
+    expect(matches('get freemoney now', [filter('free money')])).toEqual(['free money']);
+  });
+
+  test('tries regex filters on the original text too', () => {
+    const regex = filter('t\\.me/\\w+', { type: 'regex' });
+    expect(matches('join t.me/Channel', [regex])).toHaveLength(1);
+  });
+
+  test('never runs a saved regex with nested quantifiers', () => {
+    const regex = filter('(a+)+$', { type: 'regex' });
+    expect(matches('a'.repeat(40) + '!', [regex])).toEqual([]);
+  });
+
+  test('only runs regex filters on the start of long messages', () => {
+    const regex = filter('needle', { type: 'regex' });
+
+    expect(matches('x '.repeat(100) + 'needle', [regex])).toHaveLength(1);
+    expect(matches('x '.repeat(1000) + 'needle', [regex])).toEqual([]);
+  });
+
+  test('lists every filter tripped unless firstOnly', () => {
+    const filters = [filter('spam'), filter('scam', { id: 2 })];
+
+    expect(contentFilter.findMatches('spam scam', filters)).toHaveLength(2);
+    expect(contentFilter.findMatches('spam scam', filters, true)).toHaveLength(1);
+  });
+});
+
+describe('ContentFilter.check', () => {
+  test('returns a verdict for the first filter tripped', () => {
+    const verdict = new ContentFilter().check({ text: 'total scam!' }, [filter('scam', { action: 'warn' })]);
+
+    expect(verdict).toEqual({
+      type: 'filter',
+      action: 'warn',
+      reason: 'using a banned word',
+      rule: 'filter #1: scam'
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../database');
+
+const GROUP_ID = -1001;
+
+function rows(prefix, count) {
+  return Array.from({ length: count }, (_, i) => ({
+    question: `${prefix} question ${i}`,
+    answer: `${prefix} answer ${i}`,
+    aliases: []
+  }));
+}
+
+describe('Database.importLearnedResponses', () => {
+  let dir;
+  let db;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-db-'));
+    db = new Database(path.join(dir, 'test.db'));
+    await db.ready;
+    await db.addGroup(GROUP_ID, 'Test group');
+  });
+
+  afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('runs two imports at once without either failing', async () => {
+    const [first, second] = await Promise.all([
+      db.importLearnedResponses(GROUP_ID, rows('first', 50)),
+      db.importLearnedResponses(GROUP_ID, rows('second', 50))
+    ]);
+
+    expect(first).toEqual({ added: 50, updated: 0, removed: 0 });
+    expect(second).toEqual({ added: 50, updated: 0, removed: 0 });
+    expect((await db.getLearnedResponses(GROUP_ID)).total).toBe(100);
+  });
+
+  test('a failed import changes nothing and keeps writes made meanwhile', async () => {
+    const broken = [...rows('broken', 20), { question: 'no answer', answer: null, aliases: [] }];
+
+    const [result] = await Promise.all([
+      db.importLearnedResponses(GROUP_ID, broken),
+      db.storeMessage(GROUP_ID, 42, 'hello during import', 7)
+    ]);
+
+    expect(result).toBeNull();
+    expect((await db.getLearnedResponses(GROUP_ID)).total).toBe(0);
+    expect((await db.getRecentMessages(GROUP_ID)).map(m => m.content)).toEqual(['hello during import']);
+  });
+
+  test('merge updates existing questions and adds new phrasings', async () => {
+    await db.importLearnedResponses(GROUP_ID, [{ question: 'Wifi password?', answer: 'old', aliases: [] }]);
+
+    const result = await db.importLearnedResponses(GROUP_ID, [
+      { question: 'wifi password?', answer: 'new', aliases: ['What is the wifi password'] }
+    ]);
+
+    expect(result).toEqual({ added: 0, updated: 1, removed: 0 });
+    const { items } = await db.getLearnedResponses(GROUP_ID);
+    expect(items).toHaveLength(1);
+    expect(items[0].answer).toBe('new');
+    expect(items[0].alias_count).toBe(1);
+  });
+
+  test('merge brings a retired answer back into service', async () => {
+    await db.importLearnedResponses(GROUP_ID, [{ question: 'Opening hours?', answer: 'old', aliases: [], confidence: 0.1 }]);
+    expect(await db.retireLearnedResponses(GROUP_ID, 0.5)).toBe(1);
+
+    const result = await db.importLearnedResponses(GROUP_ID, [{ question: 'opening hours?', answer: '9 to 5', aliases: [] }]);
+
+    expect(result.updated).toBe(1);
+    const { items } = await db.getLearnedResponses(GROUP_ID);
+    expect(items[0].retired_at).toBeNull();
+    expect(items[0].confidence).toBe(1);
+  });
+
+  test('replace removes the group\'s earlier answers', async () => {
+    await db.importLearnedResponses(GROUP_ID, rows('old', 3));
+
+    const result = await db.importLearnedResponses(GROUP_ID, rows('new', 2), 'replace');
+
+    expect(result).toEqual({ added: 2, updated: 0, removed: 3 });
+    expect((await db.getLearnedResponses(GROUP_ID)).total).toBe(2);
+  });
+});
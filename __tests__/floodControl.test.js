@@ -0,0 +1,114 @@
+const FloodControl = require('../floodControl');
+
+const settings = {
+  windowSeconds: 10,
+  maxMessages: 5,
+  maxRepeats: 2,
+  maxMedia: 3,
+  muteMinutes: 5,
+  aiRequestsPerUser: 2,
+  aiWindowMinutes: 60
+};
+
+function message(fields = {}) {
+  return { chat: { id: -100 }, from: { id: 1 }, ...fields };
+}
+
+describe('FloodControl', () => {
+  let now;
+  let flood;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    flood = new FloodControl();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('mutes a user who sends too many messages in the window', () => {
+    for (let i = 0; i < 5; i++) {
+      expect(flood.check(message({ text: `message ${i}` }), settings)).toBeNull();
+    }
+
+    const verdict = flood.check(message({ text: 'one more' }), settings);
+    expect(verdict).toEqual({ type: 'flood', action: 'mute', reason: 'flooding the chat', muteMinutes: 5 });
+  });
+
+  test('forgets messages outside the window', () => {
+    for (let i = 0; i < 5; i++) flood.check(message({ text: `message ${i}` }), settings);
+
+    now += 10000;
+    expect(flood.check(message({ text: 'later' }), settings)).toBeNull();
+  });
+
+  test('detects repeats regardless of case and spacing', () => {
+    flood.check(message({ text: 'Buy now' }), settings);
+    flood.check(message({ text: 'buy  now' }), settings);
+
+    expect(flood.check(message({ text: 'BUY NOW' }), settings).reason).toBe('repeating the same message');
+  });
+
+  test('counts an album as one post', () => {
+    for (let i = 0; i < 8; i++) {
+      const photo = [{ file_unique_id: `p${i}` }];
+      expect(flood.check(message({ photo, media_group_id: 'album' }), settings)).toBeNull();
+    }
+  });
+
+  test('limits stickers and media', () => {
+    for (let i = 0; i < 3; i++) {
+      flood.check(message({ sticker: { file_unique_id: `s${i}` } }), settings);
+    }
+
+    const verdict = flood.check(message({ sticker: { file_unique_id: 's3' } }), settings);
+    expect(verdict.reason).toBe('sending too many stickers or media');
+  });
+
+  test('tracks users separately', () => {
+    for (let i = 0; i < 5; i++) flood.check(message({ text: `message ${i}` }), settings);
+
+    expect(flood.check(message({ from: { id: 2 }, text: 'hi' }), settings)).toBeNull();
+  });
+});
+
+describe('FloodControl.allowAIRequest', () => {
+  let now;
+  let flood;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    flood = new FloodControl();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('allows requests up to the limit and notifies once', () => {
+    expect(flood.allowAIRequest(-100, 1, settings).allowed).toBe(true);
+    expect(flood.allowAIRequest(-100, 1, settings).allowed).toBe(true);
+
+    const first = flood.allowAIRequest(-100, 1, settings);
+    expect(first).toEqual({ allowed: false, retryAfterSeconds: 3600, notify: true });
+    expect(flood.allowAIRequest(-100, 1, settings).notify).toBe(false);
+  });
+
+  test('allows requests again once the window has passed', () => {
+    flood.allowAIRequest(-100, 1, settings);
+    flood.allowAIRequest(-100, 1, settings);
+
+    now += 60 * 60 * 1000;
+    expect(flood.allowAIRequest(-100, 1, settings).allowed).toBe(true);
+  });
+
+  test('is unlimited when the group sets no limit', () => {
+    const unlimited = { ...settings, aiRequestsPerUser: 0 };
+    for (let i = 0; i < 10; i++) {
+      expect(flood.allowAIRequest(-100, 1, unlimited).allowed).toBe(true);
+    }
+  });
+});
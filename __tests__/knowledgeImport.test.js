@@ -0,0 +1,120 @@
+const { parseImportFile, validateImport } = require('../knowledgeImport');
+
+describe('parseImportFile', () => {
+  test('reads CSV with a header row in any column order', () => {
+    const { format, entries } = parseImportFile('faq.csv', 'answer,question\nAt 9,When do we open?\n');
+
+    expect(format).toBe('csv');
+    expect(entries).toEqual([{ line: 2, question: 'When do we open?', aliases: [], answer: 'At 9' }]);
+  });
+
+  test('reads CSV without a header', () => {
+    const { entries } = parseImportFile('faq.csv', 'Q1,A1\nQ2,A2');
+    expect(entries.map(entry => entry.question)).toEqual(['Q1', 'Q2']);
+  });
+
+  test('handles quoted cells, doubled quotes, CRLF and a BOM', () => {
+    const text = '\uFEFFquestion,answer\r\n"Hi, there","Say ""hello""\r\nthen wave"\r\nNext,one\r\n';
+    const { entries } = parseImportFile('faq.csv', text);
+
+    expect(entries[0]).toMatchObject({ line: 2, question: 'Hi, there', answer: 'Say "hello"\r\nthen wave' });
+    expect(entries[1]).toMatchObject({ line: 4, question: 'Next', answer: 'one' });
+  });
+
+  test('splits other phrasings on ||', () => {
+    const { entries } = parseImportFile('faq.csv', 'Wifi?||Wifi password?,hunter2');
+    expect(entries[0]).toMatchObject({ question: 'Wifi?', aliases: ['Wifi password?'] });
+  });
+
+  test('skips blank lines', () => {
+    const { entries } = parseImportFile('faq.csv', 'Q1,A1\n\n , \nQ2,A2\n');
+    expect(entries.map(entry => entry.line)).toEqual([1, 4]);
+  });
+
+  test('reads an /export file and keeps confidence and usage', () => {
+    const text = JSON.stringify({
+      learnedResponses: [{ question: 'Q', answer: 'A', aliases: ['Q2'], confidence: 0.8, usage_count: 3 }]
+    });
+    const { format, entries } = parseImportFile('export.json', text);
+
+    expect(format).toBe('json');
+    expect(entries).toEqual([
+      { line: 1, question: 'Q', answer: 'A', aliases: ['Q2'], confidence: 0.8, usageCount: 3 }
+    ]);
+  });
+
+  test('sniffs JSON when the file name says nothing', () => {
+    const { format, entries } = parseImportFile('upload', '[{"question":"Q","answer":"A"}]');
+    expect(format).toBe('json');
+    expect(entries).toHaveLength(1);
+  });
+
+  test('reports invalid or unexpected JSON', () => {
+    expect(parseImportFile('a.json', '{nope').error).toMatch(/^Invalid JSON/);
+    expect(parseImportFile('a.json', '{"foo":1}').error).toMatch(/Expected/);
+  });
+
+  test('reports an empty CSV file', () => {
+    expect(parseImportFile('a.csv', '\n\n').error).toBe('The file has no rows.');
+  });
+});
+
+describe('validateImport', () => {
+  const entry = (line, question, answer, extra = {}) => ({ line, question, answer, aliases: [], ...extra });
+
+  test('reports malformed rows with their line', () => {
+    const { rows, malformed } = validateImport([
+      entry(1, '', 'A'),
+      entry(2, 'Q', '  '),
+      entry(3, 'x'.repeat(501), 'A'),
+      entry(4, 'Q', 'x'.repeat(4001)),
+      entry(5, 'Fine', 'Yes')
+    ], new Set());
+
+    expect(malformed.map(item => item.line)).toEqual([1, 2, 3, 4]);
+    expect(malformed[0].reason).toBe('missing question');
+    expect(malformed[1].reason).toBe('missing answer');
+    expect(rows).toEqual([{ question: 'Fine', answer: 'Yes', aliases: [] }]);
+  });
+
+  test('drops questions repeated in the file', () => {
+    const { rows, duplicates } = validateImport([
+      entry(1, 'Same', 'A'),
+      entry(2, 'same ', 'B')
+    ], new Set());
+
+    expect(rows).toHaveLength(1);
+    expect(duplicates).toEqual([2]);
+  });
+
+  test('drops phrasings already used earlier in the file', () => {
+    const { rows } = validateImport([
+      entry(1, 'First', 'A', { aliases: ['Other', ' '] }),
+      entry(2, 'Second', 'B', { aliases: ['other', 'first', 'New'] })
+    ], new Set());
+
+    expect(rows[0].aliases).toEqual(['Other']);
+    expect(rows[1].aliases).toEqual(['New']);
+  });
+
+  test('counts rows whose question or phrasing the group already has', () => {
+    const { existing } = validateImport([
+      entry(1, 'Known', 'A'),
+      entry(2, 'New', 'B', { aliases: ['also known'] }),
+      entry(3, 'Fresh', 'C')
+    ], new Set(['known', 'also known']));
+
+    expect(existing).toBe(2);
+  });
+
+  test('clamps confidence and ignores invalid usage counts', () => {
+    const { rows } = validateImport([
+      entry(1, 'A', 'a', { confidence: 3, usageCount: 5 }),
+      entry(2, 'B', 'b', { confidence: 'high', usageCount: -1 })
+    ], new Set());
+
+    expect(rows[0]).toMatchObject({ confidence: 1, usageCount: 5 });
+    expect(rows[1]).not.toHaveProperty('confidence');
+    expect(rows[1]).not.toHaveProperty('usageCount');
+  });
+});
@@ -0,0 +1,102 @@
+const MessageRenderer = require('../renderer');
+
+const { escapeHtml, html, markdownToHtml, splitMessage, splitHtml, toPlainText, truncate } = MessageRenderer;
+
+describe('escaping', () => {
+  test('escapeHtml escapes markup characters', () => {
+    expect(escapeHtml('<b>Tom & Jerry</b>')).toBe('&lt;b&gt;Tom &amp; Jerry&lt;/b&gt;');
+    expect(escapeHtml(null)).toBe('');
+  });
+
+  test('html escapes interpolated values only', () => {
+    const name = '<script>';
+    expect(html`<b>Name:</b> ${name}`).toBe('<b>Name:</b> &lt;script&gt;');
+  });
+
+  test('markdownToHtml converts formatting and escapes the rest', () => {
+    expect(markdownToHtml('**bold** and `a < b`')).toBe('<b>bold</b> and <code>a &lt; b</code>');
+  });
+
+  test('toPlainText strips HTML tags and entities', () => {
+    expect(toPlainText('<b>1 &lt; 2</b> <a href="https://x.io">link</a>', 'HTML'))
+      .toBe('1 < 2 link (https://x.io)');
+  });
+});
+
+describe('splitMessage', () => {
+  test('keeps chunks within the limit', () => {
+    const text = Array.from({ length: 200 }, (_, i) => `Sentence number ${i}.`).join(' ');
+    const chunks = splitMessage(text, 500);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(500));
+  });
+
+  test('closes and reopens a code block cut in half', () => {
+    const code = Array.from({ length: 60 }, (_, i) => `line ${i}`).join('\n');
+    const [first, second] = splitMessage('```js\n' + code + '\n```', 200);
+
+    expect(first.endsWith('```')).toBe(true);
+    expect(second.startsWith('```js\n')).toBe(true);
+  });
+});
+
+describe('splitHtml', () => {
+  const lines = Array.from({ length: 300 }, (_, i) => `• <b>Rule ${i}</b> &amp; <i>pattern</i>`);
+
+  test('never cuts inside a tag or an entity', () => {
+    const chunks = splitHtml(lines.join('\n'), 1000);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.length).toBeLessThanOrEqual(1000);
+      expect(chunk).not.toMatch(/<[^>]*$/);
+      expect(chunk).not.toMatch(/&\w*$/);
+    }
+  });
+
+  test('closes open tags and reopens them in the next chunk', () => {
+    const text = '<b>Header</b>\n<pre>' + Array.from({ length: 200 }, (_, i) => `row ${i}`).join('\n') + '</pre>';
+    const chunks = splitHtml(text, 500);
+
+    expect(chunks[0].endsWith('</pre>')).toBe(true);
+    expect(chunks[1].startsWith('<pre>')).toBe(true);
+    for (const chunk of chunks) {
+      expect((chunk.match(/<pre>/g) || []).length).toBe((chunk.match(/<\/pre>/g) || []).length);
+    }
+  });
+
+  test('keeps attributes when reopening a tag', () => {
+    const text = '<a href="https://example.com">' + 'word '.repeat(300) + '</a>';
+    const chunks = splitHtml(text, 500);
+
+    expect(chunks[1].startsWith('<a href="https://example.com">')).toBe(true);
+    expect(chunks[0].endsWith('</a>')).toBe(true);
+  });
+
+  test('leaves short text alone', () => {
+    expect(splitHtml('<b>hi</b>', 100)).toEqual(['<b>hi</b>']);
+  });
+});
+
+describe('send', () => {
+  test('splits long HTML with the tag-aware splitter', async () => {
+    const bot = { sendMessage: jest.fn(async (chatId, text) => ({ message_id: 1, text })) };
+    const renderer = new MessageRenderer(bot);
+    const text = '<pre>' + 'x'.repeat(5000) + '</pre>';
+
+    const sent = await renderer.send(1, text, { parse_mode: 'HTML' });
+
+    expect(sent).toHaveLength(2);
+    for (const message of sent) {
+      expect(message.text.length).toBeLessThanOrEqual(MessageRenderer.TELEGRAM_MAX_LENGTH);
+      expect(message.text).toMatch(/^<pre>[\s\S]*<\/pre>$/);
+    }
+  });
+});
+
+describe('truncate', () => {
+  test('prefers a sentence boundary', () => {
+    expect(truncate('The first sentence here. Second one is longer than the limit', 30)).toBe('The first sentence here. …');
+  });
+});
@@ -0,0 +1,69 @@
+const { parseSearchQuery, buildFtsQuery, describeSearchQuery } = require('../searchQuery');
+
+describe('parseSearchQuery', () => {
+  test('splits terms, phrases and filters', () => {
+    const query = parseSearchQuery('wifi "guest network" from:@alice after:2024-01-01 before:2024-02-01');
+
+    expect(query.terms).toEqual(['wifi']);
+    expect(query.phrases).toEqual(['guest network']);
+    expect(query.from).toBe('alice');
+    expect(query.after).toBe('2024-01-01');
+    expect(query.before).toBe('2024-02-01');
+    expect(query.errors).toEqual([]);
+  });
+
+  test('rejects invalid dates', () => {
+    const query = parseSearchQuery('wifi after:2024-02-30');
+    expect(query.after).toBeNull();
+    expect(query.errors).toHaveLength(1);
+  });
+
+  test('rejects an empty query', () => {
+    expect(parseSearchQuery('').errors).toHaveLength(1);
+  });
+
+  test('accepts filters without terms', () => {
+    expect(parseSearchQuery('from:bob').errors).toEqual([]);
+  });
+
+  test('rejects a query made only of punctuation', () => {
+    expect(parseSearchQuery('?!? ...').errors).toHaveLength(1);
+    expect(parseSearchQuery('"!!!" from:bob').errors).toHaveLength(1);
+  });
+
+  test('accepts punctuation next to a real term', () => {
+    expect(parseSearchQuery('?? wifi').errors).toEqual([]);
+  });
+});
+
+describe('buildFtsQuery', () => {
+  test('requires every term and phrase', () => {
+    const query = parseSearchQuery('wifi "guest network"');
+    expect(buildFtsQuery(query)).toBe('"wifi" AND "guest network"');
+  });
+
+  test('strips punctuation and splits on it', () => {
+    const query = parseSearchQuery('e-mail? café');
+    expect(buildFtsQuery(query)).toBe('"e" AND "mail" AND "café"');
+  });
+
+  test('escapes quotes inside phrases', () => {
+    expect(buildFtsQuery({ terms: [], phrases: ['say ""hi'] })).toBe('"say """"hi"');
+  });
+
+  test('drops terms with nothing searchable', () => {
+    const query = parseSearchQuery('??? wifi');
+    expect(buildFtsQuery(query)).toBe('"wifi"');
+  });
+
+  test('is null for filter-only queries', () => {
+    expect(buildFtsQuery(parseSearchQuery('from:bob'))).toBeNull();
+  });
+});
+
+describe('describeSearchQuery', () => {
+  test('lists terms and filters', () => {
+    const query = parseSearchQuery('wifi "guest network" from:@alice');
+    expect(describeSearchQuery(query)).toBe('wifi "guest network" from:@alice');
+  });
+});
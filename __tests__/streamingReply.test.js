@@ -0,0 +1,47 @@
+const StreamingReply = require('../streamingReply');
+
+function createRenderer(overrides = {}) {
+  return {
+    send: jest.fn(async () => [{ message_id: 10 }]),
+    edit: jest.fn(async (chatId, messageId) => ({ message_id: messageId })),
+    sendPart: jest.fn(async () => ({ message_id: 11 })),
+    sendAnswer: jest.fn(async () => [{ message_id: 20 }]),
+    toHtmlChunks: jest.fn(text => [text]),
+    ...overrides
+  };
+}
+
+describe('StreamingReply.finish', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('edits the placeholder into the final answer', async () => {
+    const renderer = createRenderer();
+    const reply = new StreamingReply(renderer, 1, 5);
+    await reply.start();
+
+    const sent = await reply.finish('The answer');
+
+    expect(renderer.edit).toHaveBeenCalledWith(1, 10, 'The answer', { parse_mode: 'HTML' });
+    expect(sent).toEqual([{ message_id: 10 }]);
+    expect(renderer.sendAnswer).not.toHaveBeenCalled();
+  });
+
+  test('sends the answer afresh when the final edit fails', async () => {
+    const renderer = createRenderer({
+      edit: jest.fn(async () => { throw new Error('message to edit not found'); })
+    });
+    const reply = new StreamingReply(renderer, 1, 5);
+    await reply.start();
+
+    const sent = await reply.finish('The answer');
+
+    expect(renderer.sendAnswer).toHaveBeenCalledWith(1, 'The answer', { reply_to_message_id: 5 });
+    expect(sent).toEqual([{ message_id: 20 }]);
+  });
+});
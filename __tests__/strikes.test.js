@@ -0,0 +1,41 @@
+const StrikeManager = require('../strikes');
+
+const { parseLadder, formatLadder } = StrikeManager;
+
+describe('parseLadder', () => {
+  test('parses steps and sorts them by count', () => {
+    expect(parseLadder('5:ban, 3:mute:60')).toEqual([
+      { count: 3, action: 'mute', minutes: 60 },
+      { count: 5, action: 'ban' }
+    ]);
+  });
+
+  test('is case-insensitive and ignores empty parts', () => {
+    expect(parseLadder('2:KICK,,')).toEqual([{ count: 2, action: 'kick' }]);
+  });
+
+  test('requires a duration for mute', () => {
+    expect(parseLadder('3:mute')).toBeNull();
+    expect(parseLadder('3:mute:0')).toBeNull();
+  });
+
+  test('rejects unknown actions and bad counts', () => {
+    expect(parseLadder('3:warn')).toBeNull();
+    expect(parseLadder('0:ban')).toBeNull();
+    expect(parseLadder('x:ban')).toBeNull();
+  });
+
+  test('rejects two steps at the same count', () => {
+    expect(parseLadder('3:kick,3:ban')).toBeNull();
+  });
+});
+
+describe('formatLadder', () => {
+  test('describes each step', () => {
+    expect(formatLadder(parseLadder('3:mute:60,5:ban'))).toBe('3 → mute 60m, 5 → ban');
+  });
+
+  test('handles an empty ladder', () => {
+    expect(formatLadder([])).toBe('no automatic escalation');
+  });
+});
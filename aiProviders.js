@@ -0,0 +1,386 @@
+const axios = require('axios');
+const config = require('./config');
+
+/**
+ * Error raised by a provider backend. `status` is the HTTP status when the
+ * request reached the API, `retryable` tells callers whether trying again
+ * might help (timeouts, network errors, 5xx, 429).
+ */
+class AIProviderError extends Error {
+  constructor(message, { provider = null, status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'AIProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Base class for AI backends. Every provider takes role-structured
+ * messages ({ role: 'system' | 'user' | 'assistant', content }) and
+ * resolves with the answer text.
+ */
+class BaseProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.apiUrl = options.apiUrl || this.constructor.defaultUrl;
+    this.apiKey = options.apiKey || '';
+    this.model = options.model || this.constructor.defaultModel;
+    this.timeout = options.timeout || config.AI_TIMEOUT_MS;
+  }
+
+  async complete(messages, options = {}) {
+    throw new Error(`Provider "${this.name}" does not implement complete()`);
+  }
+
+  /**
+   * Whether stream() is implemented. Callers fall back to complete() otherwise.
+   */
+  get supportsStreaming() {
+    return false;
+  }
+
+  /**
+   * Like complete(), but calls onDelta(textPiece) as the answer arrives.
+   * Resolves with the full answer.
+   */
+  async stream(messages, options = {}, onDelta = () => {}) {
+    throw new Error(`Provider "${this.name}" does not support streaming`);
+  }
+
+  /**
+   * Read a streamed HTTP body line by line
+   */
+  readLines(body, onLine) {
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+
+      body.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        try {
+          lines.forEach(line => line.trim() && onLine(line.trim()));
+        } catch (error) {
+          body.destroy();
+          reject(error);
+        }
+      });
+      body.on('end', () => {
+        try {
+          if (buffer.trim()) onLine(buffer.trim());
+          resolve();
+        } catch (error) {
+          reject(error);
+        }
+      });
+      body.on('error', reject);
+    });
+  }
+
+  /**
+   * Convert an axios (or any other) error into an AIProviderError
+   */
+  wrapError(error) {
+    if (error instanceof AIProviderError) return error;
+
+    const status = error.response ? error.response.status : null;
+    const retryable = status === null
+      ? true // timeout or network error, the request never got an answer
+      : status === 429 || status >= 500;
+
+    return new AIProviderError(error.message, {
+      provider: this.name,
+      status,
+      retryable
+    });
+  }
+
+  emptyResponseError() {
+    return new AIProviderError('Empty response from AI provider', {
+      provider: this.name,
+      retryable: true
+    });
+  }
+}
+
+/**
+ * The original davidcyriltech chatbot API: a single GET with a flat query
+ * string, so conversation turns are folded into text.
+ */
+class ChatbotProvider extends BaseProvider {
+  static defaultUrl = 'https://apis.davidcyriltech.my.id/ai/chatbot';
+  static defaultModel = null;
+
+  flattenMessages(messages) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content);
+    const turns = messages.filter(m => m.role !== 'system');
+    const last = turns.pop();
+
+    let query = '';
+
+    if (system.length > 0) {
+      query += `Context: ${system.join('\n')}\n\n`;
+    }
+
+    if (turns.length > 0) {
+      query += 'Previous conversation:\n';
+      turns.forEach(msg => {
+        query += `${msg.role}: ${msg.content}\n`;
+      });
+      query += '\n';
+    }
+
+    query += system.length > 0 || turns.length > 0
+      ? `User question: ${last ? last.content : ''}`
+      : (last ? last.content : '');
+
+    return query;
+  }
+
+  async complete(messages, options = {}) {
+    try {
+      const response = await axios.get(this.apiUrl, {
+        params: {
+          query: this.flattenMessages(messages),
+          apikey: this.apiKey
+        },
+        timeout: this.timeout
+      });
+
+      if (response.data && response.data.success && response.data.result) {
+        return response.data.result;
+      }
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+
+    throw this.emptyResponseError();
+  }
+}
+
+/**
+ * Any OpenAI-compatible /chat/completions endpoint (OpenAI, OpenRouter,
+ * Groq, vLLM, LM Studio, ...)
+ */
+class OpenAIProvider extends BaseProvider {
+  static defaultUrl = 'https://api.openai.com/v1/chat/completions';
+  static defaultModel = 'gpt-4o-mini';
+
+  async complete(messages, options = {}) {
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.apiKey) {
+        headers.Authorization = `Bearer ${this.apiKey}`;
+      }
+
+      const response = await axios.post(this.apiUrl, {
+        model: this.model,
+        messages,
+        temperature: options.temperature ?? 0.7,
+        max_tokens: options.maxTokens
+      }, {
+        headers,
+        timeout: this.timeout
+      });
+
+      const choice = response.data && response.data.choices && response.data.choices[0];
+      if (choice && choice.message && choice.message.content) {
+        return choice.message.content.trim();
+      }
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+
+    throw this.emptyResponseError();
+  }
+
+  get supportsStreaming() {
+    return true;
+  }
+
+  async stream(messages, options = {}, onDelta = () => {}) {
+    let text = '';
+
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.apiKey) {
+        headers.Authorization = `Bearer ${this.apiKey}`;
+      }
+
+      const response = await axios.post(this.apiUrl, {
+        model: this.model,
+        messages,
+        temperature: options.temperature ?? 0.7,
+        max_tokens: options.maxTokens,
+        stream: true
+      }, {
+        headers,
+        timeout: this.timeout,
+        responseType: 'stream'
+      });
+
+      // Server-sent events: "data: {json}" lines, ending with "data: [DONE]"
+      await this.readLines(response.data, line => {
+        if (!line.startsWith('data:')) return;
+
+        const payload = line.substring(5).trim();
+        if (payload === '[DONE]') return;
+
+        const choice = JSON.parse(payload).choices?.[0];
+        const delta = choice && choice.delta && choice.delta.content;
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+      });
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+
+    if (!text.trim()) throw this.emptyResponseError();
+    return text.trim();
+  }
+}
+
+/**
+ * Local Ollama server using its /api/chat endpoint
+ */
+class OllamaProvider extends BaseProvider {
+  static defaultUrl = `${config.OLLAMA_URL}/api/chat`;
+  static defaultModel = 'llama3';
+
+  async complete(messages, options = {}) {
+    try {
+      const response = await axios.post(this.apiUrl, {
+        model: this.model,
+        messages,
+        stream: false,
+        options: {
+          temperature: options.temperature ?? 0.7,
+          num_predict: options.maxTokens
+        }
+      }, {
+        timeout: this.timeout
+      });
+
+      if (response.data && response.data.message && response.data.message.content) {
+        return response.data.message.content.trim();
+      }
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+
+    throw this.emptyResponseError();
+  }
+
+  get supportsStreaming() {
+    return true;
+  }
+
+  async stream(messages, options = {}, onDelta = () => {}) {
+    let text = '';
+
+    try {
+      const response = await axios.post(this.apiUrl, {
+        model: this.model,
+        messages,
+        stream: true,
+        options: {
+          temperature: options.temperature ?? 0.7,
+          num_predict: options.maxTokens
+        }
+      }, {
+        timeout: this.timeout,
+        responseType: 'stream'
+      });
+
+      // Newline-delimited JSON objects, the last one has done: true
+      await this.readLines(response.data, line => {
+        const data = JSON.parse(line);
+        if (data.error) {
+          throw new AIProviderError(data.error, { provider: this.name, retryable: false });
+        }
+
+        const delta = data.message && data.message.content;
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+      });
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+
+    if (!text.trim()) throw this.emptyResponseError();
+    return text.trim();
+  }
+}
+
+/**
+ * Deterministic offline backend for development and tests. The same
+ * messages always produce the same answer and no network is touched.
+ */
+class MockProvider extends BaseProvider {
+  static defaultUrl = null;
+  static defaultModel = 'mock';
+
+  async complete(messages, options = {}) {
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    const prompt = lastUser ? lastUser.content : '';
+
+    if (/answer only "yes" or "no"/i.test(prompt)) {
+      return 'no';
+    }
+
+    if (/analyze the sentiment/i.test(prompt)) {
+      return 'neutral';
+    }
+
+    const turns = messages.filter(m => m.role !== 'system').length;
+    return `[mock] ${prompt.substring(0, 200)} (${turns} turn${turns === 1 ? '' : 's'})`;
+  }
+
+  get supportsStreaming() {
+    return true;
+  }
+
+  async stream(messages, options = {}, onDelta = () => {}) {
+    const text = await this.complete(messages, options);
+    text.split(/(?<= )/).forEach(word => onDelta(word));
+    return text;
+  }
+}
+
+const PROVIDERS = {
+  chatbot: ChatbotProvider,
+  openai: OpenAIProvider,
+  ollama: OllamaProvider,
+  mock: MockProvider
+};
+
+/**
+ * Create a provider instance by name
+ */
+function createProvider(name, options = {}) {
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown AI provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider(name, options);
+}
+
+module.exports = {
+  AIProviderError,
+  BaseProvider,
+  ChatbotProvider,
+  OpenAIProvider,
+  OllamaProvider,
+  MockProvider,
+  PROVIDERS,
+  createProvider
+};
@@ -0,0 +1,35 @@
+/**
+ * Outcome of an AI call. Callers must check `ok` before using `text`:
+ * a failed call never carries an answer, only `error` and a `fallback`
+ * message that may be shown to users but must never be stored, learned
+ * from or used to make moderation decisions.
+ */
+class AIResult {
+  constructor({ ok, text = null, error = null, fallback = null, provider = null, attempts = 0, latencyMs = 0, cached = false }) {
+    this.ok = ok;
+    this.text = text;
+    this.error = error;
+    this.fallback = fallback;
+    this.provider = provider;
+    this.attempts = attempts;
+    this.latencyMs = latencyMs;
+    this.cached = cached;
+  }
+
+  static success(text, meta = {}) {
+    return new AIResult({ ...meta, ok: true, text });
+  }
+
+  static failure(error, meta = {}) {
+    return new AIResult({ ...meta, ok: false, error });
+  }
+
+  /**
+   * Text to show users: the answer, or the fallback when the call failed
+   */
+  get displayText() {
+    return this.ok ? this.text : this.fallback;
+  }
+}
+
+module.exports = AIResult;
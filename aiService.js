@@ -1,286 +1,369 @@
-const axios = require('axios');
+const config = require('./config');
+const { createProvider, AIProviderError } = require('./aiProviders');
+const AIResult = require('./aiResult');
+const CircuitBreaker = require('./circuitBreaker');
 
 class AIService {
-  constructor() {
-    this.apiUrl = 'https://apis.davidcyriltech.my.id/ai/chatbot';
-    this.apiKey = ''; // API key is not needed based on the test
-    this.conversationCache = new Map(); // Cache conversations per group
+  constructor(options = {}) {
+    this.defaultProvider = options.provider || config.AI_PROVIDER;
+    this.providers = new Map(); // Provider instances by name and model
+    this.breakers = new Map(); // Circuit breaker per provider name
+    this.cache = options.cache || null; // ResponseCache, used when a groupId is given
+    this.onUsage = options.onUsage || null; // (result, messages, options) after every call
   }
 
   /**
-   * Get AI response with context
+   * URL and key for a provider: its own settings (OPENAI_API_KEY, ...),
+   * overridden by the global AI_API_URL/AI_API_KEY for the global provider.
+   * An empty URL means the provider default (ollama's comes from OLLAMA_URL).
    */
-  async getResponse(query, systemContext = '', groupId = null) {
-    try {
-      // Build enhanced query with context
-      let enhancedQuery = query;
-      
-      if (systemContext) {
-        enhancedQuery = `Context: ${systemContext}\n\nUser question: ${query}`;
-      }
-
-      // Make API request
-      const response = await axios.get(this.apiUrl, {
-        params: {
-          query: enhancedQuery,
-          apikey: this.apiKey
-        },
-        timeout: 10000 // 10 second timeout
-      });
-
-      if (response.data && response.data.success && response.data.result) {
-        const aiResponse = response.data.result;
-        
-        // Cache response if groupId provided
-        if (groupId) {
-          this.cacheResponse(groupId, query, aiResponse);
-        }
-
-        return aiResponse;
-      }
+  getCredentials(name) {
+    const own = {
+      chatbot: { apiUrl: config.CHATBOT_API_URL, apiKey: config.CHATBOT_API_KEY },
+      openai: { apiUrl: config.OPENAI_API_URL, apiKey: config.OPENAI_API_KEY }
+    }[name] || { apiUrl: '', apiKey: '' };
+
+    if (name !== this.defaultProvider) return own;
+    return {
+      apiUrl: config.AI_API_URL || own.apiUrl,
+      apiKey: config.AI_API_KEY || own.apiKey
+    };
+  }
 
-      return null;
-    } catch (error) {
-      console.error('AI Service Error:', error.message);
-      return this.getFallbackResponse(query);
-    }
+  /**
+   * Whether a provider has what it needs to answer. OpenAI's own API needs
+   * a key; a custom OpenAI-compatible URL may not.
+   */
+  isConfigured(name) {
+    if (name !== 'openai') return true;
+    const { apiUrl, apiKey } = this.getCredentials(name);
+    return Boolean(apiKey || apiUrl);
   }
 
   /**
-   * Get response with conversation history
+   * Get a provider instance, falling back to the globally configured one.
    */
-  async getResponseWithHistory(query, conversationHistory = [], groupId = null) {
-    try {
-      // Build conversation context
-      let contextQuery = '';
-      
-      if (conversationHistory.length > 0) {
-        contextQuery = 'Previous conversation:\n';
-        conversationHistory.forEach(msg => {
-          contextQuery += `${msg.role}: ${msg.content}\n`;
-        });
-        contextQuery += `\nUser: ${query}`;
-      } else {
-        contextQuery = query;
-      }
+  getProvider(name = null, model = null) {
+    const providerName = name || this.defaultProvider;
+    const isDefault = providerName === this.defaultProvider;
+    const providerModel = model || (isDefault ? config.AI_MODEL : '') || null;
+    const key = `${providerName}:${providerModel || ''}`;
+
+    if (!this.providers.has(key)) {
+      this.providers.set(key, createProvider(providerName, {
+        ...this.getCredentials(providerName),
+        model: providerModel
+      }));
+    }
 
-      return await this.getResponse(contextQuery, '', groupId);
-    } catch (error) {
-      console.error('Error getting response with history:', error);
-      return this.getFallbackResponse(query);
+    return this.providers.get(key);
+  }
+
+  getCircuitBreaker(providerName) {
+    if (!this.breakers.has(providerName)) {
+      this.breakers.set(providerName, new CircuitBreaker(providerName));
     }
+    return this.breakers.get(providerName);
   }
 
   /**
-   * Analyze sentiment of a message
+   * Whether a failed attempt is worth counting against the provider's
+   * health. Request-specific errors (400, 413, ...) say nothing about it.
    */
-  async analyzeSentiment(text) {
-    try {
-      const response = await this.getResponse(
-        `Analyze the sentiment of this message in one word (positive, negative, or neutral): "${text}"`
-      );
-      
-      const sentiment = response.toLowerCase().trim();
-      if (['positive', 'negative', 'neutral'].includes(sentiment)) {
-        return sentiment;
-      }
-      
-      return 'neutral';
-    } catch (error) {
-      return 'neutral';
-    }
+  isProviderFailure(error) {
+    return error.retryable || error.status === 401 || error.status === 403;
   }
 
   /**
-   * Extract keywords from text
+   * Whether the provider selected by options can stream answers
    */
-  async extractKeywords(text, count = 5) {
+  supportsStreaming(options = {}) {
     try {
-      const response = await this.getResponse(
-        `Extract the ${count} most important keywords from this text, return only the keywords separated by commas: "${text}"`
-      );
-      
-      return response.split(',').map(k => k.trim()).filter(k => k.length > 0);
+      return this.getProvider(options.provider, options.model).supportsStreaming;
     } catch (error) {
-      return [];
+      return false;
     }
   }
 
   /**
-   * Summarize text
+   * Send role-structured messages to the selected provider.
+   * options.provider / options.model override the global provider.
+   * With options.onChunk(textSoFar, delta) the answer is streamed when
+   * the provider supports it. options.groupId/userId/purpose are passed
+   * to the usage hook for accounting.
+   * Retries timeouts/5xx with exponential backoff and never throws:
+   * the returned AIResult says whether we got a real answer.
    */
-  async summarize(text, maxLength = 100) {
-    try {
-      const response = await this.getResponse(
-        `Summarize this text in ${maxLength} characters or less: "${text}"`
-      );
-      
-      return response;
-    } catch (error) {
-      return text.substring(0, maxLength) + '...';
+  async complete(messages, options = {}) {
+    const result = await this.requestCompletion(messages, options);
+
+    if (this.onUsage) {
+      try {
+        await this.onUsage(result, messages, options);
+      } catch (error) {
+        console.error('Error recording AI usage:', error);
+      }
     }
+
+    return result;
   }
 
-  /**
-   * Check if message is spam
-   */
-  async isSpam(text) {
+  async requestCompletion(messages, options) {
+    const startedAt = Date.now();
+    let provider;
+
     try {
-      const response = await this.getResponse(
-        `Is this message spam? Answer only "yes" or "no": "${text}"`
-      );
-      
-      return response.toLowerCase().includes('yes');
+      provider = this.getProvider(options.provider, options.model);
     } catch (error) {
-      return false;
+      return AIResult.failure(error, { fallback: this.getFallbackResponse() });
     }
-  }
 
-  /**
-   * Check if message is inappropriate
-   */
-  async isInappropriate(text, rules = []) {
+    const breaker = this.getCircuitBreaker(provider.name);
+    const meta = () => ({
+      provider: provider.name,
+      latencyMs: Date.now() - startedAt,
+      fallback: this.getFallbackResponse()
+    });
+
+    if (!breaker.canRequest()) {
+      const error = new AIProviderError(
+        `Circuit open for provider "${provider.name}", retry in ${Math.ceil(breaker.retryAfterMs() / 1000)}s`,
+        { provider: provider.name, retryable: false }
+      );
+      return AIResult.failure(error, { ...meta(), attempts: 0 });
+    }
+
+    const maxAttempts = config.AI_MAX_RETRIES + 1;
+    const streaming = typeof options.onChunk === 'function' && provider.supportsStreaming;
+    let streamed = '';
+
     try {
-      let query = `Is this message inappropriate or offensive? Answer only "yes" or "no": "${text}"`;
-      
-      if (rules.length > 0) {
-        query = `Based on these rules: ${rules.join(', ')}. Is this message violating any rules? Answer only "yes" or "no": "${text}"`;
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        try {
+          const text = streaming
+            ? await provider.stream(messages, options, delta => {
+              streamed += delta;
+              options.onChunk(streamed, delta);
+            })
+            : await provider.complete(messages, options);
+
+          breaker.recordSuccess();
+          return AIResult.success(text, { ...meta(), fallback: null, attempts: attempt });
+        } catch (rawError) {
+          const error = provider.wrapError(rawError);
+
+          // Part of the answer may already be on screen, don't start over
+          if (!error.retryable || attempt === maxAttempts || streamed) {
+            console.error(`AI Service Error (${provider.name}, attempt ${attempt}):`, error.message);
+            if (this.isProviderFailure(error)) {
+              breaker.recordFailure();
+            } else {
+              // A request-specific error still means the provider answered
+              breaker.recordSuccess();
+            }
+            return AIResult.failure(error, { ...meta(), attempts: attempt });
+          }
+
+          await this.sleep(this.getBackoffDelay(attempt));
+        }
       }
-      
-      const response = await this.getResponse(query);
-      return response.toLowerCase().includes('yes');
-    } catch (error) {
-      return false;
+    } finally {
+      // A half-open trial never stays claimed, whatever the outcome
+      breaker.releaseTrial();
     }
   }
 
   /**
-   * Generate a welcome message
+   * Exponential backoff with full jitter
    */
-  async generateWelcomeMessage(userName, groupName, groupPurpose) {
-    try {
-      const response = await this.getResponse(
-        `Generate a friendly welcome message for ${userName} joining ${groupName}. ` +
-        `The group is about: ${groupPurpose}. Keep it brief and welcoming.`
-      );
-      
-      return response;
-    } catch (error) {
-      return `👋 Welcome ${userName} to ${groupName}!`;
-    }
+  getBackoffDelay(attempt) {
+    const cap = config.AI_RETRY_BASE_MS * Math.pow(2, attempt - 1);
+    return Math.round(cap / 2 + Math.random() * cap / 2);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   /**
-   * Improve response based on feedback
+   * Get AI response with context.
+   * When groupId is given the answer is looked up in / written to the
+   * group's response cache (keyed on options.cacheKey or the query).
    */
-  async improveResponse(originalQuestion, originalAnswer, feedback) {
-    try {
-      const response = await this.getResponse(
-        `The question was: "${originalQuestion}". ` +
-        `I answered: "${originalAnswer}". ` +
-        `User feedback: ${feedback}. ` +
-        `Generate an improved answer.`
-      );
-      
-      return response;
-    } catch (error) {
-      return originalAnswer;
+  async getResponse(query, systemContext = '', groupId = null, options = {}) {
+    const messages = [];
+
+    if (systemContext) {
+      messages.push({ role: 'system', content: systemContext });
     }
+    messages.push({ role: 'user', content: query });
+
+    return this.completeCached(messages, query, groupId, options);
   }
 
   /**
-   * Cache response for faster retrieval
+   * Get response with conversation history
    */
-  cacheResponse(groupId, query, response) {
-    if (!this.conversationCache.has(groupId)) {
-      this.conversationCache.set(groupId, []);
+  async getResponseWithHistory(query, conversationHistory = [], groupId = null, options = {}) {
+    const messages = [
+      ...conversationHistory,
+      { role: 'user', content: query }
+    ];
+
+    return this.completeCached(messages, query, groupId, options);
+  }
+
+  async completeCached(messages, query, groupId, options) {
+    const useCache = this.cache && groupId;
+    const cacheKey = options.cacheKey || query;
+
+    if (useCache) {
+      const cached = await this.cache.get(groupId, cacheKey);
+      if (cached) {
+        return AIResult.success(cached, { provider: 'cache', cached: true });
+      }
     }
 
-    const cache = this.conversationCache.get(groupId);
-    cache.push({
-      query: query.toLowerCase(),
-      response,
-      timestamp: Date.now()
-    });
+    const result = await this.complete(messages, options);
 
-    // Keep only last 50 responses
-    if (cache.length > 50) {
-      cache.shift();
+    if (result.ok && useCache) {
+      await this.cache.set(groupId, cacheKey, result.text, result.provider);
     }
+
+    return result;
   }
 
   /**
-   * Get cached response if available
+   * Analyze sentiment of a message.
+   * Returns null when the AI is unavailable.
    */
-  getCachedResponse(groupId, query) {
-    if (!this.conversationCache.has(groupId)) {
-      return null;
+  async analyzeSentiment(text, options = {}) {
+    const result = await this.getResponse(
+      `Analyze the sentiment of this message in one word (positive, negative, or neutral): "${text}"`,
+      '',
+      null,
+      options
+    );
+
+    if (!result.ok) return null;
+
+    const sentiment = result.text.toLowerCase().trim().replace(/[^a-z]/g, '');
+    if (['positive', 'negative', 'neutral'].includes(sentiment)) {
+      return sentiment;
     }
 
-    const cache = this.conversationCache.get(groupId);
-    const normalizedQuery = query.toLowerCase();
+    return 'neutral';
+  }
 
-    // Find exact or similar match
-    const match = cache.find(item => {
-      const similarity = this.calculateSimilarity(item.query, normalizedQuery);
-      return similarity > 0.8;
-    });
+  /**
+   * Extract keywords from text
+   */
+  async extractKeywords(text, count = 5, options = {}) {
+    const result = await this.getResponse(
+      `Extract the ${count} most important keywords from this text, return only the keywords separated by commas: "${text}"`,
+      '',
+      null,
+      options
+    );
 
-    if (match && (Date.now() - match.timestamp) < 3600000) { // 1 hour cache
-      return match.response;
-    }
+    if (!result.ok) return [];
 
+    return result.text.split(',').map(k => k.trim()).filter(k => k.length > 0);
+  }
+
+  /**
+   * Summarize text
+   */
+  async summarize(text, maxLength = 100, options = {}) {
+    const result = await this.getResponse(
+      `Summarize this text in ${maxLength} characters or less: "${text}"`,
+      '',
+      null,
+      options
+    );
+
+    return result.ok ? result.text : text.substring(0, maxLength) + '...';
+  }
+
+  /**
+   * Parse a yes/no verdict. Returns null when the answer is neither.
+   */
+  parseYesNo(answer) {
+    const normalized = answer.toLowerCase().trim();
+    if (/^\W*yes\b/.test(normalized)) return true;
+    if (/^\W*no\b/.test(normalized)) return false;
+    if (/\byes\b/.test(normalized) && !/\bno\b/.test(normalized)) return true;
+    if (/\bno\b/.test(normalized) && !/\byes\b/.test(normalized)) return false;
     return null;
   }
 
   /**
-   * Calculate string similarity (simple implementation)
+   * Check if message is spam.
+   * Returns true/false, or null when the AI couldn't give a verdict.
    */
-  calculateSimilarity(str1, str2) {
-    const longer = str1.length > str2.length ? str1 : str2;
-    const shorter = str1.length > str2.length ? str2 : str1;
-    
-    if (longer.length === 0) return 1.0;
-    
-    const editDistance = this.levenshteinDistance(longer, shorter);
-    return (longer.length - editDistance) / longer.length;
+  async isSpam(text, options = {}) {
+    const result = await this.getResponse(
+      `Is this message spam? Answer only "yes" or "no": "${text}"`,
+      '',
+      null,
+      options
+    );
+
+    return result.ok ? this.parseYesNo(result.text) : null;
   }
 
   /**
-   * Levenshtein distance calculation
+   * Check if message is inappropriate.
+   * Returns true/false, or null when the AI couldn't give a verdict.
    */
-  levenshteinDistance(str1, str2) {
-    const matrix = [];
+  async isInappropriate(text, rules = [], options = {}) {
+    let query = `Is this message inappropriate or offensive? Answer only "yes" or "no": "${text}"`;
 
-    for (let i = 0; i <= str2.length; i++) {
-      matrix[i] = [i];
+    if (rules.length > 0) {
+      query = `Based on these rules: ${rules.join(', ')}. Is this message violating any rules? Answer only "yes" or "no": "${text}"`;
     }
 
-    for (let j = 0; j <= str1.length; j++) {
-      matrix[0][j] = j;
-    }
+    const result = await this.getResponse(query, '', null, options);
+    return result.ok ? this.parseYesNo(result.text) : null;
+  }
 
-    for (let i = 1; i <= str2.length; i++) {
-      for (let j = 1; j <= str1.length; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1,
-            matrix[i][j - 1] + 1,
-            matrix[i - 1][j] + 1
-          );
-        }
-      }
-    }
+  /**
+   * Generate a welcome message
+   */
+  async generateWelcomeMessage(userName, groupName, groupPurpose, options = {}) {
+    const result = await this.getResponse(
+      `Generate a friendly welcome message for ${userName} joining ${groupName}. ` +
+      `The group is about: ${groupPurpose}. Keep it brief and welcoming.`,
+      '',
+      null,
+      options
+    );
+
+    return result.ok ? result.text : `👋 Welcome ${userName} to ${groupName}!`;
+  }
 
-    return matrix[str2.length][str1.length];
+  /**
+   * Improve response based on feedback
+   */
+  async improveResponse(originalQuestion, originalAnswer, feedback, options = {}) {
+    const result = await this.getResponse(
+      `The question was: "${originalQuestion}". ` +
+      `I answered: "${originalAnswer}". ` +
+      `User feedback: ${feedback}. ` +
+      `Generate an improved answer.`,
+      '',
+      null,
+      options
+    );
+
+    return result.ok ? result.text : originalAnswer;
   }
 
   /**
-   * Fallback response when AI is unavailable
+   * Fallback response when AI is unavailable. Display only: never store,
+   * learn from or parse these.
    */
-  getFallbackResponse(query) {
+  getFallbackResponse() {
     const fallbacks = [
       "I'm having trouble connecting to my AI service right now. Please try again in a moment.",
       "Hmm, I couldn't process that right now. Could you rephrase your question?",
@@ -290,22 +373,6 @@ class AIService {
 
     return fallbacks[Math.floor(Math.random() * fallbacks.length)];
   }
-
-  /**
-   * Clear cache for a group
-   */
-  clearCache(groupId) {
-    this.conversationCache.delete(groupId);
-  }
-
-  /**
-   * Get cache size
-   */
-  getCacheSize(groupId) {
-    return this.conversationCache.has(groupId) 
-      ? this.conversationCache.get(groupId).length 
-      : 0;
-  }
 }
 
 module.exports = AIService;
@@ -2,14 +2,91 @@ const TelegramBot = require('node-telegram-bot-api');
 const axios = require('axios');
 const Database = require('./database');
 const AIService = require('./aiService');
+const ContextBuilder = require('./contextBuilder');
+const ResponseCache = require('./responseCache');
+const MessageRenderer = require('./renderer');
+const StreamingReply = require('./streamingReply');
+const UsageTracker = require('./usageTracker');
+const ModerationActions = require('./moderationActions');
+const ModerationPipeline = require('./moderation');
+const StrikeManager = require('./strikes');
+const FloodControl = require('./floodControl');
+const LinkFilter = require('./linkFilter');
+const CaptchaManager = require('./captcha');
+const RaidDetector = require('./raidDetector');
+const ReviewQueue = require('./reviewQueue');
+const SpamClassifier = require('./spamClassifier');
+const ContentFilter = require('./contentFilter');
+const KnowledgeQueue = require('./knowledgeQueue');
+const TopicExtractor = require('./topicExtractor');
+const KnowledgeMaintenance = require('./knowledgeMaintenance');
+const Scheduler = require('./scheduler');
+const { MAX_ROWS: MAX_IMPORT_ROWS, parseImportFile, validateImport } = require('./knowledgeImport');
 const config = require('./config');
+const { PROVIDERS } = require('./aiProviders');
+const { parseSearchQuery, buildFtsQuery, getMessageLink, describeSearchQuery } = require('./searchQuery');
+
+const { html } = MessageRenderer;
+
+const SEARCH_PAGE_SIZE = 5;
+const SEARCH_SESSION_TTL_MS = 30 * 60 * 1000;
+const ADMIN_CACHE_TTL_MS = 10 * 60 * 1000;
+const MODLOG_PAGE_SIZE = 10;
+const MAX_FILTERS = 100;
+const PENDING_PAGE_SIZE = 5;
+const KNOWLEDGE_EDIT_TTL_MS = 10 * 60 * 1000;
+const FAQ_PAGE_SIZE = 5;
+const FAQ_EDIT_TTL_MS = 10 * 60 * 1000;
+const FORGET_PREVIEW_TTL_MS = 10 * 60 * 1000;
+const FORGET_PREVIEW_SHOWN = 10;
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+const IMPORT_PREVIEW_TTL_MS = 10 * 60 * 1000;
+const IMPORT_PROBLEMS_SHOWN = 10;
 
 class AIGroupManagerBot {
   constructor() {
     this.bot = new TelegramBot(config.TELEGRAM_BOT_TOKEN, { polling: true });
+    this.renderer = new MessageRenderer(this.bot);
     this.db = new Database();
-    this.ai = new AIService();
+    this.cache = new ResponseCache(this.db);
+    this.usage = new UsageTracker(this.db);
+    this.ai = new AIService({
+      cache: this.cache,
+      onUsage: (result, messages, options) => this.usage.record(result, messages, options)
+    });
+    this.contextBuilder = new ContextBuilder(this.db);
+    this.topicExtractor = new TopicExtractor(this.db, { windowDays: config.TOPIC_WINDOW_DAYS });
+    this.moderationActions = new ModerationActions(this.bot, this.db);
+    this.strikes = new StrikeManager(this.db, this.moderationActions);
+    this.floodControl = new FloodControl();
+    this.linkFilter = new LinkFilter(this.db);
+    this.spamClassifier = new SpamClassifier(this.db);
+    this.contentFilter = new ContentFilter();
+    this.reviewQueue = new ReviewQueue(this.db, this.moderationActions, this.strikes,
+      (chatId, text, options) => this.notifyAdmins(chatId, text, options));
+    this.moderation = new ModerationPipeline(this.ai, this.moderationActions, this.renderer, {
+      strikes: this.strikes,
+      floodControl: this.floodControl,
+      linkFilter: this.linkFilter,
+      contentFilter: this.contentFilter,
+      reviewQueue: this.reviewQueue,
+      spamClassifier: this.spamClassifier
+    });
+    this.knowledgeQueue = new KnowledgeQueue(this.db,
+      (chatId, text, options) => this.notifyAdmins(chatId, text, options));
+    this.knowledgeMaintenance = new KnowledgeMaintenance(this.db,
+      (chatId, text, options) => this.notifyAdmins(chatId, text, options));
+    this.scheduler = new Scheduler();
+    this.captcha = new CaptchaManager(this.bot, this.db, this.moderationActions, this.renderer);
+    this.raidDetector = new RaidDetector(this.db, this.moderationActions, this.renderer,
+      (chatId, text, options) => this.notifyAdmins(chatId, text, options));
     this.pendingSetups = new Map(); // Simple in-memory cache for active setups
+    this.searchSessions = new Map(); // Active /search result sets for paging
+    this.adminCache = new Map(); // chatId -> { ids, expiresAt }
+    this.knowledgeEdits = new Map(); // admin userId -> { itemId, expiresAt }, awaiting a corrected answer in DM
+    this.faqEdits = new Map(); // "chatId:promptMessageId" -> { responseId, field, userId, expiresAt }
+    this.forgetPreviews = new Map(); // token -> { chatId, keyword, ids, createdAt }, awaiting confirmation
+    this.importPreviews = new Map(); // token -> { chatId, rows, createdAt }, awaiting merge/replace
     this.initializeBot();
   }
 
@@ -18,6 +95,16 @@ class AIGroupManagerBot {
     
     // Wait for database
     await this.waitForDatabase();
+
+    // Pick up join verifications and lockdowns that were pending when the bot stopped
+    await this.captcha.restore();
+    await this.raidDetector.restore();
+
+    // Background jobs; topics (keywords) are refreshed right away too
+    this.scheduler.add('topics', config.TOPIC_EXTRACTION_CRON, () => this.topicExtractor.run(), { runOnStart: true });
+    this.scheduler.add('knowledge-decay', config.KNOWLEDGE_DECAY_CRON, () => this.knowledgeMaintenance.decay());
+    this.scheduler.add('knowledge-report', config.KNOWLEDGE_REPORT_CRON, () => this.knowledgeMaintenance.report());
+    this.scheduler.add('cleanup', config.DATABASE_CLEANUP_CRON, () => this.db.cleanupOldData(config.DATABASE_CLEANUP_DAYS));
     
     // Command handlers
     this.bot.onText(/\/start/, (msg) => this.handleStart(msg));
@@ -31,11 +118,32 @@ class AIGroupManagerBot {
     this.bot.onText(/\/pause/, (msg) => this.handlePause(msg));
     this.bot.onText(/\/resume/, (msg) => this.handleResume(msg));
     this.bot.onText(/\/export/, (msg) => this.handleExport(msg));
+    this.bot.onText(/^\/search(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => this.handleSearch(msg, match));
+    this.bot.onText(/^\/usage(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => this.handleUsage(msg, match));
+    this.bot.onText(/^\/aiprovider(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => this.handleAIProvider(msg, match));
+    this.bot.onText(/^\/moderation(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => this.handleModeration(msg, match));
+    this.bot.onText(/^\/flood(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => this.handleFlood(msg, match));
+    this.bot.onText(/^\/links(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => this.handleLinks(msg, match));
+    this.bot.onText(/^\/captcha(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => this.handleCaptcha(msg, match));
+    this.bot.onText(/^\/lockdown(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => this.handleLockdown(msg, match));
+    this.bot.onText(/^\/warn(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => this.handleWarn(msg, match));
+    this.bot.onText(/^\/warnings(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => this.handleWarnings(msg, match));
+    this.bot.onText(/^\/unwarn(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => this.handleUnwarn(msg, match));
+    this.bot.onText(/^\/resetwarns(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => this.handleResetWarns(msg, match));
+    this.bot.onText(/^\/warnconfig(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => this.handleWarnConfig(msg, match));
+    this.bot.onText(/^\/modlog(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => this.handleModLog(msg, match));
+    this.bot.onText(/^\/spam(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => this.handleSpam(msg, match));
+    this.bot.onText(/^\/filter(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => this.handleFilter(msg, match));
+    this.bot.onText(/^\/pending(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => this.handlePending(msg, match));
+    this.bot.onText(/^\/faq(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => this.handleFaq(msg, match));
+    this.bot.onText(/^\/import(?:@\w+)?$/, (msg) => this.handleImport(msg));
+    this.bot.onText(/^\/notspam(?:@\w+)?$/, (msg) => this.handleNotSpam(msg));
     
     // Message handlers - must be last
     this.bot.on('callback_query', (query) => this.handleCallbackQuery(query));
     this.bot.on('my_chat_member', (msg) => this.handleChatMemberUpdate(msg));
     this.bot.on('new_chat_members', (msg) => this.handleNewMember(msg));
+    this.bot.on('left_chat_member', (msg) => this.captcha.cancel(msg.chat.id, msg.left_chat_member.id));
     this.bot.on('message', (msg) => this.handleMessage(msg));
     
     console.log('✅ Bot initialized successfully!');
@@ -50,6 +158,7 @@ class AIGroupManagerBot {
     if (!this.db.db) {
       throw new Error('Database initialization timeout');
     }
+    await this.db.ready;
   }
 
   async handleStart(msg) {
@@ -96,22 +205,22 @@ Ready? Add me to your group now!`;
         // Save group first
         await this.db.addGroup(chatId, chatTitle);
         
-        const setupMsg = `🎉 Thank you for adding me to **${chatTitle}**!
+        const setupMsg = html`🎉 Thank you for adding me to <b>${chatTitle}</b>!
 
 I'm ready to help manage your group. Let's do a quick 1-command setup!
 
-**Use this command to configure me:**
-\`/quicksetup Gaming community|Friendly|No spam, be respectful|all\`
+<b>Use this command to configure me:</b>
+<code>/quicksetup Gaming community|Friendly|No spam, be respectful|all</code>
 
-**Format:**
-\`/quicksetup [purpose]|[tone]|[rules]|[triggers]\`
+<b>Format:</b>
+<code>/quicksetup [purpose]|[tone]|[rules]|[triggers]</code>
 
-**Example:**
-\`/quicksetup Tech support group|Professional|No spam, stay on topic|help,question,?\`
+<b>Example:</b>
+<code>/quicksetup Tech support group|Professional|No spam, stay on topic|help,question,?</code>
 
-Or type \`/setup\` for detailed instructions.`;
+Or type <code>/setup</code> for detailed instructions.`;
 
-        await this.bot.sendMessage(chatId, setupMsg, { parse_mode: 'Markdown' });
+        await this.renderer.send(chatId, setupMsg, { parse_mode: 'HTML' });
         
         console.log(`✅ Bot added to group ${chatId} (${chatTitle})`);
       } else if (newStatus === 'member') {
@@ -174,26 +283,26 @@ Example:
       triggers
     });
 
-    const summary = `✅ **Setup Complete!**
+    const summary = html`✅ <b>Setup Complete!</b>
 
 Your group is now configured:
 
-📋 **Purpose:** ${purpose}
-🎨 **Tone:** ${tone}
-📜 **Rules:** ${rules.length > 0 ? rules.join(', ') : 'None'}
-🎯 **Triggers:** ${triggers.join(', ')}
+📋 <b>Purpose:</b> ${purpose}
+🎨 <b>Tone:</b> ${tone}
+📜 <b>Rules:</b> ${rules.length > 0 ? rules.join(', ') : 'None'}
+🎯 <b>Triggers:</b> ${triggers.join(', ')}
 
 I'm now active and learning! 🧠
 
-**Commands:**
-/train <question>|<answer> - Teach me
+<b>Commands:</b>
+/train &lt;question&gt;|&lt;answer&gt; - Teach me
 /stats - View statistics
 /pause - Pause bot
 /help - Show all commands
 
 Try asking me a question!`;
 
-    await this.bot.sendMessage(chatId, summary, { parse_mode: 'Markdown' });
+    await this.renderer.send(chatId, summary, { parse_mode: 'HTML' });
     console.log(`✅ Quick setup completed for group ${chatId}`);
   }
 
@@ -238,6 +347,22 @@ Go to your group and use this command!`;
 
     if (data.startsWith('feedback_')) {
       await this.handleFeedback(query);
+    } else if (data.startsWith('search_')) {
+      await this.handleSearchPage(query);
+    } else if (data.startsWith('captcha_')) {
+      await this.handleCaptchaAnswer(query);
+    } else if (data.startsWith('raid_')) {
+      await this.handleRaidAction(query);
+    } else if (data.startsWith('review_')) {
+      await this.handleReviewDecision(query);
+    } else if (data.startsWith('knowledge_')) {
+      await this.handleKnowledgeAction(query);
+    } else if (data.startsWith('faq_')) {
+      await this.handleFaqAction(query);
+    } else if (data.startsWith('forget_')) {
+      await this.handleForgetConfirm(query);
+    } else if (data.startsWith('import_')) {
+      await this.handleImportConfirm(query);
     }
   }
 
@@ -247,12 +372,25 @@ Go to your group and use this command!`;
     const text = msg.text;
     const chatType = msg.chat.type;
 
-    // Skip if no text or if it's a command
-    if (!text || text.startsWith('/')) return;
+    // A file sent with /import as its caption
+    if (msg.document && /^\/import(?:@\w+)?\s*$/.test(msg.caption || '')) {
+      await this.handleImport(msg);
+      return;
+    }
+
+    // Skip commands and service messages; media still goes through flood control
+    if (text && text.startsWith('/')) return;
+    if (!text && !FloodControl.getMediaType(msg)) return;
 
-    // Only handle group messages
+    // Only handle group messages, plus edited answers admins send in DM
     if (chatType === 'group' || chatType === 'supergroup') {
+      if (text && msg.reply_to_message && this.faqEdits.has(`${chatId}:${msg.reply_to_message.message_id}`)) {
+        await this.handleFaqEdit(msg);
+        return;
+      }
       await this.handleGroupMessage(msg);
+    } else if (chatType === 'private' && text && this.knowledgeEdits.has(userId)) {
+      await this.handleKnowledgeEdit(msg);
     }
   }
 
@@ -272,8 +410,31 @@ Go to your group and use this command!`;
     // Check if bot is paused
     if (group.paused) return;
 
+    // Moderate before anything else; removed or held messages are not stored or answered
+    const exempt = await this.isExemptFromModeration(msg);
+    if (!exempt) {
+      const verdict = await this.moderation.process(msg, group, {
+        aiOptions: { ...this.getAIOptions(group), userId },
+        aiAllowed: () => this.checkAIQuota(group)
+      });
+      if (verdict) return;
+    }
+
+    // Only text is stored and answered
+    if (!text) return;
+
     // Store message for learning
-    await this.db.storeMessage(chatId, userId, text, messageId);
+    await this.db.storeMessage(chatId, userId, text, messageId, {
+      userName: msg.from.first_name,
+      username: msg.from.username,
+      replyToMessageId: msg.reply_to_message ? msg.reply_to_message.message_id : null
+    });
+
+    // Admin replies to questions are queued for approval, whether or not
+    // the bot itself would answer the message
+    if (msg.reply_to_message && (await this.getAdminIds(chatId)).has(userId)) {
+      await this.knowledgeQueue.propose(msg, group);
+    }
 
     // Check if we should respond
     const shouldRespond = await this.shouldRespond(msg, group);
@@ -282,34 +443,22 @@ Go to your group and use this command!`;
     // Show typing indicator
     await this.bot.sendChatAction(chatId, 'typing');
 
-    // Get user info
-    try {
-      const userInfo = await this.bot.getChatMember(chatId, userId);
-      const isAdmin = ['administrator', 'creator'].includes(userInfo.status);
-
-      // If admin is responding to a message, learn from it
-      if (isAdmin && msg.reply_to_message) {
-        const originalMessage = msg.reply_to_message.text;
-        if (originalMessage) {
-          await this.learnFromAdmin(chatId, originalMessage, text);
-        }
-      }
-    } catch (error) {
-      console.log('Could not check admin status:', error.message);
-    }
-
     // Check for learned response first
     const learnedResponse = await this.db.findLearnedResponse(chatId, text);
     
-    if (learnedResponse && learnedResponse.confidence > 0.7) {
+    if (learnedResponse && learnedResponse.score >= config.MIN_CONFIDENCE_THRESHOLD) {
       // Use learned response
-      const response = await this.bot.sendMessage(chatId, learnedResponse.answer, {
+      const sent = await this.renderer.sendAnswer(chatId, learnedResponse.answer, {
         reply_to_message_id: messageId
       });
+      const response = sent[sent.length - 1];
       
       await this.db.incrementResponseUsage(learnedResponse.id);
-      await this.addFeedbackButtons(chatId, response.message_id, learnedResponse.id);
-    } else {
+      const interactionId = await this.db.storeInteraction(
+        chatId, text, learnedResponse.answer, 'learned', messageId, response.message_id, learnedResponse.id
+      );
+      await this.addFeedbackButtons(chatId, response.message_id, interactionId);
+    } else if ((exempt || (await this.checkUserAILimit(msg, group))) && (await this.checkAIQuota(group))) {
       // Generate AI response
       await this.generateAIResponse(msg, group);
     }
@@ -342,9 +491,10 @@ Go to your group and use this command!`;
           return true;
         }
         
-        // Respond to common question words (even without ?)
+        // Respond to messages opening with a question word (even without ?).
+        // Only the opening word counts, "is"/"do" appear in most sentences.
         const questionWords = ['what', 'how', 'why', 'when', 'where', 'who', 'which', 'can', 'could', 'would', 'should', 'is', 'are', 'do', 'does'];
-        if (questionWords.some(word => text.startsWith(word + ' ') || text.includes(' ' + word + ' '))) {
+        if (questionWords.some(word => text.startsWith(word + ' '))) {
           console.log('🎯 Responding: Question word detected');
           return true;
         }
@@ -393,49 +543,260 @@ Go to your group and use this command!`;
     const messageId = msg.message_id;
 
     try {
-      // Get group context
-      const recentMessages = await this.db.getRecentMessages(chatId, 5);
+      // Recent conversation, reply chain and earlier answers as chat turns
+      const [system, ...history] = await this.contextBuilder.build(msg, group);
+      const question = history.pop();
+
+      // Only standalone questions are cached, follow-ups depend on the thread
+      const cacheable = !msg.reply_to_message;
+      const aiOptions = {
+        ...this.getAIOptions(group),
+        userId: msg.from.id,
+        purpose: 'answer',
+        cacheKey: text
+      };
+
+      // Streaming providers fill in a placeholder reply as the answer arrives
+      let streamingReply = null;
+      if (config.AI_STREAMING && this.ai.supportsStreaming(aiOptions)) {
+        streamingReply = new StreamingReply(this.renderer, chatId, messageId);
+        await streamingReply.start();
+        aiOptions.onChunk = (textSoFar) => streamingReply.update(textSoFar);
+      }
 
-      // Build context for AI
-      const systemContext = `You are a helpful AI assistant for a Telegram group.
-Group Purpose: ${group.purpose}
-Tone: ${group.tone}
-Rules: ${group.rules ? group.rules.join(', ') : 'None'}
+      // Get AI response
+      const result = await this.ai.getResponseWithHistory(
+        question.content,
+        [system, ...history],
+        cacheable ? chatId : null,
+        aiOptions
+      );
 
-Answer the user's question naturally and helpfully. Keep responses concise (under 200 words).`;
+      if (!result.ok) {
+        // Let the user know, but a fallback is never stored or rated
+        if (streamingReply) {
+          await streamingReply.fail(result.fallback);
+        } else {
+          await this.bot.sendMessage(chatId, result.fallback, {
+            reply_to_message_id: messageId
+          });
+        }
+        return;
+      }
 
-      // Get AI response
-      const aiResponse = await this.ai.getResponse(text, systemContext);
+      // Send response, long answers continue in follow-up messages
+      const sent = streamingReply
+        ? await streamingReply.finish(result.text)
+        : await this.renderer.sendAnswer(chatId, result.text, { reply_to_message_id: messageId });
+      const response = sent[sent.length - 1];
 
-      if (aiResponse) {
-        // Send response
-        const response = await this.bot.sendMessage(chatId, aiResponse, {
-          reply_to_message_id: messageId
-        });
+      // Store for learning
+      const interactionId = await this.db.storeInteraction(
+        chatId, text, result.text, result.cached ? 'cache' : 'ai', messageId, response.message_id
+      );
 
-        // Store for learning
-        await this.db.storeInteraction(chatId, text, aiResponse, 'ai', messageId, response.message_id);
-        
-        // Add feedback buttons
-        await this.addFeedbackButtons(chatId, response.message_id, null);
-      }
+      // Add feedback buttons
+      await this.addFeedbackButtons(chatId, response.message_id, interactionId);
     } catch (error) {
       console.error('Error generating AI response:', error);
     }
   }
 
-  async learnFromAdmin(chatId, question, answer) {
-    await this.db.addLearnedResponse(chatId, question, answer, 'admin');
-    console.log(`📚 Learned from admin: Q: "${question.substring(0, 30)}..." A: "${answer.substring(0, 30)}..."`);
+  /**
+   * Provider selection for AI calls made on behalf of a group
+   */
+  getAIOptions(group) {
+    const ai = group && group.settings ? group.settings.ai : {};
+    return {
+      provider: ai.provider || null,
+      model: ai.model || null,
+      groupId: group ? group.group_id : null
+    };
   }
 
-  async addFeedbackButtons(chatId, messageId, responseId) {
-    const keyboard = {
-      inline_keyboard: [[
-        { text: '👍', callback_data: `feedback_good_${responseId || messageId}` },
-        { text: '👎', callback_data: `feedback_bad_${responseId || messageId}` }
-      ]]
-    };
+  /**
+   * Per-user AI rate limit, so one member can't use up the group's AI
+   * budget. The user is told once per window when they hit it.
+   */
+  async checkUserAILimit(msg, group) {
+    const limit = this.floodControl.allowAIRequest(msg.chat.id, msg.from.id, group.settings.flood);
+    if (limit.allowed) return true;
+
+    if (limit.notify) {
+      const minutes = Math.ceil(limit.retryAfterSeconds / 60);
+      await this.bot.sendMessage(
+        msg.chat.id,
+        `⏳ You've asked a lot of questions recently. Try again in about ${minutes} minute(s).`,
+        { reply_to_message_id: msg.message_id }
+      );
+    }
+    return false;
+  }
+
+  /**
+   * Whether the group may make another AI request. Warns admins once per
+   * period when a quota is nearly used up and when it runs out; past the
+   * cutoff the bot only answers from learned responses.
+   */
+  async checkAIQuota(group) {
+    const chatId = group.group_id;
+    const status = await this.usage.checkQuota(group);
+
+    for (const quota of status.warnings) {
+      if (await this.usage.shouldNotify(chatId, quota, 'warning')) {
+        const usage = quota === 'daily' ? status.today : status.month;
+        await this.notifyAdmins(
+          chatId,
+          `⚠️ ${group.group_name || 'Your group'} has used ${usage.used}/${usage.limit} of its ${quota} AI quota.`
+        );
+      }
+    }
+
+    if (!status.allowed) {
+      if (await this.usage.shouldNotify(chatId, status.exceeded, 'exceeded')) {
+        await this.notifyAdmins(
+          chatId,
+          `🛑 ${group.group_name || 'Your group'} reached its ${status.exceeded} AI quota. ` +
+          `I'll only answer from learned responses until it resets. Use /usage in the group for details.`
+        );
+      }
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * DM every human admin of a group. Admins who never started a private
+   * chat with the bot can't be reached and are skipped.
+   * Resolves with the number of admins reached.
+   */
+  async notifyAdmins(chatId, text, options = {}) {
+    let delivered = 0;
+
+    try {
+      const admins = await this.bot.getChatAdministrators(chatId);
+      for (const admin of admins) {
+        if (admin.user.is_bot) continue;
+        try {
+          await this.bot.sendMessage(admin.user.id, text, options);
+          delivered++;
+        } catch (error) {
+          // Admin hasn't started the bot
+        }
+      }
+    } catch (error) {
+      console.error('Error notifying admins:', error.message);
+    }
+
+    return delivered;
+  }
+
+  /**
+   * IDs of a chat's admins, cached for a few minutes so moderation doesn't
+   * query Telegram on every message
+   */
+  async getAdminIds(chatId) {
+    const cached = this.adminCache.get(chatId);
+    if (cached && cached.expiresAt > Date.now()) return cached.ids;
+
+    try {
+      const admins = await this.bot.getChatAdministrators(chatId);
+      const ids = new Set(admins.map(admin => admin.user.id));
+      this.adminCache.set(chatId, { ids, expiresAt: Date.now() + ADMIN_CACHE_TTL_MS });
+      return ids;
+    } catch (error) {
+      console.error('Error getting chat admins:', error.message);
+      return cached ? cached.ids : new Set();
+    }
+  }
+
+  /**
+   * Admins, anonymous admins (posting as the group) and the group's
+   * linked channel are never moderated
+   */
+  async isExemptFromModeration(msg) {
+    if (msg.sender_chat && (msg.sender_chat.id === msg.chat.id || msg.is_automatic_forward)) {
+      return true;
+    }
+    const adminIds = await this.getAdminIds(msg.chat.id);
+    return adminIds.has(msg.from.id);
+  }
+
+  /**
+   * Admin guard for group-only admin commands. Replies with the reason
+   * and resolves with null when the command can't be used here.
+   */
+  async requireGroupAdmin(msg) {
+    const chatId = msg.chat.id;
+
+    if (msg.chat.type === 'private') {
+      await this.bot.sendMessage(chatId, '❌ This command only works in groups!');
+      return null;
+    }
+
+    if (!(await this.isChatAdmin(chatId, msg.from.id))) {
+      await this.bot.sendMessage(chatId, '❌ Only admins can use this.');
+      return null;
+    }
+
+    return this.db.getGroup(chatId);
+  }
+
+  /**
+   * Find the user a moderation command is about: the author of the
+   * replied-to message, a text mention, an @username seen in the group or
+   * a numeric user id. Resolves with { user: { id, name }, rest } where rest
+   * is the remaining argument text, or { user: null, rest }.
+   */
+  async resolveTargetUser(msg, argText) {
+    const text = (argText || '').trim();
+
+    if (msg.reply_to_message && !msg.reply_to_message.sender_chat) {
+      const from = msg.reply_to_message.from;
+      return { user: { id: from.id, name: from.first_name || from.username }, rest: text };
+    }
+
+    const [first = '', ...others] = text.split(/\s+/);
+    const rest = others.join(' ');
+
+    const mention = (msg.entities || []).find(e => e.type === 'text_mention' && e.user);
+    if (mention) {
+      const mentionText = msg.text.substring(mention.offset, mention.offset + mention.length);
+      return {
+        user: { id: mention.user.id, name: mention.user.first_name },
+        rest: text.replace(mentionText, '').trim()
+      };
+    }
+
+    if (first.startsWith('@')) {
+      const found = await this.db.findUserByUsername(msg.chat.id, first);
+      return {
+        user: found ? { id: found.user_id, name: found.user_name || found.username } : null,
+        rest
+      };
+    }
+
+    if (/^\d+$/.test(first)) {
+      return { user: { id: parseInt(first), name: null }, rest };
+    }
+
+    return { user: null, rest: text };
+  }
+
+  async isChatAdmin(chatId, userId) {
+    try {
+      const member = await this.bot.getChatMember(chatId, userId);
+      return ['administrator', 'creator'].includes(member.status);
+    } catch (error) {
+      console.error('Error checking admin status:', error);
+      return false;
+    }
+  }
+
+  async addFeedbackButtons(chatId, messageId, interactionId) {
+    if (!interactionId) return;
+    const keyboard = this.getFeedbackKeyboard(interactionId);
 
     setTimeout(async () => {
       try {
@@ -449,26 +810,76 @@ Answer the user's question naturally and helpfully. Keep responses concise (unde
     }, 1000);
   }
 
+  /**
+   * 👍/👎 buttons for an answer, with the vote counts so far
+   */
+  getFeedbackKeyboard(interactionId, up = 0, down = 0) {
+    return {
+      inline_keyboard: [[
+        { text: up > 0 ? `👍 ${up}` : '👍', callback_data: `feedback_up_${interactionId}` },
+        { text: down > 0 ? `👎 ${down}` : '👎', callback_data: `feedback_down_${interactionId}` }
+      ]]
+    };
+  }
+
+  /**
+   * One vote per user per answer, changeable. Votes on learned answers
+   * adjust their confidence; AI answers with enough 👍 get learned.
+   */
   async handleFeedback(query) {
-    const [, sentiment, id] = query.data.split('_');
-    
+    const [, direction, idStr] = query.data.split('_');
+    const interaction = ['up', 'down'].includes(direction) ? await this.db.getInteraction(parseInt(idStr)) : null;
+
+    // Buttons from before votes were tracked per answer, or for answers since cleaned up
+    if (!interaction) {
+      await this.bot.answerCallbackQuery(query.id, { text: '⌛ Voting on this answer has closed.' });
+      try {
+        await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+          chat_id: query.message.chat.id,
+          message_id: query.message.message_id
+        });
+      } catch (error) {
+        // Ignore
+      }
+      return;
+    }
+
+    const vote = direction === 'up' ? 1 : -1;
+    const result = await this.db.recordFeedbackVote(interaction.id, query.from.id, vote);
+    if (!result) {
+      await this.bot.answerCallbackQuery(query.id, { text: '❌ Could not save your vote, please try again.' });
+      return;
+    }
+
+    if (result.previous === vote) {
+      await this.bot.answerCallbackQuery(query.id, { text: `ℹ️ You already voted ${vote > 0 ? '👍' : '👎'}.` });
+      return;
+    }
+
     await this.bot.answerCallbackQuery(query.id, {
-      text: sentiment === 'good' ? '✅ Thanks!' : '👎 I\'ll improve!'
+      text: vote > 0 ? '✅ Thanks!' : '👎 I\'ll improve!'
     });
 
-    // Update confidence score
-    if (id !== 'null') {
-      await this.db.updateResponseConfidence(id, sentiment === 'good');
+    if (interaction.response_id) {
+      await this.db.applyResponseVote(interaction.response_id, vote, result.previous);
+    } else if (vote > 0) {
+      const group = await this.db.getGroup(interaction.group_id);
+      if (group) {
+        await this.knowledgeQueue.promoteInteraction(
+          { ...interaction, up_votes: result.up, down_votes: result.down },
+          group
+        );
+      }
     }
 
-    // Remove buttons
+    // Show the live counts
     try {
-      await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+      await this.bot.editMessageReplyMarkup(this.getFeedbackKeyboard(interaction.id, result.up, result.down), {
         chat_id: query.message.chat.id,
         message_id: query.message.message_id
       });
     } catch (error) {
-      // Ignore
+      // Ignore "message is not modified"
     }
   }
 
@@ -478,15 +889,189 @@ Answer the user's question naturally and helpfully. Keep responses concise (unde
     
     if (!group || !group.setup_complete) return;
 
-    const newMembers = msg.new_chat_members;
+    const newMembers = msg.new_chat_members.filter(member => !member.is_bot);
+    const captcha = group.settings.captcha;
+    // Members added by an admin are trusted
+    const addedByAdmin = (await this.getAdminIds(chatId)).has(msg.from.id);
+    const untrusted = newMembers.filter(member => member.id === msg.from.id || !addedByAdmin);
+
+    for (const member of newMembers) {
+      await this.db.recordMemberJoin(chatId, member.id);
+    }
+
+    // During a lockdown joiners are restricted and not welcomed
+    const lockdown = await this.raidDetector.handleJoins(msg.chat, untrusted, group.settings.raid);
+    if (lockdown) return;
+
     for (const member of newMembers) {
-      if (!member.is_bot) {
-        const welcomeMsg = `👋 Welcome ${member.first_name}!\n\n${group.purpose}`;
-        await this.bot.sendMessage(chatId, welcomeMsg);
+      if (captcha.enabled && untrusted.includes(member) &&
+        (await this.captcha.challenge(msg.chat, member, captcha, msg.message_id))) {
+        continue; // welcomed once verified
+      }
+
+      await this.sendWelcome(chatId, group, member.first_name);
+    }
+  }
+
+  async sendWelcome(chatId, group, name) {
+    const welcomeMsg = `👋 Welcome ${name}!\n\n${group.purpose}`;
+    await this.bot.sendMessage(chatId, welcomeMsg);
+  }
+
+  /**
+   * Buttons on the lockdown DM sent to admins
+   */
+  async handleRaidAction(query) {
+    const [, action, idStr] = query.data.split('_');
+    const lockdown = await this.db.getLockdown(parseInt(idStr));
+
+    if (!lockdown || !(await this.isChatAdmin(lockdown.group_id, query.from.id))) {
+      await this.bot.answerCallbackQuery(query.id, { text: '❌ Only admins of that group can do this.' });
+      return;
+    }
+
+    let result;
+    if (action === 'ban') {
+      const banned = await this.raidDetector.banAll(lockdown.id, query.from.id);
+      result = `⛔ Banned ${banned} account(s) that joined during the raid.`;
+    } else {
+      const released = await this.raidDetector.endLockdown(lockdown.id, query.from.id);
+      result = released === null
+        ? 'ℹ️ That lockdown had already ended.'
+        : `🔓 Lockdown ended, ${released} member(s) released.`;
+    }
+
+    await this.bot.answerCallbackQuery(query.id, { text: result.substring(0, 200) });
+    await this.bot.sendMessage(query.message.chat.id, result);
+  }
+
+  /**
+   * Approve/Remove/Ban buttons on a review DM. The first admin to decide
+   * wins; later presses just report what happened.
+   */
+  async handleReviewDecision(query) {
+    const [, decision, idStr] = query.data.split('_');
+    const item = await this.db.getReviewItem(parseInt(idStr));
+
+    if (!item || !(await this.isChatAdmin(item.group_id, query.from.id))) {
+      await this.bot.answerCallbackQuery(query.id, { text: '❌ Only admins of that group can do this.' });
+      return;
+    }
+
+    const result = await this.reviewQueue.decide(item.id, decision, query.from);
+    if (!result.ok) {
+      await this.bot.answerCallbackQuery(query.id, { text: `ℹ️ Already handled (${result.status}).` });
+      return;
+    }
+
+    const outcomes = {
+      approved: '✅ Approved, the message stays.',
+      removed: '🗑 Removed, the author got a warning.',
+      banned: '⛔ Removed and the author was banned.'
+    };
+    await this.bot.answerCallbackQuery(query.id, { text: outcomes[result.status] });
+
+    // Admin decisions on spam verdicts are the best training data there is
+    if (result.item.rule === 'spam' && result.item.message_text) {
+      await this.spamClassifier.train(result.item.group_id, result.item.message_text, result.status !== 'approved');
+    }
+
+    try {
+      await this.renderer.edit(query.message.chat.id, query.message.message_id,
+        `${query.message.text}\n\n${outcomes[result.status]} (${query.from.first_name})`);
+    } catch (error) {
+      console.error('Error updating review message:', error.message);
+    }
+  }
+
+  /**
+   * Approve/Edit/Reject buttons on a candidate answer, in a DM or /pending
+   */
+  async handleKnowledgeAction(query) {
+    const [, action, idStr] = query.data.split('_');
+    const item = await this.db.getPendingKnowledgeItem(parseInt(idStr));
+
+    if (!item || !(await this.isChatAdmin(item.group_id, query.from.id))) {
+      await this.bot.answerCallbackQuery(query.id, { text: '❌ Only admins of that group can do this.' });
+      return;
+    }
+
+    if (item.status !== 'pending') {
+      await this.bot.answerCallbackQuery(query.id, { text: `ℹ️ Already ${item.status}.` });
+      return;
+    }
+
+    if (action === 'edit') {
+      try {
+        await this.renderer.send(query.from.id,
+          html`✏️ Send me the corrected answer for:\n<b>Q:</b> ${item.question.substring(0, 500)}\n\n` +
+          'It will be saved as approved. Send "cancel" to keep the candidate as it is.',
+          { parse_mode: 'HTML' });
+        this.knowledgeEdits.set(query.from.id, { itemId: item.id, expiresAt: Date.now() + KNOWLEDGE_EDIT_TTL_MS });
+        await this.bot.answerCallbackQuery(query.id, { text: '✏️ Send the new answer in our private chat.' });
+      } catch (error) {
+        await this.bot.answerCallbackQuery(query.id, { text: '❌ Start a private chat with me first, then try again.' });
+      }
+      return;
+    }
+
+    const result = await this.knowledgeQueue.decide(item.id, action, query.from);
+    let outcome = result.status === 'approved' ? '✅ Approved, I\'ll use this answer.' : '🗑 Rejected.';
+    if (result.aliasOf) outcome = `🔗 Added as another phrasing of #${result.aliasOf}.`;
+    await this.bot.answerCallbackQuery(query.id, { text: result.ok ? outcome : `ℹ️ Already ${result.status}.` });
+
+    if (result.ok) {
+      try {
+        await this.renderer.edit(query.message.chat.id, query.message.message_id,
+          `${query.message.text}\n\n${outcome} (${query.from.first_name})`);
+      } catch (error) {
+        console.error('Error updating candidate message:', error.message);
       }
     }
   }
 
+  /**
+   * The corrected answer an admin sends in DM after pressing Edit
+   */
+  async handleKnowledgeEdit(msg) {
+    const userId = msg.from.id;
+    const edit = this.knowledgeEdits.get(userId);
+    this.knowledgeEdits.delete(userId);
+
+    if (edit.expiresAt < Date.now()) {
+      await this.bot.sendMessage(msg.chat.id, '⌛ That edit timed out. Press Edit again to retry.');
+      return;
+    }
+
+    if (msg.text.trim().toLowerCase() === 'cancel') {
+      await this.bot.sendMessage(msg.chat.id, '👌 Edit cancelled, the candidate is still pending.');
+      return;
+    }
+
+    const item = await this.db.getPendingKnowledgeItem(edit.itemId);
+    if (!item || !(await this.isChatAdmin(item.group_id, userId))) {
+      await this.bot.sendMessage(msg.chat.id, '❌ Only admins of that group can do this.');
+      return;
+    }
+
+    const result = await this.knowledgeQueue.decide(item.id, 'approve', msg.from, msg.text.trim());
+    await this.bot.sendMessage(
+      msg.chat.id,
+      result.ok ? '✅ Saved your answer, I\'ll use it from now on.' : `ℹ️ That candidate was already ${result.status}.`
+    );
+  }
+
+  async handleCaptchaAnswer(query) {
+    const group = await this.db.getGroup(query.message.chat.id);
+    if (!group) {
+      await this.bot.answerCallbackQuery(query.id);
+      return;
+    }
+
+    await this.captcha.handleAnswer(query, group.settings.captcha, (chat, name) =>
+      this.sendWelcome(chat.id, group, name));
+  }
+
   async handleTrain(msg, match) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
@@ -503,21 +1088,24 @@ Answer the user's question naturally and helpfully. Keep responses concise (unde
       return;
     }
 
-    // Parse training data
-    const parts = input.split('|');
-    if (parts.length !== 2) {
+    // Parse training data: a single | splits questions from the answer,
+    // || separates other phrasings of the question
+    const parts = input.split(/(?<!\|)\|(?!\|)/);
+    const [question, ...aliases] = (parts[0] || '').split('||').map(p => p.trim()).filter(Boolean);
+    const answer = (parts[1] || '').trim();
+    if (parts.length !== 2 || !question || !answer) {
       await this.bot.sendMessage(
         chatId,
-        '❌ Invalid format. Use: `/train question|answer`',
+        '❌ Invalid format. Use: `/train question|answer` or `/train question||other phrasing|answer`',
         { parse_mode: 'Markdown' }
       );
       return;
     }
 
-    const [question, answer] = parts.map(p => p.trim());
-    await this.db.addLearnedResponse(chatId, question, answer, 'manual');
-    
-    await this.bot.sendMessage(chatId, `✅ Learned! I'll respond to: "${question}"`);
+    await this.db.addLearnedResponse(chatId, question, answer, 'manual', aliases);
+
+    const also = aliases.length > 0 ? ` (and ${aliases.length} other phrasing(s))` : '';
+    await this.bot.sendMessage(chatId, `✅ Learned! I'll respond to: "${question}"${also}`);
   }
 
   async handleStats(msg) {
@@ -525,18 +1113,24 @@ Answer the user's question naturally and helpfully. Keep responses concise (unde
     
     try {
       const stats = await this.db.getGroupStats(chatId);
+      const cacheStats = await this.cache.getStats(chatId);
+
+      const topics = stats.topTopics.length > 0
+        ? 'Most common topics:\n' + stats.topTopics.map((t, i) => html`${i + 1}. ${t.topic} (${t.count}x)`).join('\n')
+        : '';
 
-      const statsMessage = `📊 **Bot Statistics**
+      const statsMessage = `📊 <b>Bot Statistics</b>
 
 💬 Total Messages: ${stats.totalMessages}
 🤖 Bot Responses: ${stats.botResponses}
 📚 Learned Responses: ${stats.learnedResponses}
 👥 Active Users: ${stats.activeUsers}
 📈 Accuracy: ${stats.accuracy}%
+🗃️ Answer Cache: ${cacheStats.entries} entries, ${cacheStats.hitRate}% hit rate
 
-${stats.topTopics.length > 0 ? 'Most common topics:\n' + stats.topTopics.map((t, i) => `${i + 1}. ${t.topic} (${t.count}x)`).join('\n') : ''}`;
+${topics}`;
 
-      await this.bot.sendMessage(chatId, statsMessage, { parse_mode: 'Markdown' });
+      await this.renderer.send(chatId, statsMessage, { parse_mode: 'HTML' });
     } catch (error) {
       console.error('Error getting stats:', error);
       await this.bot.sendMessage(chatId, '❌ Error retrieving statistics.');
@@ -558,70 +1152,1362 @@ ${stats.topTopics.length > 0 ? 'Most common topics:\n' + stats.topTopics.map((t,
       return;
     }
 
-    const deleted = await this.db.forgetLearnedData(chatId, keyword);
-    await this.bot.sendMessage(chatId, `✅ Forgot ${deleted} response(s) containing "${keyword}"`);
-  }
+    const matches = await this.db.findLearnedDataMatches(chatId, keyword);
+    if (matches.length === 0) {
+      await this.bot.sendMessage(chatId, `ℹ️ No learned responses contain "${keyword}".`);
+      return;
+    }
 
-  async handleHelp(msg) {
-    const helpMessage = `🤖 **AI Group Manager Bot**
+    // Drop expired previews before adding a new one
+    const now = Date.now();
+    for (const [token, preview] of this.forgetPreviews) {
+      if (now - preview.createdAt > FORGET_PREVIEW_TTL_MS) {
+        this.forgetPreviews.delete(token);
+      }
+    }
 
-**Setup:**
-\`/quicksetup [purpose]|[tone]|[rules]|[triggers]\`
-\`/setup\` - Show setup instructions
+    const token = now.toString(36) + Math.random().toString(36).substring(2, 6);
+    this.forgetPreviews.set(token, { chatId, keyword, ids: matches.map(row => row.id), createdAt: now });
+
+    const lines = matches.slice(0, FORGET_PREVIEW_SHOWN)
+      .map(row => html`#${row.id} ${row.question.replace(/\s+/g, ' ').substring(0, 80)}`);
+    const more = matches.length > FORGET_PREVIEW_SHOWN ? `\n…and ${matches.length - FORGET_PREVIEW_SHOWN} more` : '';
+
+    await this.renderer.send(chatId,
+      html`🗑 This will forget <b>${matches.length}</b> response(s) containing "${keyword}":\n\n` +
+      lines.join('\n') + more,
+      {
+        parse_mode: 'HTML',
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '🗑 Forget them', callback_data: `forget_ok_${token}` },
+            { text: '✖️ Cancel', callback_data: `forget_cancel_${token}` }
+          ]]
+        }
+      });
+  }
 
-**Admin Commands:**
-\`/train <q>|<a>\` - Teach response
-\`/forget <keyword>\` - Remove data
-\`/stats\` - View statistics
-\`/pause\` - Pause bot
-\`/resume\` - Resume bot
-\`/export\` - Export data
+  /**
+   * Confirm or cancel a /forget preview; only the previewed entries are
+   * deleted, even if more have matched since
+   */
+  async handleForgetConfirm(query) {
+    const [, action, token] = query.data.split('_');
+    const preview = this.forgetPreviews.get(token);
 
-**General:**
-\`/help\` - This message
-\`/privacy\` - Privacy info
+    if (!preview) {
+      await this.bot.answerCallbackQuery(query.id, { text: '⌛ Preview expired, run /forget again.' });
+      return;
+    }
 
-React with 👍/👎 to help me learn!`;
+    if (!(await this.isChatAdmin(preview.chatId, query.from.id))) {
+      await this.bot.answerCallbackQuery(query.id, { text: '❌ Only admins can do this.' });
+      return;
+    }
 
-    await this.bot.sendMessage(msg.chat.id, helpMessage, { parse_mode: 'Markdown' });
-  }
+    this.forgetPreviews.delete(token);
 
-  async handlePause(msg) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
+    let outcome;
+    if (action === 'ok') {
+      const deleted = await this.db.deleteLearnedResponses(preview.chatId, preview.ids);
+      outcome = `✅ Forgot ${deleted} response(s) containing "${preview.keyword}"`;
+    } else {
+      outcome = '👌 Nothing was forgotten.';
+    }
 
+    await this.bot.answerCallbackQuery(query.id);
     try {
-      const member = await this.bot.getChatMember(chatId, userId);
-      if (!['administrator', 'creator'].includes(member.status)) {
-        await this.bot.sendMessage(chatId, '❌ Only admins can use this.');
-        return;
-      }
+      await this.renderer.edit(query.message.chat.id, query.message.message_id, outcome);
     } catch (error) {
-      return;
+      console.error('Error updating forget preview:', error.message);
     }
-
-    await this.db.togglePause(chatId, true);
-    await this.bot.sendMessage(chatId, '⏸️ Bot paused. Use /resume to continue.');
   }
 
-  async handleResume(msg) {
+  /**
+   * /import - sent as the caption of a JSON or CSV file, or as a reply to
+   * one. Shows a validation report; the import runs once an admin picks
+   * merge or replace.
+   */
+  async handleImport(msg) {
     const chatId = msg.chat.id;
-    const userId = msg.from.id;
+    const group = await this.requireGroupAdmin(msg);
+    if (!group) return;
+
+    const document = msg.document || (msg.reply_to_message && msg.reply_to_message.document);
+    if (!document) {
+      await this.bot.sendMessage(chatId,
+        '📥 Send a JSON file from /export or a CSV file with question,answer columns ' +
+        'with /import as its caption, or reply /import to one.');
+      return;
+    }
+
+    if (document.file_size > MAX_IMPORT_BYTES) {
+      await this.bot.sendMessage(chatId, `❌ Files can be at most ${MAX_IMPORT_BYTES / 1024 / 1024} MB.`);
+      return;
+    }
 
+    let content;
     try {
-      const member = await this.bot.getChatMember(chatId, userId);
-      if (!['administrator', 'creator'].includes(member.status)) {
-        await this.bot.sendMessage(chatId, '❌ Only admins can use this.');
-        return;
-      }
+      const url = await this.bot.getFileLink(document.file_id);
+      const response = await axios.get(url, { responseType: 'text', transformResponse: [data => data], timeout: 30000 });
+      content = response.data;
     } catch (error) {
+      console.error('Error downloading import file:', error.message);
+      await this.bot.sendMessage(chatId, '❌ Could not download that file. Please try again.');
       return;
     }
 
-    await this.db.togglePause(chatId, false);
+    const parsed = parseImportFile(document.file_name, content);
+    if (parsed.error) {
+      await this.bot.sendMessage(chatId, `❌ ${parsed.error}`);
+      return;
+    }
+    if (parsed.entries.length > MAX_IMPORT_ROWS) {
+      await this.bot.sendMessage(chatId, `❌ Imports can have at most ${MAX_IMPORT_ROWS} rows.`);
+      return;
+    }
+
+    const current = await this.db.getLearnedQuestions(chatId);
+    const report = validateImport(parsed.entries, new Set(current.map(question => question.toLowerCase())));
+    const unit = parsed.format === 'csv' ? 'line' : 'entry';
+
+    const lines = [
+      html`📥 <b>Import check</b> · ${document.file_name || parsed.format.toUpperCase()}`,
+      '',
+      `✅ ${report.rows.length} valid row(s), ${report.existing} already in this group`
+    ];
+    if (report.duplicates.length > 0) {
+      lines.push(`♊️ ${report.duplicates.length} duplicate(s) in the file, skipped: ` +
+        `${unit} ${report.duplicates.slice(0, IMPORT_PROBLEMS_SHOWN).join(', ')}` +
+        (report.duplicates.length > IMPORT_PROBLEMS_SHOWN ? ', …' : ''));
+    }
+    if (report.malformed.length > 0) {
+      lines.push(`⚠️ ${report.malformed.length} malformed row(s), skipped:`);
+      lines.push(...report.malformed.slice(0, IMPORT_PROBLEMS_SHOWN).map(problem => `   ${unit} ${problem.line}: ${problem.reason}`));
+      if (report.malformed.length > IMPORT_PROBLEMS_SHOWN) lines.push('   …');
+    }
+
+    if (report.rows.length === 0) {
+      lines.push('', 'Nothing to import.');
+      await this.renderer.send(chatId, lines.join('\n'), { parse_mode: 'HTML' });
+      return;
+    }
+
+    lines.push(
+      '',
+      `<b>Merge</b> adds new questions and updates the answers of the ${report.existing} existing one(s).`,
+      `<b>Replace</b> deletes all ${current.length} current learned response(s) first.`
+    );
+
+    // Drop expired previews before adding a new one
+    const now = Date.now();
+    for (const [token, preview] of this.importPreviews) {
+      if (now - preview.createdAt > IMPORT_PREVIEW_TTL_MS) {
+        this.importPreviews.delete(token);
+      }
+    }
+
+    const token = now.toString(36) + Math.random().toString(36).substring(2, 6);
+    this.importPreviews.set(token, { chatId, rows: report.rows, createdAt: now });
+
+    await this.renderer.send(chatId, lines.join('\n'), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '➕ Merge', callback_data: `import_merge_${token}` },
+          { text: '♻️ Replace', callback_data: `import_replace_${token}` },
+          { text: '✖️ Cancel', callback_data: `import_cancel_${token}` }
+        ]]
+      }
+    });
+  }
+
+  async handleImportConfirm(query) {
+    const [, action, token] = query.data.split('_');
+    const preview = this.importPreviews.get(token);
+
+    if (!preview) {
+      await this.bot.answerCallbackQuery(query.id, { text: '⌛ Import expired, send the file again.' });
+      return;
+    }
+
+    if (!(await this.isChatAdmin(preview.chatId, query.from.id))) {
+      await this.bot.answerCallbackQuery(query.id, { text: '❌ Only admins can do this.' });
+      return;
+    }
+
+    this.importPreviews.delete(token);
+    await this.bot.answerCallbackQuery(query.id);
+
+    let outcome;
+    if (action === 'cancel') {
+      outcome = '👌 Import cancelled, nothing was changed.';
+    } else {
+      const result = await this.db.importLearnedResponses(preview.chatId, preview.rows, action);
+      outcome = result
+        ? `✅ Imported: ${result.added} added, ${result.updated} updated` +
+          (action === 'replace' ? `, ${result.removed} removed` : '') + '.'
+        : '❌ Import failed, nothing was changed.';
+      if (result) {
+        console.log(`📥 Imported ${preview.rows.length} learned response(s) into ${preview.chatId} (${action})`);
+      }
+    }
+
+    try {
+      await this.renderer.edit(query.message.chat.id, query.message.message_id, outcome);
+    } catch (error) {
+      console.error('Error updating import message:', error.message);
+    }
+  }
+
+  /**
+   * /faq [page] - browse learned responses and edit, delete or reset them
+   * /faq settings | decay on|off | idle <days> | retire <0-1>|off | report on|off
+   */
+  async handleFaq(msg, match) {
+    const chatId = msg.chat.id;
+    const group = await this.requireGroupAdmin(msg);
+    if (!group) return;
+
+    const [option, value] = match[1] ? match[1].trim().toLowerCase().split(/\s+/) : [];
+    if (option && !/^\d+$/.test(option)) {
+      await this.handleFaqSettings(chatId, group.settings.learning, option, value);
+      return;
+    }
+
+    const page = Math.max(parseInt(option) || 1, 1) - 1;
+    const view = await this.renderFaqPage(chatId, page);
+    await this.renderer.send(chatId, view.text, { parse_mode: 'HTML', reply_markup: view.keyboard });
+  }
+
+  async handleFaqSettings(chatId, settings, option, value) {
+    const number = parseFloat(value);
+
+    if (option === 'settings') {
+      await this.bot.sendMessage(
+        chatId,
+        `📉 Unused answers decay: ${settings.decay ? 'on' : 'off'}\n` +
+        `Idle before decaying: ${settings.idleDays} days\n` +
+        `Retired below confidence: ${settings.retireBelow > 0 ? settings.retireBelow.toFixed(2) : 'never'}\n` +
+        `Admin report: ${settings.report ? 'on' : 'off'}\n\n` +
+        `/faq decay on|off\n` +
+        `/faq idle <days>\n` +
+        `/faq retire <0-1>|off\n` +
+        `/faq report on|off\n\n` +
+        'Retired answers are kept; restore them from /faq.'
+      );
+      return;
+    }
+
+    if (['decay', 'report'].includes(option) && ['on', 'off'].includes(value)) {
+      await this.db.updateGroupSettings(chatId, { learning: { [option]: value === 'on' } });
+      await this.bot.sendMessage(chatId, `✅ ${option === 'decay' ? 'Decay of unused answers' : 'Admin report'} turned ${value}.`);
+      return;
+    }
+
+    if (option === 'idle' && Number.isInteger(number) && number >= 1 && number <= 365) {
+      await this.db.updateGroupSettings(chatId, { learning: { idleDays: number } });
+      await this.bot.sendMessage(chatId, `✅ Answers start to decay after ${number} days without use.`);
+      return;
+    }
+
+    if (option === 'retire' && (value === 'off' || (number >= 0 && number < 1))) {
+      const retireBelow = value === 'off' ? 0 : number;
+      await this.db.updateGroupSettings(chatId, { learning: { retireBelow } });
+      await this.bot.sendMessage(chatId, retireBelow > 0
+        ? `✅ Answers below ${retireBelow.toFixed(2)} confidence will be retired.`
+        : '✅ Answers will never be retired automatically.');
+      return;
+    }
+
+    await this.bot.sendMessage(chatId, '❌ Invalid option. Use /faq settings to see the available settings.');
+  }
+
+  async renderFaqPage(chatId, page) {
+    let { items, total } = await this.db.getLearnedResponses(chatId, FAQ_PAGE_SIZE, page * FAQ_PAGE_SIZE);
+
+    // The last page may have emptied after a delete
+    if (items.length === 0 && total > 0) {
+      page = Math.floor((total - 1) / FAQ_PAGE_SIZE);
+      ({ items, total } = await this.db.getLearnedResponses(chatId, FAQ_PAGE_SIZE, page * FAQ_PAGE_SIZE));
+    }
+
+    if (total === 0) {
+      return { text: '📚 No learned responses yet. Teach me with /train or approve answers with /pending.', keyboard: { inline_keyboard: [] } };
+    }
+
+    const pages = Math.ceil(total / FAQ_PAGE_SIZE);
+    const lines = items.map(item =>
+      html`<b>#${item.id}</b> ${item.question.replace(/\s+/g, ' ').substring(0, 80)}\n` +
+      html`   used ${item.usage_count}× · confidence ${item.confidence.toFixed(2)} · ${item.learned_from || 'unknown'}` +
+      (item.alias_count > 0 ? ` · +${item.alias_count} phrasing(s)` : '') +
+      (item.retired_at ? ' · 💤 retired' : ''));
+
+    const nav = [];
+    if (page > 0) nav.push({ text: '⬅️ Prev', callback_data: `faq_page_${page - 1}` });
+    if (page < pages - 1) nav.push({ text: 'Next ➡️', callback_data: `faq_page_${page + 1}` });
+
+    return {
+      text: `📚 <b>Learned responses</b> (${total}) · page ${page + 1}/${pages}\n\n${lines.join('\n\n')}`,
+      keyboard: {
+        inline_keyboard: [
+          items.map(item => ({ text: `#${item.id}`, callback_data: `faq_view_${item.id}_${page}` })),
+          ...(nav.length > 0 ? [nav] : [])
+        ]
+      }
+    };
+  }
+
+  async renderFaqEntry(item, page) {
+    const aliases = await this.db.getQuestionAliases(item.id);
+    const phrasings = aliases.map((alias, i) => html`\n<b>Q${i + 2}:</b> ${alias.question.substring(0, 300)}`).join('');
+
+    const removeButtons = [];
+    for (let i = 0; i < aliases.length; i += 4) {
+      removeButtons.push(aliases.slice(i, i + 4).map((alias, j) => ({
+        text: `✖️ Q${i + j + 2}`,
+        callback_data: `faq_rq_${item.id}_${page}_${alias.id}`
+      })));
+    }
+
+    return {
+      text: html`📖 <b>#${item.id}</b> · used ${item.usage_count}× · confidence ${item.confidence.toFixed(2)} · ` +
+        html`${item.learned_from || 'unknown'}` +
+        (item.retired_at ? html`\n💤 Retired ${item.retired_at.substring(0, 10)}, not used in answers` : '') +
+        html`\n\n<b>Q:</b> ${item.question.substring(0, 800)}` + phrasings +
+        html`\n<b>A:</b> ${item.answer.substring(0, 2500)}`,
+      keyboard: {
+        inline_keyboard: [
+          [
+            { text: '✏️ Edit answer', callback_data: `faq_ea_${item.id}_${page}` },
+            { text: '✏️ Edit question', callback_data: `faq_eq_${item.id}_${page}` }
+          ],
+          [{ text: '➕ This also answers…', callback_data: `faq_aq_${item.id}_${page}` }],
+          ...removeButtons,
+          [
+            { text: '🗑 Delete', callback_data: `faq_del_${item.id}_${page}` },
+            item.retired_at
+              ? { text: '♻️ Restore', callback_data: `faq_reset_${item.id}_${page}` }
+              : { text: '🔄 Reset confidence', callback_data: `faq_reset_${item.id}_${page}` }
+          ],
+          [{ text: '⬅️ Back', callback_data: `faq_page_${page}` }]
+        ]
+      }
+    };
+  }
+
+  /**
+   * Buttons on /faq: paging, viewing an entry and the actions on it
+   */
+  async handleFaqAction(query) {
+    const chatId = query.message.chat.id;
+    const [, action, first, second, third] = query.data.split('_');
+
+    if (!(await this.isChatAdmin(chatId, query.from.id))) {
+      await this.bot.answerCallbackQuery(query.id, { text: '❌ Only admins can do this.' });
+      return;
+    }
+
+    if (action === 'page') {
+      await this.bot.answerCallbackQuery(query.id);
+      await this.showFaqView(query, await this.renderFaqPage(chatId, parseInt(first) || 0));
+      return;
+    }
+
+    const page = parseInt(second) || 0;
+    const item = await this.db.getLearnedResponse(parseInt(first));
+    if (!item || item.group_id !== chatId) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'ℹ️ That entry no longer exists.' });
+      await this.showFaqView(query, await this.renderFaqPage(chatId, page));
+      return;
+    }
+
+    switch (action) {
+      case 'view':
+        await this.bot.answerCallbackQuery(query.id);
+        await this.showFaqView(query, await this.renderFaqEntry(item, page));
+        break;
+
+      case 'rq': {
+        const removed = await this.db.removeQuestionAlias(item.id, parseInt(third));
+        await this.bot.answerCallbackQuery(query.id, { text: removed ? '✖️ Phrasing removed.' : 'ℹ️ That phrasing no longer exists.' });
+        await this.showFaqView(query, await this.renderFaqEntry(item, page));
+        break;
+      }
+
+      case 'del':
+        await this.bot.answerCallbackQuery(query.id);
+        await this.showFaqView(query, {
+          text: html`🗑 Delete <b>#${item.id}</b>?\n\n<b>Q:</b> ${item.question.substring(0, 800)}`,
+          keyboard: {
+            inline_keyboard: [[
+              { text: '🗑 Yes, delete', callback_data: `faq_delok_${item.id}_${page}` },
+              { text: '✖️ Cancel', callback_data: `faq_view_${item.id}_${page}` }
+            ]]
+          }
+        });
+        break;
+
+      case 'delok':
+        await this.db.deleteLearnedResponses(chatId, [item.id]);
+        await this.bot.answerCallbackQuery(query.id, { text: `🗑 Deleted #${item.id}.` });
+        await this.showFaqView(query, await this.renderFaqPage(chatId, page));
+        break;
+
+      case 'reset':
+        await this.db.resetResponseConfidence(item.id);
+        await this.bot.answerCallbackQuery(query.id, {
+          text: item.retired_at ? '♻️ Restored with confidence 1.00.' : '🔄 Confidence reset to 1.00.'
+        });
+        await this.showFaqView(query, await this.renderFaqEntry({ ...item, confidence: 1, retired_at: null }, page));
+        break;
+
+      case 'ea':
+      case 'eq':
+      case 'aq': {
+        const field = { ea: 'answer', eq: 'question', aq: 'phrasing' }[action];
+        const now = Date.now();
+        for (const [key, edit] of this.faqEdits) {
+          if (edit.expiresAt < now) this.faqEdits.delete(key);
+        }
+
+        const [prompt] = await this.renderer.send(chatId,
+          field === 'phrasing'
+            ? html`➕ ${query.from.first_name}, reply to this message with another question #${item.id} answers.`
+            : html`✏️ ${query.from.first_name}, reply to this message with the new ${field} for #${item.id}.`,
+          { parse_mode: 'HTML', reply_markup: { force_reply: true, selective: true } });
+
+        this.faqEdits.set(`${chatId}:${prompt.message_id}`, {
+          responseId: item.id,
+          field,
+          userId: query.from.id,
+          expiresAt: now + FAQ_EDIT_TTL_MS
+        });
+        await this.bot.answerCallbackQuery(query.id);
+        break;
+      }
+
+      default:
+        await this.bot.answerCallbackQuery(query.id);
+    }
+  }
+
+  async showFaqView(query, view) {
+    try {
+      await this.renderer.edit(query.message.chat.id, query.message.message_id, view.text, {
+        parse_mode: 'HTML',
+        reply_markup: view.keyboard
+      });
+    } catch (error) {
+      console.error('Error updating FAQ message:', error.message);
+    }
+  }
+
+  /**
+   * An admin's reply to an /faq edit prompt
+   */
+  async handleFaqEdit(msg) {
+    const chatId = msg.chat.id;
+    const key = `${chatId}:${msg.reply_to_message.message_id}`;
+    const edit = this.faqEdits.get(key);
+
+    // Someone else replying to the prompt is ordinary chat
+    if (edit.userId !== msg.from.id) {
+      await this.handleGroupMessage(msg);
+      return;
+    }
+
+    this.faqEdits.delete(key);
+
+    if (edit.expiresAt < Date.now()) {
+      await this.bot.sendMessage(chatId, '⌛ That edit timed out. Open the entry in /faq and try again.');
+      return;
+    }
+
+    if (!(await this.isChatAdmin(chatId, msg.from.id))) {
+      await this.bot.sendMessage(chatId, '❌ Only admins can do this.');
+      return;
+    }
+
+    const item = await this.db.getLearnedResponse(edit.responseId);
+    if (!item || item.group_id !== chatId) {
+      await this.bot.sendMessage(chatId, 'ℹ️ That entry no longer exists.');
+      return;
+    }
+
+    if (edit.field === 'phrasing') {
+      const added = await this.db.addQuestionAliases(item.id, [msg.text]);
+      await this.bot.sendMessage(chatId, added ? `✅ #${item.id} now also answers that.` : 'ℹ️ I already know that question.', {
+        reply_to_message_id: msg.message_id
+      });
+      return;
+    }
+
+    const updated = await this.db.updateLearnedResponse(item.id, { [edit.field]: msg.text.trim() });
+    await this.bot.sendMessage(chatId, updated ? `✅ Updated the ${edit.field} of #${item.id}.` : '❌ Failed to update that entry.', {
+      reply_to_message_id: msg.message_id
+    });
+  }
+
+  async handleHelp(msg) {
+    const helpMessage = `🤖 **AI Group Manager Bot**
+
+**Setup:**
+\`/quicksetup [purpose]|[tone]|[rules]|[triggers]\`
+\`/setup\` - Show setup instructions
+
+**Admin Commands:**
+\`/train <q>|<a>\` - Teach response (\`<q1>||<q2>|<a>\` for several phrasings)
+\`/forget <keyword>\` - Remove data (asks to confirm)
+\`/faq\` - Browse and edit learned responses
+\`/faq settings\` - Decay and retirement of unused answers
+\`/stats\` - View statistics
+\`/pause\` - Pause bot
+\`/resume\` - Resume bot
+\`/export\` - Export data
+\`/import\` - Import Q&A from a JSON or CSV file
+\`/aiprovider [name] [model]\` - Choose AI backend
+\`/usage\` - AI usage and quotas
+\`/moderation\` - Auto-moderation settings
+\`/flood\` - Flood control and per-user AI limits
+\`/links\` - Link, invite and forward filtering
+\`/captcha\` - New member verification
+\`/lockdown on|off\` - Raid lockdown
+\`/warn [reason]\` - Warn a user (reply or @user)
+\`/unwarn\`, \`/resetwarns\` - Remove warnings
+\`/warnconfig\` - Warning expiry and escalation
+\`/modlog\` - Moderation log, review queue and export
+\`/spam\`, \`/notspam\` - Train the spam filter (reply)
+\`/filter\` - Banned words and regex filters
+\`/pending\` - Approve answers from admin replies and 👍 votes
+
+**General:**
+\`/warnings\` - Check warnings
+\`/search <terms>\` - Search group history
+  (filters: from:@user after:YYYY-MM-DD before:YYYY-MM-DD)
+\`/help\` - This message
+\`/privacy\` - Privacy info
+
+Vote 👍/👎 on my answers to help me learn!`;
+
+    await this.bot.sendMessage(msg.chat.id, helpMessage, { parse_mode: 'Markdown' });
+  }
+
+  async handlePause(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    try {
+      const member = await this.bot.getChatMember(chatId, userId);
+      if (!['administrator', 'creator'].includes(member.status)) {
+        await this.bot.sendMessage(chatId, '❌ Only admins can use this.');
+        return;
+      }
+    } catch (error) {
+      return;
+    }
+
+    await this.db.togglePause(chatId, true);
+    await this.bot.sendMessage(chatId, '⏸️ Bot paused. Use /resume to continue.');
+  }
+
+  async handleResume(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    try {
+      const member = await this.bot.getChatMember(chatId, userId);
+      if (!['administrator', 'creator'].includes(member.status)) {
+        await this.bot.sendMessage(chatId, '❌ Only admins can use this.');
+        return;
+      }
+    } catch (error) {
+      return;
+    }
+
+    await this.db.togglePause(chatId, false);
     await this.bot.sendMessage(chatId, '▶️ Bot resumed!');
   }
 
+  async handleAIProvider(msg, match) {
+    const chatId = msg.chat.id;
+    const args = match[1] ? match[1].trim().split(/\s+/) : [];
+
+    const group = await this.requireGroupAdmin(msg);
+    if (!group) return;
+
+    if (args.length === 0) {
+      const { provider, model } = group.settings.ai;
+      await this.bot.sendMessage(
+        chatId,
+        `🤖 AI provider: ${provider || `${config.AI_PROVIDER} (default)`}\n` +
+        `Model: ${model || 'provider default'}\n\n` +
+        `Available: ${Object.keys(PROVIDERS).join(', ')}\n` +
+        `Use /aiprovider <name> [model] or /aiprovider default`
+      );
+      return;
+    }
+
+    const [name, model] = args;
+
+    if (name === 'default') {
+      await this.db.updateGroupSettings(chatId, { ai: { provider: null, model: null } });
+      await this.bot.sendMessage(chatId, `✅ Using the default AI provider (${config.AI_PROVIDER}).`);
+      return;
+    }
+
+    if (!PROVIDERS[name]) {
+      await this.bot.sendMessage(chatId, `❌ Unknown provider. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+      return;
+    }
+
+    if (!this.ai.isConfigured(name)) {
+      await this.bot.sendMessage(chatId, `❌ The ${name} provider has no credentials configured. Ask the bot owner to set ${name.toUpperCase()}_API_KEY.`);
+      return;
+    }
+
+    await this.db.updateGroupSettings(chatId, { ai: { provider: name, model: model || null } });
+    await this.bot.sendMessage(chatId, `✅ AI provider set to ${name}${model ? ` (${model})` : ''}.`);
+  }
+
+  async handleModeration(msg, match) {
+    const chatId = msg.chat.id;
+    const args = match[1] ? match[1].trim().toLowerCase().split(/\s+/) : [];
+
+    const group = await this.requireGroupAdmin(msg);
+    if (!group) return;
+
+    const settings = group.settings.moderation;
+    const toggles = {
+      spam: { key: 'spamDetection', label: 'Spam detection' },
+      rules: { key: 'ruleChecks', label: 'Rule checks' },
+      notices: { key: 'notify', label: 'Moderation notices' }
+    };
+    const usage = '❌ Use:\n' +
+      '/moderation on|off\n' +
+      '/moderation spam|rules|notices on|off\n' +
+      '/moderation action spam|rules delete|warn|mute|ban\n' +
+      '/moderation mute <minutes>\n' +
+      '/moderation review off|borderline|all';
+
+    if (args.length === 0) {
+      const onOff = (value) => (value ? 'on' : 'off');
+      await this.bot.sendMessage(
+        chatId,
+        `🛡️ Auto-moderation: ${onOff(settings.enabled)}\n` +
+        `Spam detection: ${onOff(settings.spamDetection)} (action: ${settings.spamAction})\n` +
+        `Rule checks: ${onOff(settings.ruleChecks)} (action: ${settings.ruleAction})\n` +
+        `Mute duration: ${settings.muteMinutes} minutes\n` +
+        `Notices: ${onOff(settings.notify)}\n` +
+        `Review queue: ${settings.reviewMode}\n\n` +
+        `Admins are never moderated. Use /moderation help for options.`
+      );
+      return;
+    }
+
+    const [first, second, third] = args;
+
+    if (['on', 'off'].includes(first) && !second) {
+      await this.db.updateGroupSettings(chatId, { moderation: { enabled: first === 'on' } });
+      await this.bot.sendMessage(chatId, `✅ Auto-moderation turned ${first}.`);
+      return;
+    }
+
+    if (toggles[first] && ['on', 'off'].includes(second)) {
+      await this.db.updateGroupSettings(chatId, { moderation: { [toggles[first].key]: second === 'on' } });
+      await this.bot.sendMessage(chatId, `✅ ${toggles[first].label} turned ${second}.`);
+      return;
+    }
+
+    if (first === 'action' && ['spam', 'rules'].includes(second) && ModerationPipeline.ACTIONS.includes(third)) {
+      await this.db.updateGroupSettings(chatId, { moderation: { [`${second}Action`]: third } });
+      await this.bot.sendMessage(chatId, `✅ Action for ${second === 'spam' ? 'spam' : 'rule violations'} set to ${third}.`);
+      return;
+    }
+
+    if (first === 'review' && ReviewQueue.MODES.includes(second)) {
+      const descriptions = {
+        off: 'AI verdicts are acted on right away.',
+        borderline: `AI verdicts against members active for ${settings.establishedDays}+ days or ` +
+          `${settings.establishedMessages}+ messages go to admins first.`,
+        all: 'Every AI verdict goes to admins first.'
+      };
+      await this.db.updateGroupSettings(chatId, { moderation: { reviewMode: second } });
+      await this.bot.sendMessage(chatId, `✅ Review queue set to ${second}. ${descriptions[second]}`);
+      return;
+    }
+
+    if (first === 'mute') {
+      const minutes = parseInt(second);
+      // Telegram treats restrictions under 30 seconds or over 366 days as permanent
+      if (isNaN(minutes) || minutes < 1 || minutes > 366 * 24 * 60) {
+        await this.bot.sendMessage(chatId, '❌ Mute duration must be between 1 minute and 366 days.');
+        return;
+      }
+
+      await this.db.updateGroupSettings(chatId, { moderation: { muteMinutes: minutes } });
+      await this.bot.sendMessage(chatId, `✅ Mutes now last ${minutes} minutes.`);
+      return;
+    }
+
+    await this.bot.sendMessage(chatId, usage);
+  }
+
+  async handleFlood(msg, match) {
+    const chatId = msg.chat.id;
+    const group = await this.requireGroupAdmin(msg);
+    if (!group) return;
+
+    const settings = group.settings.flood;
+    const [option, ...rest] = match[1] ? match[1].trim().toLowerCase().split(/\s+/) : [];
+    const numbers = rest.map(value => parseInt(value));
+    const valid = (count, min, max) => numbers.length === count &&
+      numbers.every(n => !isNaN(n) && n >= min && n <= max);
+
+    if (!option) {
+      const limit = (value) => (value > 0 ? value : 'off');
+      await this.bot.sendMessage(
+        chatId,
+        `🌊 Flood control: ${settings.enabled ? 'on' : 'off'}\n` +
+        `Messages: ${limit(settings.maxMessages)} per ${settings.windowSeconds}s\n` +
+        `Repeated messages: ${limit(settings.maxRepeats)}\n` +
+        `Stickers/media: ${limit(settings.maxMedia)}\n` +
+        `Mute: ${settings.muteMinutes} minutes\n` +
+        `AI answers per user: ${settings.aiRequestsPerUser > 0 ? `${settings.aiRequestsPerUser} per ${settings.aiWindowMinutes} minutes` : 'unlimited'}\n\n` +
+        `/flood on|off\n` +
+        `/flood limit <messages> <seconds>\n` +
+        `/flood repeats|media <count> (0 = off)\n` +
+        `/flood mute <minutes>\n` +
+        `/flood ai <answers> <minutes> (0 = unlimited)\n\n` +
+        `Admins are exempt.`
+      );
+      return;
+    }
+
+    let patch = null;
+    let confirmation = null;
+
+    if (['on', 'off'].includes(option) && rest.length === 0) {
+      patch = { enabled: option === 'on' };
+      confirmation = `Flood control turned ${option}.`;
+    } else if (option === 'limit' && valid(2, 1, FloodControl.MAX_WINDOW_SECONDS) && numbers[0] > 0) {
+      patch = { maxMessages: numbers[0], windowSeconds: numbers[1] };
+      confirmation = `Members may send ${numbers[0]} messages per ${numbers[1]} seconds.`;
+    } else if (option === 'repeats' && valid(1, 0, 100)) {
+      patch = { maxRepeats: numbers[0] };
+      confirmation = numbers[0] > 0 ? `Repeat limit set to ${numbers[0]}.` : 'Repeat detection turned off.';
+    } else if (option === 'media' && valid(1, 0, 100)) {
+      patch = { maxMedia: numbers[0] };
+      confirmation = numbers[0] > 0 ? `Sticker/media limit set to ${numbers[0]}.` : 'Sticker/media limit turned off.';
+    } else if (option === 'mute' && valid(1, 1, 366 * 24 * 60)) {
+      patch = { muteMinutes: numbers[0] };
+      confirmation = `Flooders are muted for ${numbers[0]} minutes.`;
+    } else if (option === 'ai' && valid(2, 0, FloodControl.MAX_AI_WINDOW_MINUTES) && numbers[1] > 0) {
+      patch = { aiRequestsPerUser: numbers[0], aiWindowMinutes: numbers[1] };
+      confirmation = numbers[0] > 0
+        ? `Each member gets ${numbers[0]} AI answers per ${numbers[1]} minutes.`
+        : 'Per-user AI limit turned off.';
+    }
+
+    if (!patch) {
+      await this.bot.sendMessage(chatId, '❌ Invalid option. Use /flood to see the available settings.');
+      return;
+    }
+
+    await this.db.updateGroupSettings(chatId, { flood: patch });
+    await this.bot.sendMessage(chatId, `✅ ${confirmation}`);
+  }
+
+  async handleLinks(msg, match) {
+    const chatId = msg.chat.id;
+    const group = await this.requireGroupAdmin(msg);
+    if (!group) return;
+
+    const settings = group.settings.links;
+    const [option, ...values] = match[1] ? match[1].trim().toLowerCase().split(/\s+/) : [];
+    const toggles = {
+      invites: { key: 'blockInvites', label: 'Blocking invite links' },
+      shorteners: { key: 'blockShorteners', label: 'Blocking link shorteners' },
+      channels: { key: 'blockChannelForwards', label: 'Blocking channel forwards' },
+      bots: { key: 'blockBotForwards', label: 'Blocking bot forwards' },
+      allowlist: { key: 'allowlistOnly', label: 'Allow-list only mode' }
+    };
+
+    if (!option) {
+      const onOff = (value) => (value ? 'on' : 'off');
+      const list = (domains) => (domains.length > 0 ? domains.join(', ') : 'none');
+      const grace = [
+        settings.graceDays > 0 ? `${settings.graceDays}+ days in the group` : null,
+        settings.graceMessages > 0 ? `${settings.graceMessages}+ messages` : null
+      ].filter(Boolean).join(' or ') || 'none';
+
+      await this.bot.sendMessage(
+        chatId,
+        `🔗 Link filter: ${onOff(settings.enabled)} (action: ${settings.action})\n` +
+        `Invite links: ${onOff(settings.blockInvites)}\n` +
+        `Link shorteners: ${onOff(settings.blockShorteners)}\n` +
+        `Channel forwards: ${onOff(settings.blockChannelForwards)}\n` +
+        `Bot forwards: ${onOff(settings.blockBotForwards)}\n` +
+        `Allow-list only: ${onOff(settings.allowlistOnly)}\n` +
+        `Allowed domains: ${list(settings.allowedDomains)}\n` +
+        `Blocked domains: ${list(settings.blockedDomains)}\n` +
+        `Trusted members: ${grace}\n\n` +
+        `/links on|off\n` +
+        `/links invites|shorteners|channels|bots|allowlist on|off\n` +
+        `/links allow|block <domain>\n` +
+        `/links remove <domain>\n` +
+        `/links grace <days> <messages> (0 = off)\n` +
+        `/links action delete|warn|mute|ban`
+      );
+      return;
+    }
+
+    if (['on', 'off'].includes(option) && values.length === 0) {
+      await this.db.updateGroupSettings(chatId, { links: { enabled: option === 'on' } });
+      await this.bot.sendMessage(chatId, `✅ Link filter turned ${option}.`);
+      return;
+    }
+
+    if (toggles[option] && ['on', 'off'].includes(values[0])) {
+      await this.db.updateGroupSettings(chatId, { links: { [toggles[option].key]: values[0] === 'on' } });
+      await this.bot.sendMessage(chatId, `✅ ${toggles[option].label} turned ${values[0]}.`);
+      return;
+    }
+
+    if (['allow', 'block', 'remove'].includes(option)) {
+      const domain = LinkFilter.normalizeDomain(values[0]);
+      if (!domain) {
+        await this.bot.sendMessage(chatId, `❌ Use: /links ${option} example.com`);
+        return;
+      }
+
+      // A domain lives on at most one list
+      const allowedDomains = settings.allowedDomains.filter(d => d !== domain);
+      const blockedDomains = settings.blockedDomains.filter(d => d !== domain);
+      if (option === 'allow') allowedDomains.push(domain);
+      if (option === 'block') blockedDomains.push(domain);
+
+      await this.db.updateGroupSettings(chatId, { links: { allowedDomains, blockedDomains } });
+      const results = {
+        allow: `✅ ${domain} is now allowed.`,
+        block: `✅ ${domain} is now blocked.`,
+        remove: `✅ ${domain} removed from the domain lists.`
+      };
+      await this.bot.sendMessage(chatId, results[option]);
+      return;
+    }
+
+    if (option === 'grace') {
+      const [days, messages] = values.map(value => parseInt(value));
+      if (isNaN(days) || isNaN(messages) || days < 0 || messages < 0) {
+        await this.bot.sendMessage(chatId, '❌ Use: /links grace <days> <messages> (0 = off)');
+        return;
+      }
+
+      await this.db.updateGroupSettings(chatId, { links: { graceDays: days, graceMessages: messages } });
+      await this.bot.sendMessage(chatId, '✅ Trusted member rules updated.');
+      return;
+    }
+
+    if (option === 'action' && ModerationPipeline.ACTIONS.includes(values[0])) {
+      await this.db.updateGroupSettings(chatId, { links: { action: values[0] } });
+      await this.bot.sendMessage(chatId, `✅ Link filter action set to ${values[0]}.`);
+      return;
+    }
+
+    await this.bot.sendMessage(chatId, '❌ Invalid option. Use /links to see the available settings.');
+  }
+
+  async handleCaptcha(msg, match) {
+    const chatId = msg.chat.id;
+    const group = await this.requireGroupAdmin(msg);
+    if (!group) return;
+
+    const settings = group.settings.captcha;
+    const [option, value] = match[1] ? match[1].trim().toLowerCase().split(/\s+/) : [];
+    const number = parseInt(value);
+
+    if (!option) {
+      await this.bot.sendMessage(
+        chatId,
+        `🧩 Join verification: ${settings.enabled ? 'on' : 'off'}\n` +
+        `Challenge: ${settings.mode === 'math' ? 'arithmetic question' : 'button'}\n` +
+        `Time limit: ${settings.timeoutSeconds} seconds\n` +
+        `Attempts: ${settings.maxAttempts}\n\n` +
+        `/captcha on|off\n` +
+        `/captcha mode button|math\n` +
+        `/captcha timeout <seconds>\n` +
+        `/captcha attempts <n>\n` +
+        `/captcha pass (reply to a pending member's join message to let them in)\n\n` +
+        `I need the "Ban users" right to restrict new members.`
+      );
+      return;
+    }
+
+    if (['on', 'off'].includes(option) && !value) {
+      await this.db.updateGroupSettings(chatId, { captcha: { enabled: option === 'on' } });
+      await this.bot.sendMessage(chatId, `✅ Join verification turned ${option}.`);
+      return;
+    }
+
+    if (option === 'mode' && ['button', 'math'].includes(value)) {
+      await this.db.updateGroupSettings(chatId, { captcha: { mode: value } });
+      await this.bot.sendMessage(chatId, `✅ New members will get a ${value === 'math' ? 'arithmetic question' : 'button'} challenge.`);
+      return;
+    }
+
+    if (option === 'timeout' && number >= 30 && number <= 3600) {
+      await this.db.updateGroupSettings(chatId, { captcha: { timeoutSeconds: number } });
+      await this.bot.sendMessage(chatId, `✅ New members have ${number} seconds to verify.`);
+      return;
+    }
+
+    if (option === 'attempts' && number >= 1 && number <= 10) {
+      await this.db.updateGroupSettings(chatId, { captcha: { maxAttempts: number } });
+      await this.bot.sendMessage(chatId, `✅ New members get ${number} attempt(s).`);
+      return;
+    }
+
+    if (option === 'pass') {
+      const { user } = await this.resolveTargetUser(msg, value);
+      const challenge = user ? await this.db.getCaptchaChallenge(chatId, user.id) : null;
+      if (!challenge) {
+        await this.bot.sendMessage(chatId, '❌ No pending verification for that user.');
+        return;
+      }
+
+      await this.captcha.pass(challenge);
+      await this.sendWelcome(chatId, group, challenge.user_name);
+      return;
+    }
+
+    await this.bot.sendMessage(chatId, '❌ Invalid option. Use /captcha to see the available settings.');
+  }
+
+  async handleLockdown(msg, match) {
+    const chatId = msg.chat.id;
+    const group = await this.requireGroupAdmin(msg);
+    if (!group) return;
+
+    const [option, value] = match[1] ? match[1].trim().toLowerCase().split(/\s+/) : [];
+    const settings = group.settings.raid;
+    const active = await this.db.getActiveLockdown(chatId);
+
+    if (option === 'on') {
+      if (active) {
+        await this.bot.sendMessage(chatId, 'ℹ️ A lockdown is already active. Use /lockdown off to end it.');
+        return;
+      }
+
+      const minutes = value ? parseInt(value) : 0;
+      if (isNaN(minutes) || minutes < 0) {
+        await this.bot.sendMessage(chatId, '❌ Use: /lockdown on [minutes]');
+        return;
+      }
+
+      await this.raidDetector.startLockdown(msg.chat, `started by ${msg.from.first_name}`, msg.from.id, minutes);
+      return;
+    }
+
+    if (option === 'off') {
+      if (!active) {
+        await this.bot.sendMessage(chatId, 'ℹ️ No lockdown is active.');
+        return;
+      }
+
+      const released = await this.raidDetector.endLockdown(active.id, msg.from.id);
+      if (released > 0) {
+        await this.bot.sendMessage(chatId, `✅ ${released} restricted member(s) released.`);
+      }
+      return;
+    }
+
+    // /lockdown detect on|off|<joins> <seconds> [suspicious joins]
+    if (option === 'detect') {
+      const args = match[1].trim().toLowerCase().split(/\s+/).slice(1);
+      const [joins, seconds, suspicious = settings.suspiciousThreshold] = args.map(arg => parseInt(arg));
+
+      if (['on', 'off'].includes(args[0])) {
+        await this.db.updateGroupSettings(chatId, { raid: { enabled: args[0] === 'on' } });
+        await this.bot.sendMessage(chatId, `✅ Raid detection turned ${args[0]}.`);
+      } else if (joins >= 2 && seconds >= 5 && seconds <= 3600 && suspicious >= 0) {
+        await this.db.updateGroupSettings(chatId, {
+          raid: { joinThreshold: joins, windowSeconds: seconds, suspiciousThreshold: suspicious }
+        });
+        await this.bot.sendMessage(chatId, `✅ Lockdown starts at ${joins} joins within ${seconds} seconds.`);
+      } else {
+        await this.bot.sendMessage(chatId, '❌ Use: /lockdown detect on|off or /lockdown detect <joins> <seconds> [suspicious joins]');
+      }
+      return;
+    }
+
+    let status = active
+      ? `🚨 Lockdown active (${active.reason})` +
+        (active.ends_at ? `, ends in ${Math.max(Math.ceil((active.ends_at - Date.now()) / 60000), 1)} minute(s)` : '')
+      : '🔓 No lockdown active';
+
+    status += `\n\nRaid detection: ${settings.enabled ? 'on' : 'off'}\n` +
+      `Trigger: ${settings.joinThreshold} joins or ${settings.suspiciousThreshold} suspicious accounts within ${settings.windowSeconds} seconds\n` +
+      `Automatic lockdowns last ${settings.lockdownMinutes} minutes\n\n` +
+      `/lockdown on [minutes]\n` +
+      `/lockdown off\n` +
+      `/lockdown detect on|off\n` +
+      `/lockdown detect <joins> <seconds> [suspicious joins, 0 = off]`;
+
+    await this.bot.sendMessage(chatId, status);
+  }
+
+  async handleWarn(msg, match) {
+    const chatId = msg.chat.id;
+    const group = await this.requireGroupAdmin(msg);
+    if (!group) return;
+
+    const { user, rest: reason } = await this.resolveTargetUser(msg, match[1]);
+    if (!user) {
+      await this.bot.sendMessage(chatId, '❌ Reply to a message with /warn [reason], or use /warn @user [reason].');
+      return;
+    }
+
+    if ((await this.getAdminIds(chatId)).has(user.id)) {
+      await this.bot.sendMessage(chatId, '❌ Admins can\'t be warned.');
+      return;
+    }
+
+    const settings = group.settings.strikes;
+    const outcome = await this.strikes.addStrike(chatId, user, settings, {
+      reason: reason || null,
+      source: 'admin',
+      issuedBy: msg.from.id
+    });
+    await this.moderationActions.log({
+      groupId: chatId,
+      userId: user.id,
+      userName: user.name,
+      action: 'warn',
+      source: 'admin',
+      actorId: msg.from.id,
+      reason: reason || null
+    });
+
+    const notice = this.strikes.formatNotice(user.name || `User ${user.id}`, outcome, settings, reason);
+    await this.renderer.send(chatId, notice, { parse_mode: 'HTML' });
+  }
+
+  async handleWarnings(msg, match) {
+    const chatId = msg.chat.id;
+
+    if (msg.chat.type === 'private') {
+      await this.bot.sendMessage(chatId, '❌ This command only works in groups!');
+      return;
+    }
+
+    const group = await this.db.getGroup(chatId);
+    if (!group) return;
+
+    // Members may check their own warnings, admins anyone's
+    let { user } = await this.resolveTargetUser(msg, match[1]);
+    if (!user && match[1]) {
+      await this.bot.sendMessage(chatId, '❌ I don\'t know that user. Reply to one of their messages instead.');
+      return;
+    }
+    if (!user || user.id === msg.from.id) {
+      user = { id: msg.from.id, name: msg.from.first_name };
+    } else if (!(await this.isChatAdmin(chatId, msg.from.id))) {
+      await this.bot.sendMessage(chatId, '❌ Only admins can see other members\' warnings.');
+      return;
+    }
+
+    const settings = group.settings.strikes;
+    const strikes = await this.strikes.getStrikes(chatId, user.id, settings);
+    const name = user.name || (strikes[0] && strikes[0].user_name) || `User ${user.id}`;
+
+    if (strikes.length === 0) {
+      await this.renderer.send(chatId, html`✅ ${name} has no active warnings.`, { parse_mode: 'HTML' });
+      return;
+    }
+
+    const list = strikes.map((strike, i) =>
+      html`${i + 1}. ${strike.created_at.substring(0, 10)} - ${strike.reason || 'no reason given'}` +
+      (strike.source === 'auto' ? ' (auto)' : '')
+    ).join('\n');
+
+    const expiry = settings.expiryDays > 0 ? `Warnings expire after ${settings.expiryDays} days.` : 'Warnings never expire.';
+    await this.renderer.send(
+      chatId,
+      html`⚠️ <b>${name}</b> has ${strikes.length} active warning(s):\n` + list +
+        `\n\nEscalation: ${StrikeManager.formatLadder(settings.ladder)}\n${expiry}`,
+      { parse_mode: 'HTML' }
+    );
+  }
+
+  async handleUnwarn(msg, match) {
+    const chatId = msg.chat.id;
+    const group = await this.requireGroupAdmin(msg);
+    if (!group) return;
+
+    const { user } = await this.resolveTargetUser(msg, match[1]);
+    if (!user) {
+      await this.bot.sendMessage(chatId, '❌ Reply to a message with /unwarn, or use /unwarn @user.');
+      return;
+    }
+
+    const removed = await this.strikes.removeStrike(chatId, user.id, group.settings.strikes);
+    const name = user.name || `User ${user.id}`;
+    if (removed) {
+      await this.moderationActions.log({
+        groupId: chatId,
+        userId: user.id,
+        userName: user.name,
+        action: 'unwarn',
+        source: 'admin',
+        actorId: msg.from.id
+      });
+    }
+    const remaining = (await this.strikes.getStrikes(chatId, user.id, group.settings.strikes)).length;
+
+    await this.renderer.send(
+      chatId,
+      removed
+        ? html`✅ Removed ${name}'s latest warning (${remaining} left).`
+        : html`ℹ️ ${name} has no active warnings.`,
+      { parse_mode: 'HTML' }
+    );
+  }
+
+  async handleResetWarns(msg, match) {
+    const chatId = msg.chat.id;
+    const group = await this.requireGroupAdmin(msg);
+    if (!group) return;
+
+    const { user } = await this.resolveTargetUser(msg, match[1]);
+    if (!user) {
+      await this.bot.sendMessage(chatId, '❌ Reply to a message with /resetwarns, or use /resetwarns @user.');
+      return;
+    }
+
+    const cleared = await this.strikes.resetStrikes(chatId, user.id);
+    if (cleared > 0) {
+      await this.moderationActions.log({
+        groupId: chatId,
+        userId: user.id,
+        userName: user.name,
+        action: 'reset warnings',
+        source: 'admin',
+        actorId: msg.from.id,
+        reason: `${cleared} warning(s) cleared`
+      });
+    }
+    await this.renderer.send(
+      chatId,
+      html`✅ Cleared ${cleared} warning(s) for ${user.name || `User ${user.id}`}.`,
+      { parse_mode: 'HTML' }
+    );
+  }
+
+  async handleWarnConfig(msg, match) {
+    const chatId = msg.chat.id;
+    const group = await this.requireGroupAdmin(msg);
+    if (!group) return;
+
+    const settings = group.settings.strikes;
+    const [option, ...values] = match[1] ? match[1].trim().split(/\s+/) : [];
+    const value = values.join('');
+
+    if (!option) {
+      await this.bot.sendMessage(
+        chatId,
+        `⚖️ Warning settings\n\n` +
+        `Expiry: ${settings.expiryDays > 0 ? `${settings.expiryDays} days` : 'never'}\n` +
+        `Escalation: ${StrikeManager.formatLadder(settings.ladder)}\n\n` +
+        `/warnconfig expiry <days> (0 = never)\n` +
+        `/warnconfig ladder 3:mute:60,5:ban (actions: ${StrikeManager.LADDER_ACTIONS.join(', ')})\n` +
+        `/warnconfig ladder off`
+      );
+      return;
+    }
+
+    if (option === 'expiry') {
+      const days = parseInt(value);
+      if (isNaN(days) || days < 0) {
+        await this.bot.sendMessage(chatId, '❌ Use: /warnconfig expiry <days> (0 = never)');
+        return;
+      }
+
+      await this.db.updateGroupSettings(chatId, { strikes: { expiryDays: days } });
+      await this.bot.sendMessage(chatId, days > 0 ? `✅ Warnings now expire after ${days} days.` : '✅ Warnings no longer expire.');
+      return;
+    }
+
+    if (option === 'ladder') {
+      const ladder = value === 'off' ? [] : StrikeManager.parseLadder(value);
+      if (!ladder || (value !== 'off' && ladder.length === 0)) {
+        await this.bot.sendMessage(chatId, '❌ Use: /warnconfig ladder 3:mute:60,5:ban (count:action[:minutes], mute needs minutes)');
+        return;
+      }
+
+      await this.db.updateGroupSettings(chatId, { strikes: { ladder } });
+      await this.bot.sendMessage(chatId, `✅ Escalation: ${StrikeManager.formatLadder(ladder)}`);
+      return;
+    }
+
+    await this.bot.sendMessage(chatId, '❌ Use: /warnconfig [expiry <days> | ladder <steps>]');
+  }
+
+  async handleUsage(msg, match) {
+    const chatId = msg.chat.id;
+    const args = match[1] ? match[1].trim().split(/\s+/) : [];
+
+    const group = await this.requireGroupAdmin(msg);
+    if (!group) return;
+
+    // /usage quota daily|monthly <n>
+    if (args[0] === 'quota') {
+      const [, period, value] = args;
+      const limit = parseInt(value);
+
+      if (!['daily', 'monthly'].includes(period) || isNaN(limit) || limit < 0) {
+        await this.bot.sendMessage(chatId, '❌ Use: /usage quota daily|monthly <requests> (0 = unlimited)');
+        return;
+      }
+
+      await this.db.updateGroupSettings(chatId, { quota: { [period]: limit } });
+      await this.bot.sendMessage(
+        chatId,
+        `✅ ${period === 'daily' ? 'Daily' : 'Monthly'} AI quota set to ${limit === 0 ? 'unlimited' : limit}.`
+      );
+      return;
+    }
+
+    const status = await this.usage.checkQuota(group);
+    const report = await this.usage.getReport(chatId);
+    const formatLimit = (usage) => `${usage.used}/${usage.limit || '∞'}`;
+    const formatSummary = (summary) =>
+      `${summary.requests} requests, ${summary.failures} failed, ` +
+      `avg ${summary.avgLatencyMs}ms, ${summary.promptChars} prompt / ${summary.responseChars} answer chars`;
+
+    const purposes = report.month.byPurpose.map(p => html`${p.purpose}: ${p.count}`).join(', ');
+    const users = report.month.topUsers
+      .map((u, i) => html`${i + 1}. ${u.user_name || `User ${u.user_id}`} (${u.count})`)
+      .join('\n');
+
+    const usageMessage = `📈 <b>AI Usage</b>
+
+<b>Today:</b> ${formatLimit(status.today)}
+${formatSummary(report.today)}
+
+<b>This month:</b> ${formatLimit(status.month)}
+${formatSummary(report.month)}
+${purposes ? `By purpose: ${purposes}` : ''}
+${users ? `\n<b>Top users this month:</b>\n${users}` : ''}
+${status.allowed ? '' : `\n🛑 ${status.exceeded} quota reached, answering from learned responses only.`}
+Set limits with /usage quota daily|monthly &lt;n&gt;`;
+
+    await this.renderer.send(chatId, usageMessage, { parse_mode: 'HTML' });
+  }
+
+  async handleSearch(msg, match) {
+    const chatId = msg.chat.id;
+
+    if (msg.chat.type === 'private') {
+      await this.bot.sendMessage(chatId, '❌ This command only works in groups!');
+      return;
+    }
+
+    const query = parseSearchQuery(match[1] || '');
+    if (query.errors.length > 0) {
+      await this.bot.sendMessage(
+        chatId,
+        `❌ ${query.errors.join('\n')}\n\n` +
+        'Usage: /search <terms> [from:@user] [after:YYYY-MM-DD] [before:YYYY-MM-DD]'
+      );
+      return;
+    }
+
+    // Drop expired sessions before adding a new one
+    const now = Date.now();
+    for (const [id, session] of this.searchSessions) {
+      if (now - session.createdAt > SEARCH_SESSION_TTL_MS) {
+        this.searchSessions.delete(id);
+      }
+    }
+
+    const sessionId = now.toString(36) + Math.random().toString(36).substring(2, 6);
+    this.searchSessions.set(sessionId, { chat: msg.chat, query, createdAt: now });
+
+    const page = await this.renderSearchPage(sessionId, 0);
+    await this.bot.sendMessage(chatId, page.text, {
+      reply_to_message_id: msg.message_id,
+      reply_markup: page.keyboard,
+      disable_web_page_preview: true
+    });
+  }
+
+  async handleSearchPage(query) {
+    const [, sessionId, pageStr] = query.data.split('_');
+
+    if (!this.searchSessions.has(sessionId)) {
+      await this.bot.answerCallbackQuery(query.id, { text: '⌛ Search expired, run /search again.' });
+      return;
+    }
+
+    const page = await this.renderSearchPage(sessionId, parseInt(pageStr) || 0);
+    await this.bot.answerCallbackQuery(query.id);
+
+    try {
+      await this.bot.editMessageText(page.text, {
+        chat_id: query.message.chat.id,
+        message_id: query.message.message_id,
+        reply_markup: page.keyboard,
+        disable_web_page_preview: true
+      });
+    } catch (error) {
+      // Ignore "message is not modified"
+    }
+  }
+
+  async renderSearchPage(sessionId, page) {
+    const { chat, query } = this.searchSessions.get(sessionId);
+
+    const { results, total } = await this.db.searchMessages(chat.id, {
+      matchQuery: buildFtsQuery(query),
+      from: query.from,
+      after: query.after,
+      before: query.before
+    }, SEARCH_PAGE_SIZE, page * SEARCH_PAGE_SIZE);
+
+    const description = describeSearchQuery(query);
+
+    if (total === 0) {
+      return { text: `🔎 No messages found for: ${description}`, keyboard: { inline_keyboard: [] } };
+    }
+
+    const first = page * SEARCH_PAGE_SIZE + 1;
+    const last = first + results.length - 1;
+    const lines = results.map((row, i) => {
+      const author = row.user_name || `User ${row.user_id}`;
+      const handle = row.username ? ` (@${row.username})` : '';
+      const date = (row.timestamp || '').substring(0, 16);
+      const link = row.message_id ? getMessageLink(chat, row.message_id) : null;
+
+      return `${first + i}. ${author}${handle} · ${date}\n` +
+        `   ${row.snippet.replace(/\s+/g, ' ').substring(0, 200)}` +
+        (link ? `\n   ${link}` : '');
+    });
+
+    const buttons = [];
+    if (page > 0) {
+      buttons.push({ text: '⬅️ Prev', callback_data: `search_${sessionId}_${page - 1}` });
+    }
+    if (last < total) {
+      buttons.push({ text: 'Next ➡️', callback_data: `search_${sessionId}_${page + 1}` });
+    }
+
+    return {
+      text: `🔎 ${description}\nResults ${first}-${last} of ${total}\n\n${lines.join('\n\n')}`,
+      keyboard: { inline_keyboard: buttons.length > 0 ? [buttons] : [] }
+    };
+  }
+
   async handlePrivacy(msg) {
     const privacyMsg = `🔒 **Privacy & Data**
 
@@ -641,6 +2527,330 @@ Contact admin for data deletion.`;
     await this.bot.sendMessage(msg.chat.id, privacyMsg, { parse_mode: 'Markdown' });
   }
 
+  /**
+   * /pending - candidate answers waiting for approval, each with buttons
+   * /pending notify on|off - DM admins about new candidates
+   * /pending votes <n>|off - learn my answers that get n 👍
+   * /pending autoapprove on|off - skip the queue for voted-up answers
+   */
+  async handlePending(msg, match) {
+    const chatId = msg.chat.id;
+    const group = await this.requireGroupAdmin(msg);
+    if (!group) return;
+
+    const [option, value] = match[1] ? match[1].trim().toLowerCase().split(/\s+/) : [];
+
+    if (option === 'notify' && ['on', 'off'].includes(value)) {
+      await this.db.updateGroupSettings(chatId, { learning: { notifyAdmins: value === 'on' } });
+      await this.bot.sendMessage(chatId, `✅ Admin DMs about new answers turned ${value}.`);
+      return;
+    }
+
+    const votes = parseInt(value);
+    if (option === 'votes' && (value === 'off' || (votes >= 1 && votes <= 100))) {
+      await this.db.updateGroupSettings(chatId, { learning: { promoteVotes: value === 'off' ? 0 : votes } });
+      await this.bot.sendMessage(chatId, value === 'off'
+        ? '✅ Voted-up answers will no longer be learned.'
+        : `✅ My answers with ${votes} 👍 (and more 👍 than 👎) will be learned.`);
+      return;
+    }
+
+    if (option === 'autoapprove' && ['on', 'off'].includes(value)) {
+      await this.db.updateGroupSettings(chatId, { learning: { promoteApproved: value === 'on' } });
+      await this.bot.sendMessage(chatId, value === 'on'
+        ? '✅ Voted-up answers will be learned right away.'
+        : '✅ Voted-up answers will wait here for approval.');
+      return;
+    }
+
+    if (option) {
+      await this.bot.sendMessage(chatId,
+        '❌ Use: /pending, /pending notify on|off, /pending votes <n>|off or /pending autoapprove on|off');
+      return;
+    }
+
+    const { items, total } = await this.db.getPendingKnowledge(chatId, PENDING_PAGE_SIZE);
+    if (total === 0) {
+      await this.bot.sendMessage(chatId, '✅ No answers are waiting for approval.');
+      return;
+    }
+
+    await this.bot.sendMessage(chatId, `📚 ${total} answer(s) waiting for approval` +
+      (total > items.length ? `, showing the oldest ${items.length}:` : ':'));
+
+    for (const item of items) {
+      await this.renderer.send(chatId, this.knowledgeQueue.format(item), {
+        parse_mode: 'HTML',
+        reply_markup: this.knowledgeQueue.getKeyboard(item)
+      });
+    }
+  }
+
+  /**
+   * /filter add <word|/regex/> [delete|warn|mute] [word|substring]
+   * /filter list | remove <id> | test <text>
+   */
+  async handleFilter(msg, match) {
+    const chatId = msg.chat.id;
+    const group = await this.requireGroupAdmin(msg);
+    if (!group) return;
+
+    const input = match[1] ? match[1].trim() : '';
+    const [option = ''] = input.split(/\s+/);
+    const argText = input.substring(option.length).trim();
+    const filters = group.filters;
+    const describe = (filter) => html`#${filter.id} <code>${filter.type === 'regex' ? `/${filter.pattern}/` : filter.pattern}</code>` +
+      ` → ${filter.action}${filter.type === 'word' ? ` (${filter.match})` : ''}`;
+
+    switch (option.toLowerCase()) {
+      case 'add': {
+        const { filter, error } = ContentFilter.parseFilter(argText);
+        if (error) {
+          await this.bot.sendMessage(chatId, `❌ ${error}`);
+          return;
+        }
+        if (filters.length >= MAX_FILTERS) {
+          await this.bot.sendMessage(chatId, `❌ A group can have at most ${MAX_FILTERS} filters.`);
+          return;
+        }
+        if (filters.some(f => f.type === filter.type && f.pattern.toLowerCase() === filter.pattern.toLowerCase())) {
+          await this.bot.sendMessage(chatId, '❌ That filter already exists. Remove it first to change it.');
+          return;
+        }
+
+        const added = { id: filters.reduce((max, f) => Math.max(max, f.id), 0) + 1, ...filter, addedBy: msg.from.id };
+        await this.db.updateGroupFilters(chatId, [...filters, added]);
+        await this.renderer.send(chatId, `✅ Filter added: ${describe(added)}`, { parse_mode: 'HTML' });
+        return;
+      }
+      case 'list': {
+        if (filters.length === 0) {
+          await this.bot.sendMessage(chatId, 'ℹ️ No filters yet. Add one with /filter add <word|/regex/>.');
+          return;
+        }
+
+        await this.renderer.send(chatId, `🚫 <b>Filters</b>\n${filters.map(describe).join('\n')}`, { parse_mode: 'HTML' });
+        return;
+      }
+      case 'remove': {
+        const id = parseInt(argText.replace(/^#/, ''));
+        const filter = filters.find(f => f.id === id);
+        if (!filter) {
+          await this.bot.sendMessage(chatId, '❌ No filter with that id. See /filter list.');
+          return;
+        }
+
+        await this.db.updateGroupFilters(chatId, filters.filter(f => f.id !== id));
+        await this.renderer.send(chatId, `✅ Removed ${describe(filter)}`, { parse_mode: 'HTML' });
+        return;
+      }
+      case 'test': {
+        if (!argText) {
+          await this.bot.sendMessage(chatId, '❌ Use: /filter test <sample message>');
+          return;
+        }
+
+        const matches = this.contentFilter.findMatches(argText, filters);
+        const normalized = html`\n\nNormalized: <code>${ContentFilter.normalize(argText)}</code>`;
+        await this.renderer.send(
+          chatId,
+          (matches.length > 0
+            ? `🚫 This message would trip:\n${matches.map(describe).join('\n')}\n\nThe first one decides the action.`
+            : '✅ No filter matches this message.') + normalized,
+          { parse_mode: 'HTML' }
+        );
+        return;
+      }
+      default:
+        await this.bot.sendMessage(
+          chatId,
+          `🚫 ${filters.length} filter(s) active.\n\n` +
+          '/filter add <word|/regex/> [delete|warn|mute] [word|substring]\n' +
+          '/filter list\n' +
+          '/filter remove <id>\n' +
+          '/filter test <text>\n\n' +
+          'Words match whole words by default and catch look-alike letters, leet speak and s.p.a.c.i.n.g.'
+        );
+    }
+  }
+
+  /**
+   * /spam as a reply: delete the message and train the classifier on it.
+   * Otherwise: /spam [test <text>|on|off|threshold <spam%> <ham%>|reset]
+   */
+  async handleSpam(msg, match) {
+    const chatId = msg.chat.id;
+    const group = await this.requireGroupAdmin(msg);
+    if (!group) return;
+
+    const target = msg.reply_to_message;
+    if (target) {
+      const text = target.text || target.caption;
+      if (!text) {
+        await this.bot.sendMessage(chatId, '❌ I can only learn from messages with text.');
+        return;
+      }
+
+      await this.spamClassifier.train(chatId, text, true, target);
+      await this.moderationActions.deleteMessage(chatId, target.message_id);
+      await this.moderationActions.log({
+        groupId: chatId,
+        userId: target.from && target.from.id,
+        userName: target.from && target.from.first_name,
+        action: 'delete',
+        source: 'admin',
+        actorId: msg.from.id,
+        reason: 'marked as spam',
+        rule: 'spam',
+        messageText: text
+      });
+      await this.bot.sendMessage(chatId, '🧠 Removed and learned. Similar messages will be caught as spam.');
+      return;
+    }
+
+    const settings = group.settings.classifier;
+    const [option, ...rest] = match[1] ? match[1].trim().split(/\s+/) : [];
+    const percent = (value) => `${Math.round(value * 100)}%`;
+
+    if (!option) {
+      const stats = await this.spamClassifier.getStats(chatId);
+      await this.bot.sendMessage(
+        chatId,
+        `🧠 Spam classifier: ${settings.enabled ? 'on' : 'off'}\n` +
+        `Trained on ${stats.spamDocs} spam and ${stats.hamDocs} normal message(s) from this group.\n` +
+        `Spam at ${percent(settings.spamThreshold)}+, fine at ${percent(settings.hamThreshold)} or less; ` +
+        'the AI decides in between.\n\n' +
+        'Reply to a message with /spam or /notspam to train it.\n' +
+        '/spam test <text> - score a message\n' +
+        '/spam on|off\n' +
+        '/spam threshold <spam%> <ham%>\n' +
+        '/spam reset - forget this group\'s training'
+      );
+      return;
+    }
+
+    switch (option.toLowerCase()) {
+      case 'test': {
+        const text = rest.join(' ');
+        if (!text) {
+          await this.bot.sendMessage(chatId, '❌ Use: /spam test <text>');
+          return;
+        }
+
+        const { probability, evidence } = await this.spamClassifier.score(chatId, text);
+        const label = probability >= settings.spamThreshold ? 'spam'
+          : probability <= settings.hamThreshold ? 'not spam' : 'unsure, the AI would decide';
+        await this.bot.sendMessage(chatId, `🧠 Spam score: ${percent(probability)} (${label}, ${evidence} known word(s))`);
+        return;
+      }
+      case 'on':
+      case 'off':
+        await this.db.updateGroupSettings(chatId, { classifier: { enabled: option.toLowerCase() === 'on' } });
+        await this.bot.sendMessage(chatId, `✅ Spam classifier turned ${option.toLowerCase()}.`);
+        return;
+      case 'threshold': {
+        const [spam, ham] = rest.map(value => parseInt(value));
+        if (isNaN(spam) || isNaN(ham) || ham < 0 || spam > 100 || ham >= spam) {
+          await this.bot.sendMessage(chatId, '❌ Use: /spam threshold <spam%> <ham%>, e.g. /spam threshold 95 10');
+          return;
+        }
+
+        await this.db.updateGroupSettings(chatId, { classifier: { spamThreshold: spam / 100, hamThreshold: ham / 100 } });
+        await this.bot.sendMessage(chatId, `✅ Spam at ${spam}%+, fine at ${ham}% or less.`);
+        return;
+      }
+      case 'reset':
+        await this.spamClassifier.reset(chatId);
+        await this.bot.sendMessage(chatId, '✅ Forgot this group\'s training. The built-in model still applies.');
+        return;
+      default:
+        await this.bot.sendMessage(chatId, '❌ Reply to a message with /spam, or use /spam for options.');
+    }
+  }
+
+  async handleNotSpam(msg) {
+    const chatId = msg.chat.id;
+    const group = await this.requireGroupAdmin(msg);
+    if (!group) return;
+
+    const target = msg.reply_to_message;
+    const text = target && (target.text || target.caption);
+    if (!text) {
+      await this.bot.sendMessage(chatId, '❌ Reply to a message with /notspam.');
+      return;
+    }
+
+    await this.spamClassifier.train(chatId, text, false, target);
+    await this.bot.sendMessage(chatId, '🧠 Noted, messages like this are fine.');
+  }
+
+  /**
+   * /modlog [page] - recent moderation actions
+   * /modlog queue - messages waiting for review
+   * /modlog export - full log as JSON, sent privately
+   */
+  async handleModLog(msg, match) {
+    const chatId = msg.chat.id;
+    const group = await this.requireGroupAdmin(msg);
+    if (!group) return;
+
+    const option = match[1] ? match[1].trim().toLowerCase() : '';
+
+    if (option === 'export') {
+      const entries = await this.db.getModerationLog(chatId, null);
+      try {
+        await this.bot.sendDocument(msg.from.id, Buffer.from(JSON.stringify(entries, null, 2)), {
+          caption: `🧾 Moderation log for ${group.group_name || chatId} (${entries.length} entries)`
+        }, {
+          filename: `group_${chatId}_modlog.json`,
+          contentType: 'application/json'
+        });
+        await this.bot.sendMessage(chatId, '✅ Sent you the moderation log privately.');
+      } catch (error) {
+        await this.bot.sendMessage(chatId, '❌ I couldn\'t DM you. Start a private chat with me first.');
+      }
+      return;
+    }
+
+    if (option === 'queue') {
+      const items = await this.db.getPendingReviewItems(chatId);
+      if (items.length === 0) {
+        await this.bot.sendMessage(chatId, '✅ No messages are waiting for review.');
+        return;
+      }
+
+      const list = items.map(item =>
+        html`#${item.id} ${item.user_name || `User ${item.user_id}`} - ${item.reason}: ` +
+        html`<i>${(item.message_text || '').substring(0, 80)}</i>`
+      ).join('\n');
+      await this.renderer.send(chatId,
+        `🕵️ <b>${items.length} message(s) awaiting review</b>\n${list}\n\nDecide from the DMs I sent to admins.`,
+        { parse_mode: 'HTML' });
+      return;
+    }
+
+    const page = Math.max(parseInt(option) || 1, 1);
+    const entries = await this.db.getModerationLog(chatId, MODLOG_PAGE_SIZE, (page - 1) * MODLOG_PAGE_SIZE);
+    if (entries.length === 0) {
+      await this.bot.sendMessage(chatId, page === 1 ? 'ℹ️ No moderation actions recorded yet.' : 'ℹ️ No more entries.');
+      return;
+    }
+
+    const sources = { auto: '🤖', admin: '👮', review: '🕵️' };
+    const list = entries.map(entry => {
+      let line = html`${sources[entry.source] || ''} ${entry.created_at.substring(0, 16)} <b>${entry.action}</b>`;
+      if (entry.user_id) line += html` ${entry.user_name || `User ${entry.user_id}`}`;
+      if (entry.reason) line += html` - ${entry.reason}`;
+      if (entry.ai_verdict) line += html` (AI: ${entry.ai_verdict})`;
+      return line;
+    }).join('\n');
+
+    await this.renderer.send(chatId,
+      `🧾 <b>Moderation log</b> (page ${page})\n${list}\n\n` +
+      `/modlog ${page + 1} for older entries, /modlog export for everything.`,
+      { parse_mode: 'HTML' });
+  }
+
   async handleExport(msg) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
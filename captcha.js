@@ -0,0 +1,255 @@
+const { html } = require('./renderer');
+
+const MATH_OPTIONS = 6;
+
+/**
+ * A random "a + b" or "a - b" question with its answer and a shuffled set
+ * of button options that includes it
+ */
+function createMathQuestion() {
+  const a = 2 + Math.floor(Math.random() * 10);
+  const b = 1 + Math.floor(Math.random() * 9);
+  const subtract = Math.random() < 0.5 && a > b;
+  const answer = subtract ? a - b : a + b;
+
+  const options = new Set([answer]);
+  while (options.size < MATH_OPTIONS) {
+    const candidate = answer + Math.floor(Math.random() * 11) - 5;
+    if (candidate >= 0) options.add(candidate);
+  }
+
+  return {
+    question: `${a} ${subtract ? '−' : '+'} ${b}`,
+    answer: String(answer),
+    options: [...options].sort(() => Math.random() - 0.5)
+  };
+}
+
+/**
+ * Join verification. New members are muted and shown a challenge
+ * addressed to them; solving it lifts the mute, running out of time or
+ * attempts removes them from the group. Challenges are stored so timers
+ * are rescheduled after a restart.
+ */
+class CaptchaManager {
+  constructor(bot, db, actions, renderer) {
+    this.bot = bot;
+    this.db = db;
+    this.actions = actions;
+    this.renderer = renderer;
+    this.timers = new Map(); // "chatId:userId" -> timeout
+  }
+
+  /**
+   * Mute a new member and post their challenge. Resolves with false when
+   * the member couldn't be muted (the bot lacks rights), in which case
+   * they are let in without verification.
+   */
+  async challenge(chat, member, settings, joinMessageId = null) {
+    if (!(await this.actions.mute(chat.id, member.id, 0))) {
+      console.log(`⚠️ Could not restrict ${member.id} in ${chat.id}, skipping verification`);
+      return false;
+    }
+
+    const name = member.first_name || member.username || 'there';
+    const expiresAt = Date.now() + settings.timeoutSeconds * 1000;
+    const { text, keyboard, answer } = this.buildChallenge(member.id, name, settings);
+
+    let messageId = null;
+    try {
+      const [sent] = await this.renderer.send(chat.id, text, {
+        parse_mode: 'HTML',
+        reply_markup: keyboard
+      });
+      messageId = sent.message_id;
+    } catch (error) {
+      console.error('Error sending captcha:', error.message);
+    }
+
+    await this.db.saveCaptchaChallenge({
+      groupId: chat.id,
+      userId: member.id,
+      userName: name,
+      type: settings.mode,
+      answer,
+      messageId,
+      joinMessageId,
+      expiresAt
+    });
+
+    this.schedule(chat.id, member.id, expiresAt);
+    console.log(`🧩 Captcha sent to ${member.id} in ${chat.id}`);
+    return true;
+  }
+
+  /**
+   * Challenge text, inline keyboard and expected answer for a member
+   */
+  buildChallenge(userId, name, settings, retry = false) {
+    const seconds = settings.timeoutSeconds;
+    const limit = seconds >= 120 ? `${Math.round(seconds / 60)} minutes` : `${seconds} seconds`;
+
+    if (settings.mode === 'math') {
+      const math = createMathQuestion();
+      const prefix = retry ? html`❌ Wrong answer, ${name}. Try this one:` : html`👋 Welcome, ${name}!`;
+      return {
+        text: `${prefix}\nTo prove you're human, solve <b>${math.question}</b> within ${limit}.`,
+        keyboard: {
+          inline_keyboard: [
+            math.options.slice(0, 3).map(option => ({ text: String(option), callback_data: `captcha_${userId}_${option}` })),
+            math.options.slice(3).map(option => ({ text: String(option), callback_data: `captcha_${userId}_${option}` }))
+          ]
+        },
+        answer: math.answer
+      };
+    }
+
+    return {
+      text: html`👋 Welcome, ${name}!` + `\nTap the button below within ${limit} to prove you're human.`,
+      keyboard: {
+        inline_keyboard: [[{ text: '✅ I\'m human', callback_data: `captcha_${userId}_ok` }]]
+      },
+      answer: 'ok'
+    };
+  }
+
+  /**
+   * Handle a challenge button press. onVerified(chat, userName) is
+   * called once the member passes.
+   */
+  async handleAnswer(query, settings, onVerified) {
+    const chatId = query.message.chat.id;
+    const [, userIdStr, answer] = query.data.split('_');
+    const userId = parseInt(userIdStr);
+
+    if (query.from.id !== userId) {
+      await this.bot.answerCallbackQuery(query.id, { text: '🚫 This challenge is for someone else.' });
+      return;
+    }
+
+    const challenge = await this.db.getCaptchaChallenge(chatId, userId);
+    if (!challenge) {
+      await this.bot.answerCallbackQuery(query.id, { text: '⌛ This challenge has expired.' });
+      return;
+    }
+
+    if (answer === challenge.answer) {
+      await this.bot.answerCallbackQuery(query.id, { text: '✅ Verified, welcome!' });
+      await this.pass(challenge);
+      await onVerified(query.message.chat, challenge.user_name);
+      return;
+    }
+
+    const attempts = challenge.attempts + 1;
+    if (attempts >= settings.maxAttempts) {
+      await this.bot.answerCallbackQuery(query.id, { text: '❌ Too many wrong answers.' });
+      await this.fail(challenge, 'too many wrong answers');
+      return;
+    }
+
+    // New question on every miss so guessing doesn't pay off
+    const retry = this.buildChallenge(userId, challenge.user_name, settings, true);
+    await this.db.updateCaptchaChallenge(chatId, userId, retry.answer, attempts);
+    await this.bot.answerCallbackQuery(query.id, {
+      text: `❌ Wrong answer. ${settings.maxAttempts - attempts} attempt(s) left.`
+    });
+
+    try {
+      await this.renderer.edit(chatId, challenge.message_id, retry.text, {
+        parse_mode: 'HTML',
+        reply_markup: retry.keyboard
+      });
+    } catch (error) {
+      console.error('Error updating captcha:', error.message);
+    }
+  }
+
+  async pass(challenge) {
+    this.clearTimer(challenge.group_id, challenge.user_id);
+    await this.db.deleteCaptchaChallenge(challenge.group_id, challenge.user_id);
+    await this.actions.unmute(challenge.group_id, challenge.user_id);
+    await this.deleteMessages(challenge.group_id, [challenge.message_id]);
+    console.log(`✅ Captcha passed by ${challenge.user_id} in ${challenge.group_id}`);
+  }
+
+  /**
+   * Remove a member who didn't verify, along with their join message
+   * and the challenge
+   */
+  async fail(challenge, reason) {
+    this.clearTimer(challenge.group_id, challenge.user_id);
+    await this.db.deleteCaptchaChallenge(challenge.group_id, challenge.user_id);
+    await this.actions.kick(challenge.group_id, challenge.user_id);
+    await this.deleteMessages(challenge.group_id, [challenge.message_id, challenge.join_message_id]);
+    await this.actions.log({
+      groupId: challenge.group_id,
+      userId: challenge.user_id,
+      userName: challenge.user_name,
+      action: 'kick',
+      source: 'auto',
+      reason: `failed join verification (${reason})`,
+      rule: 'captcha'
+    });
+    console.log(`👢 Captcha failed by ${challenge.user_id} in ${challenge.group_id} (${reason})`);
+  }
+
+  /**
+   * Forget a pending challenge without acting on the member, e.g. when
+   * they left on their own or an admin let them in
+   */
+  async cancel(chatId, userId) {
+    const challenge = await this.db.getCaptchaChallenge(chatId, userId);
+    if (!challenge) return false;
+
+    this.clearTimer(chatId, userId);
+    await this.db.deleteCaptchaChallenge(chatId, userId);
+    await this.deleteMessages(chatId, [challenge.message_id]);
+    return true;
+  }
+
+  async expire(chatId, userId) {
+    this.timers.delete(`${chatId}:${userId}`);
+
+    const challenge = await this.db.getCaptchaChallenge(chatId, userId);
+    if (challenge) {
+      await this.fail(challenge, 'timed out');
+    }
+  }
+
+  schedule(chatId, userId, expiresAt) {
+    this.clearTimer(chatId, userId);
+    const delay = Math.max(expiresAt - Date.now(), 0);
+    this.timers.set(`${chatId}:${userId}`, setTimeout(() => {
+      this.expire(chatId, userId).catch(error => console.error('Error expiring captcha:', error));
+    }, delay));
+  }
+
+  clearTimer(chatId, userId) {
+    const key = `${chatId}:${userId}`;
+    if (this.timers.has(key)) {
+      clearTimeout(this.timers.get(key));
+      this.timers.delete(key);
+    }
+  }
+
+  /**
+   * Reschedule stored challenges after a restart; ones that ran out
+   * while the bot was down expire right away
+   */
+  async restore() {
+    const challenges = await this.db.getPendingCaptchaChallenges();
+    challenges.forEach(challenge => this.schedule(challenge.group_id, challenge.user_id, challenge.expires_at));
+
+    if (challenges.length > 0) {
+      console.log(`🧩 Restored ${challenges.length} pending captcha challenge(s)`);
+    }
+  }
+
+  async deleteMessages(chatId, messageIds) {
+    for (const messageId of messageIds.filter(Boolean)) {
+      await this.actions.deleteMessage(chatId, messageId);
+    }
+  }
+}
+
+module.exports = CaptchaManager;
@@ -0,0 +1,87 @@
+const config = require('./config');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Per-provider circuit breaker. After `failureThreshold` consecutive
+ * failures the circuit opens and calls are rejected without touching the
+ * API. Once `resetTimeoutMs` has passed a single trial call is let
+ * through (half-open); success closes the circuit, failure reopens it.
+ */
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || config.AI_CIRCUIT_FAILURE_THRESHOLD;
+    this.resetTimeoutMs = options.resetTimeoutMs || config.AI_CIRCUIT_RESET_MS;
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a request may be sent right now
+   */
+  canRequest() {
+    if (this.state === STATES.CLOSED) return true;
+
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = STATES.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+
+    if (this.state === STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      console.log(`✅ AI provider "${this.name}" recovered, circuit closed`);
+    }
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      if (this.state !== STATES.OPEN) {
+        console.error(`⚠️ AI provider "${this.name}" failing, circuit open for ${this.resetTimeoutMs / 1000}s`);
+      }
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Let the next half-open trial through once the current one has
+   * finished, even if it ended without a success or failure being recorded
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Milliseconds until a trial request will be allowed (0 if not open)
+   */
+  retryAfterMs() {
+    if (this.state !== STATES.OPEN) return 0;
+    return Math.max(0, this.resetTimeoutMs - (Date.now() - this.openedAt));
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
@@ -5,8 +5,31 @@ module.exports = {
   TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN || '',
 
   // AI API Configuration
-  AI_API_URL: process.env.AI_API_URL || 'https://apis.davidcyriltech.my.id/ai/chatbot',
+  // Provider: chatbot (davidcyriltech), openai (any OpenAI-compatible API), ollama, mock
+  AI_PROVIDER: process.env.AI_PROVIDER || 'chatbot',
+  AI_API_URL: process.env.AI_API_URL || '', // empty = provider default
   AI_API_KEY: process.env.AI_API_KEY || '',
+  AI_MODEL: process.env.AI_MODEL || '', // empty = provider default
+  AI_TIMEOUT_MS: parseInt(process.env.AI_TIMEOUT_MS) || 10000,
+  OLLAMA_URL: process.env.OLLAMA_URL || 'http://localhost:11434',
+
+  // Per-provider credentials, for groups that pick a provider with /aiprovider
+  // (the AI_API_* settings above only apply to AI_PROVIDER)
+  CHATBOT_API_URL: process.env.CHATBOT_API_URL || '', // empty = provider default
+  CHATBOT_API_KEY: process.env.CHATBOT_API_KEY || '',
+  OPENAI_API_URL: process.env.OPENAI_API_URL || '', // empty = provider default
+  OPENAI_API_KEY: process.env.OPENAI_API_KEY || '',
+
+  // AI Resilience
+  AI_MAX_RETRIES: process.env.AI_MAX_RETRIES !== undefined ? parseInt(process.env.AI_MAX_RETRIES) : 2,
+  AI_RETRY_BASE_MS: parseInt(process.env.AI_RETRY_BASE_MS) || 500,
+  AI_CIRCUIT_FAILURE_THRESHOLD: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 5,
+  AI_CIRCUIT_RESET_MS: parseInt(process.env.AI_CIRCUIT_RESET_MS) || 60000,
+
+  // AI Quotas (per group, 0 = unlimited)
+  AI_DAILY_QUOTA: parseInt(process.env.AI_DAILY_QUOTA) || 0,
+  AI_MONTHLY_QUOTA: parseInt(process.env.AI_MONTHLY_QUOTA) || 0,
+  AI_QUOTA_WARN_RATIO: parseFloat(process.env.AI_QUOTA_WARN_RATIO) || 0.8,
 
   // Bot Configuration
   BOT_USERNAME: process.env.BOT_USERNAME || 'AIC5GroupManagerBot',
@@ -44,13 +67,25 @@ module.exports = {
   // Response Configuration
   DEFAULT_TONE: process.env.DEFAULT_TONE || 'friendly',
   RESPONSE_DELAY_MS: parseInt(process.env.RESPONSE_DELAY_MS) || 1000,
+  AI_STREAMING: process.env.AI_STREAMING !== 'false', // for providers that support it
+  STREAM_EDIT_INTERVAL_MS: parseInt(process.env.STREAM_EDIT_INTERVAL_MS) || 1500,
 
   // Cache Configuration
   CACHE_TTL_SECONDS: parseInt(process.env.CACHE_TTL_SECONDS) || 3600,
   MAX_CACHE_SIZE: parseInt(process.env.MAX_CACHE_SIZE) || 100,
 
+  // Topic Extraction (keywords shown in /stats and given to the AI)
+  TOPIC_EXTRACTION_CRON: process.env.TOPIC_EXTRACTION_CRON || '0 * * * *', // hourly
+  TOPIC_WINDOW_DAYS: parseInt(process.env.TOPIC_WINDOW_DAYS) || 14,
+
+  // Scheduled Jobs (cron expressions)
+  KNOWLEDGE_DECAY_CRON: process.env.KNOWLEDGE_DECAY_CRON || '30 3 * * *', // daily
+  KNOWLEDGE_REPORT_CRON: process.env.KNOWLEDGE_REPORT_CRON || '0 9 * * 1', // Mondays
+  DATABASE_CLEANUP_CRON: process.env.DATABASE_CLEANUP_CRON || '0 4 * * *', // daily
+
   // Context Window
   MAX_CONTEXT_MESSAGES: parseInt(process.env.MAX_CONTEXT_MESSAGES) || 10,
+  MAX_CONTEXT_TOKENS: parseInt(process.env.MAX_CONTEXT_TOKENS) || 2000, // ~4 chars per token
   
   // Validation
   validate() {
@@ -60,8 +95,14 @@ module.exports = {
       errors.push('TELEGRAM_BOT_TOKEN is required');
     }
 
-    if (!this.AI_API_URL) {
-      errors.push('AI_API_URL is required');
+    if (!['chatbot', 'openai', 'ollama', 'mock'].includes(this.AI_PROVIDER)) {
+      errors.push(`AI_PROVIDER "${this.AI_PROVIDER}" is not supported`);
+    }
+
+    // Same rule as AIService.isConfigured(): a key, or a custom compatible URL
+    const hasOpenAICredentials = this.AI_API_KEY || this.AI_API_URL || this.OPENAI_API_KEY || this.OPENAI_API_URL;
+    if (this.AI_PROVIDER === 'openai' && !hasOpenAICredentials) {
+      errors.push('AI_API_KEY or OPENAI_API_KEY is required for the openai provider');
     }
 
     if (errors.length > 0) {
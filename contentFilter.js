@@ -0,0 +1,236 @@
+const ACTIONS = ['delete', 'warn', 'mute'];
+const MATCH_MODES = ['word', 'substring'];
+const MAX_PATTERN_LENGTH = 200;
+// Regex filters only look at the start of long messages
+const MAX_REGEX_TEXT_LENGTH = 1000;
+
+// Look-alike letters from other scripts, mapped to their Latin twin
+const CONFUSABLES = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+  'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ї': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x',
+  'ı': 'i', 'ł': 'l', 'ø': 'o', 'ß': 'ss'
+};
+
+const LEET_DIGITS = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b' };
+// These double as punctuation ("scam!"), see findMatches()
+const LEET_SYMBOLS = { '@': 'a', '$': 's', '!': 'i', '|': 'i', '€': 'e' };
+
+const INVISIBLE_PATTERN = /[\u00AD\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g;
+// Letters spelled out one at a time: "f u c k", "s.p.a.m"
+const SPACED_LETTERS_PATTERN = /(?<![\p{L}\p{N}])\p{L}(?:[\s.\-_*]+\p{L}(?![\p{L}\p{N}])){2,}/gu;
+// Punctuation tolerated between the letters of a word filter
+const LETTER_SEPARATOR = '[^\\p{L}\\p{N}\\s]*';
+// Between the words of a phrase filter anything goes, even nothing ("freemoney")
+const WORD_SEPARATOR = '[^\\p{L}\\p{N}]*';
+
+/**
+ * Fold text to a canonical form so evasions match: compatibility forms
+ * (fullwidth, styled letters), accents, invisible characters, look-alike
+ * letters from other scripts and leet speak. With symbols: false, leet
+ * symbols like ! and $ are left as they are.
+ */
+function normalize(text, { symbols = true } = {}) {
+  return (text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(INVISIBLE_PATTERN, '')
+    .toLowerCase()
+    .replace(/./gu, char => CONFUSABLES[char] || LEET_DIGITS[char] || (symbols && LEET_SYMBOLS[char]) || char);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether the quantifier at pattern[i] can repeat its atom more than once
+ */
+function isRepeatingQuantifier(pattern, i) {
+  if (pattern[i] === '*' || pattern[i] === '+') return true;
+
+  const braces = pattern.substring(i).match(/^\{(\d+)(,(\d*))?\}/);
+  if (!braces) return false;
+  const max = braces[2] ? braces[3] : braces[1];
+  return max === '' || parseInt(max) > 1;
+}
+
+/**
+ * Whether a regex repeats a group that itself repeats, like (a+)+ or
+ * (\w+\s?)*$. On text that almost matches these take exponential time,
+ * blocking the bot for every group.
+ */
+function hasNestedQuantifier(pattern) {
+  const groups = [{ repeats: false }];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // A character class is a single atom
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false });
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      if (group.repeats && isRepeatingQuantifier(pattern, i + 1)) return true;
+      if (group.repeats) groups[groups.length - 1].repeats = true;
+    } else if (isRepeatingQuantifier(pattern, i)) {
+      groups[groups.length - 1].repeats = true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Parse "/filter add" arguments: a word or phrase, or /regex/, optionally
+ * followed by an action and a match mode in any order.
+ * Returns { filter } or { error }.
+ */
+function parseFilter(input) {
+  const text = (input || '').trim();
+  let pattern;
+  let type;
+  let options;
+
+  const regex = text.match(/^\/(.+)\/\s*(.*)$/s);
+  if (regex) {
+    pattern = regex[1];
+    type = 'regex';
+    options = regex[2].toLowerCase().split(/\s+/).filter(Boolean);
+  } else {
+    const words = text.split(/\s+/).filter(Boolean);
+    options = [];
+    while (words.length > 1 && [...ACTIONS, ...MATCH_MODES].includes(words[words.length - 1].toLowerCase())) {
+      options.unshift(words.pop().toLowerCase());
+    }
+    pattern = words.join(' ');
+    type = 'word';
+  }
+
+  if (!pattern) return { error: 'Give a word, phrase or /regex/ to filter.' };
+  if (pattern.length > MAX_PATTERN_LENGTH) return { error: `Filters can be at most ${MAX_PATTERN_LENGTH} characters.` };
+
+  const unknown = options.find(option => ![...ACTIONS, ...MATCH_MODES].includes(option));
+  if (unknown) return { error: `Unknown option "${unknown}". Actions: ${ACTIONS.join(', ')}; matching: ${MATCH_MODES.join(', ')}.` };
+
+  if (type === 'regex') {
+    try {
+      new RegExp(pattern, 'iu');
+    } catch (error) {
+      return { error: `Invalid regex: ${error.message}` };
+    }
+    if (hasNestedQuantifier(pattern)) {
+      return { error: 'Regex filters can\'t repeat a group that repeats itself, like (a+)+. Use a simpler pattern.' };
+    }
+  } else if (!normalize(pattern).replace(/\s+/g, '')) {
+    return { error: 'That filter has no letters or digits to match.' };
+  }
+
+  return {
+    filter: {
+      pattern,
+      type,
+      action: options.find(option => ACTIONS.includes(option)) || 'delete',
+      match: options.find(option => MATCH_MODES.includes(option)) || 'word'
+    }
+  };
+}
+
+/**
+ * Deterministic per-group word and regex filters. Filters live on the
+ * group next to its rules as [{ id, pattern, type, action, match }].
+ * Word filters are matched against normalized text and tolerate repeated
+ * letters and punctuation between letters; regex filters are tried on
+ * both the original and the normalized text.
+ */
+class ContentFilter {
+  constructor() {
+    this.compiled = new Map(); // "type:match:pattern" -> RegExp
+  }
+
+  /**
+   * Moderation verdict for the first filter msg trips, or null
+   */
+  check(msg, filters) {
+    if (!filters || filters.length === 0) return null;
+
+    const [filter] = this.findMatches(msg.text || msg.caption || '', filters, true);
+    if (!filter) return null;
+
+    return {
+      type: 'filter',
+      action: filter.action,
+      reason: filter.type === 'regex' ? 'posting blocked content' : 'using a banned word',
+      rule: `filter #${filter.id}: ${filter.pattern}`
+    };
+  }
+
+  /**
+   * The filters text trips, in list order. firstOnly stops at the first.
+   */
+  findMatches(text, filters, firstOnly = false) {
+    if (!text.trim()) return [];
+
+    // Also without leet symbols, or "scam!" would become "scami"
+    const folded = [...new Set([normalize(text), normalize(text, { symbols: false })].flatMap(normalized => [
+      normalized,
+      normalized.replace(SPACED_LETTERS_PATTERN, run => run.replace(/[\s.\-_*]+/g, ''))
+    ]))];
+    const matches = [];
+
+    for (const filter of filters) {
+      const regex = this.compile(filter);
+      if (!regex) continue;
+
+      const candidates = filter.type === 'regex'
+        ? [text, ...folded].map(candidate => candidate.substring(0, MAX_REGEX_TEXT_LENGTH))
+        : folded;
+      if (candidates.some(candidate => regex.test(candidate))) {
+        matches.push(filter);
+        if (firstOnly) break;
+      }
+    }
+
+    return matches;
+  }
+
+  compile(filter) {
+    const key = `${filter.type}:${filter.match}:${filter.pattern}`;
+    if (this.compiled.has(key)) return this.compiled.get(key);
+
+    let regex = null;
+    try {
+      if (filter.type === 'regex') {
+        // Filters saved before these were rejected are never run
+        regex = hasNestedQuantifier(filter.pattern) ? null : new RegExp(filter.pattern, 'iu');
+      } else {
+        // "spam" -> s+ p+ a+ m+ so "sppaaam" and "s.p.a.m" still match
+        const body = normalize(filter.pattern).trim().split(/\s+/)
+          .map(word => [...word].map(char => `${escapeRegex(char)}+`).join(LETTER_SEPARATOR))
+          .join(WORD_SEPARATOR);
+        regex = filter.match === 'substring'
+          ? new RegExp(body, 'u')
+          : new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'u');
+      }
+    } catch (error) {
+      console.error('Error compiling filter:', error.message);
+    }
+
+    this.compiled.set(key, regex);
+    return regex;
+  }
+}
+
+ContentFilter.ACTIONS = ACTIONS;
+ContentFilter.MATCH_MODES = MATCH_MODES;
+ContentFilter.normalize = normalize;
+ContentFilter.hasNestedQuantifier = hasNestedQuantifier;
+ContentFilter.parseFilter = parseFilter;
+
+module.exports = ContentFilter;
@@ -0,0 +1,183 @@
+const config = require('./config');
+
+const MAX_REPLY_DEPTH = 6;
+const MAX_TOPICS = 10;
+
+/**
+ * Rough token estimate (~4 characters per token for English text)
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Builds role-structured conversation history for an AI answer:
+ * the recent group conversation, the reply chain leading to the
+ * question and the bot's own earlier answers, trimmed to a token budget.
+ */
+class ContextBuilder {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.maxMessages = options.maxMessages || config.MAX_CONTEXT_MESSAGES;
+    this.maxTokens = options.maxTokens || config.MAX_CONTEXT_TOKENS;
+  }
+
+  /**
+   * Build the full message list for answering msg in group.
+   * Returns [system, ...history, currentQuestion].
+   */
+  async build(msg, group) {
+    const chatId = msg.chat.id;
+
+    const { keywords } = await this.db.getGroupContext(chatId);
+    const system = { role: 'system', content: this.buildSystemPrompt(group, keywords.slice(0, MAX_TOPICS)) };
+    const question = {
+      role: 'user',
+      content: this.formatUserTurn(this.getDisplayName(msg.from), msg.text)
+    };
+
+    const chain = await this.getReplyChain(chatId, msg);
+    const chainIds = new Set(chain.map(turn => turn.messageId).filter(Boolean));
+    chainIds.add(msg.message_id);
+
+    const recent = (await this.getRecentTurns(chatId))
+      .filter(turn => !chainIds.has(turn.messageId));
+
+    const history = this.trimToBudget(
+      [...recent, ...chain],
+      this.maxTokens - estimateTokens(system.content) - estimateTokens(question.content)
+    );
+
+    return [
+      system,
+      ...history.map(({ role, content }) => ({ role, content })),
+      question
+    ];
+  }
+
+  buildSystemPrompt(group, topics = []) {
+    return `You are a helpful AI assistant for a Telegram group.
+Group Purpose: ${group.purpose}
+Tone: ${group.tone}
+Rules: ${group.rules ? group.rules.join(', ') : 'None'}
+${topics.length > 0 ? `Topics the group often discusses: ${topics.join(', ')}\n` : ''}
+Messages from group members are prefixed with the sender's name. Earlier assistant messages are your own previous answers; use the conversation to resolve follow-up questions.
+Answer the latest message naturally and helpfully. Keep responses concise (under 200 words).`;
+  }
+
+  getDisplayName(user) {
+    if (!user) return 'User';
+    return user.first_name || user.username || `User ${user.id}`;
+  }
+
+  formatUserTurn(name, text) {
+    return `${name}: ${text}`;
+  }
+
+  /**
+   * Recent group messages in chronological order, each followed by the
+   * bot's answer to it when there was one
+   */
+  async getRecentTurns(chatId) {
+    const messages = (await this.db.getRecentMessages(chatId, this.maxMessages + 1)).reverse();
+    if (messages.length === 0) return [];
+
+    const interactions = await this.db.getRecentInteractions(chatId, this.maxMessages);
+    const answers = new Map(interactions.map(i => [i.question_msg_id, i]));
+
+    const turns = [];
+    for (const message of messages) {
+      turns.push({
+        role: 'user',
+        content: this.formatUserTurn(message.user_name || `User ${message.user_id}`, message.content),
+        messageId: message.message_id
+      });
+
+      const answer = answers.get(message.message_id);
+      if (answer) {
+        turns.push({
+          role: 'assistant',
+          content: answer.answer,
+          messageId: answer.answer_msg_id
+        });
+      }
+    }
+
+    return turns;
+  }
+
+  /**
+   * Walk the reply chain backwards from msg, oldest turn first
+   */
+  async getReplyChain(chatId, msg) {
+    const chain = [];
+    const seen = new Set();
+    let replyId = msg.reply_to_message ? msg.reply_to_message.message_id : null;
+
+    while (replyId && chain.length < MAX_REPLY_DEPTH && !seen.has(replyId)) {
+      seen.add(replyId);
+
+      const interaction = await this.db.getInteractionByAnswerMsgId(chatId, replyId);
+      if (interaction) {
+        chain.unshift({ role: 'assistant', content: interaction.answer, messageId: replyId });
+        replyId = interaction.question_msg_id;
+        continue;
+      }
+
+      const stored = await this.db.getMessageByMessageId(chatId, replyId);
+      if (stored) {
+        chain.unshift({
+          role: 'user',
+          content: this.formatUserTurn(stored.user_name || `User ${stored.user_id}`, stored.content),
+          messageId: replyId
+        });
+        replyId = stored.reply_to_message_id;
+        continue;
+      }
+
+      // Not in the database (too old, or a bot message we didn't store):
+      // Telegram still gives us the directly replied-to message
+      const direct = msg.reply_to_message;
+      if (direct && direct.message_id === replyId && direct.text) {
+        chain.unshift(direct.from && direct.from.is_bot
+          ? { role: 'assistant', content: direct.text, messageId: replyId }
+          : {
+            role: 'user',
+            content: this.formatUserTurn(this.getDisplayName(direct.from), direct.text),
+            messageId: replyId
+          });
+      }
+      break;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Drop the oldest turns until the history fits the token budget.
+   * A single oversized turn is truncated rather than dropped.
+   */
+  trimToBudget(turns, budget) {
+    const maxTurnChars = Math.max(200, budget * 2); // half the budget, in chars
+    const result = turns.map(turn => turn.content.length > maxTurnChars
+      ? { ...turn, content: turn.content.substring(0, maxTurnChars) + '…' }
+      : turn);
+
+    let total = result.reduce((sum, turn) => sum + estimateTokens(turn.content), 0);
+
+    while (result.length > 0 && total > budget) {
+      total -= estimateTokens(result.shift().content);
+    }
+
+    // Don't open the history with a dangling answer
+    while (result.length > 0 && result[0].role === 'assistant' && result.length < turns.length) {
+      result.shift();
+    }
+
+    return result;
+  }
+}
+
+ContextBuilder.estimateTokens = estimateTokens;
+
+module.exports = ContextBuilder;
@@ -1,19 +1,29 @@
 const sqlite3 = require('sqlite3').verbose();
 const { open } = require('sqlite');
 const path = require('path');
+const { resolveSettings, mergeSettings } = require('./groupSettings');
+const { buildMatchQuery, rankCandidates } = require('./retrieval');
+
+// Learned responses mentioning a keyword (bound three times) in any
+// phrasing of the question or in the answer
+const LEARNED_KEYWORD_CONDITION = `(LOWER(question) LIKE ? OR LOWER(answer) LIKE ? OR id IN (
+  SELECT response_id FROM learned_questions WHERE LOWER(question) LIKE ?
+))`;
+
+// How long a write waits for another connection's transaction to finish
+const BUSY_TIMEOUT_MS = 10000;
 
 class Database {
-  constructor() {
+  constructor(filename = path.join(__dirname, 'bot_database.db')) {
+    this.filename = filename;
     this.db = null;
-    this.initialize();
+    this.importQueue = Promise.resolve(); // imports run one at a time
+    this.ready = this.initialize(); // resolves once all tables exist
   }
 
   async initialize() {
     try {
-      this.db = await open({
-        filename: path.join(__dirname, 'bot_database.db'),
-        driver: sqlite3.Database
-      });
+      this.db = await this.openConnection();
 
       await this.createTables();
       console.log('✅ Database initialized successfully');
@@ -23,6 +33,12 @@ class Database {
     }
   }
 
+  async openConnection() {
+    const connection = await open({ filename: this.filename, driver: sqlite3.Database });
+    connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+    return connection;
+  }
+
   async createTables() {
     // Groups table
     await this.db.exec(`
@@ -36,6 +52,7 @@ class Database {
         triggers TEXT,
         setup_complete BOOLEAN DEFAULT 0,
         paused BOOLEAN DEFAULT 0,
+        settings TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
@@ -62,11 +79,17 @@ class Database {
         user_id INTEGER NOT NULL,
         content TEXT NOT NULL,
         message_id INTEGER,
+        user_name TEXT,
+        username TEXT,
+        reply_to_message_id INTEGER,
         timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (group_id) REFERENCES groups(group_id)
       )
     `);
 
+    // Full-text index over group history for /search
+    await this.createFtsIndex('messages_fts', 'messages', 'content');
+
     // Learned responses table
     await this.db.exec(`
       CREATE TABLE IF NOT EXISTS learned_responses (
@@ -83,6 +106,26 @@ class Database {
       )
     `);
 
+    // Full-text index over learned questions, kept in sync by triggers
+    await this.createFtsIndex('learned_responses_fts', 'learned_responses', 'question');
+
+    // Other phrasings of a learned question, answered by the same response
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS learned_questions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        response_id INTEGER NOT NULL,
+        group_id INTEGER NOT NULL,
+        question TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (response_id) REFERENCES learned_responses(id)
+      );
+
+      CREATE TRIGGER IF NOT EXISTS learned_responses_delete_questions AFTER DELETE ON learned_responses BEGIN
+        DELETE FROM learned_questions WHERE response_id = old.id;
+      END;
+    `);
+    await this.createFtsIndex('learned_questions_fts', 'learned_questions', 'question');
+
     // Interactions table
     await this.db.exec(`
       CREATE TABLE IF NOT EXISTS interactions (
@@ -99,6 +142,19 @@ class Database {
       )
     `);
 
+    // One 👍/👎 per user per answer; interactions keep the totals
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS feedback_votes (
+        interaction_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        vote INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (interaction_id, user_id),
+        FOREIGN KEY (interaction_id) REFERENCES interactions(id)
+      )
+    `);
+
     // Keywords table for learning
     await this.db.exec(`
       CREATE TABLE IF NOT EXISTS keywords (
@@ -120,19 +176,306 @@ class Database {
         user_id INTEGER NOT NULL,
         message_count INTEGER DEFAULT 0,
         last_active DATETIME DEFAULT CURRENT_TIMESTAMP,
+        first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (group_id) REFERENCES groups(group_id),
         UNIQUE(group_id, user_id)
       )
     `);
 
+    // AI response cache (timestamps are epoch milliseconds for LRU ordering)
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS response_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id INTEGER NOT NULL,
+        query_key TEXT NOT NULL,
+        query TEXT NOT NULL,
+        response TEXT NOT NULL,
+        provider TEXT,
+        hits INTEGER DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        last_accessed INTEGER NOT NULL,
+        UNIQUE(group_id, query_key)
+      )
+    `);
+
+    // Cache hit/miss counters
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS cache_stats (
+        group_id INTEGER PRIMARY KEY,
+        hits INTEGER DEFAULT 0,
+        misses INTEGER DEFAULT 0
+      )
+    `);
+
+    // AI usage accounting (one row per request actually sent to a provider)
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ai_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id INTEGER,
+        user_id INTEGER,
+        purpose TEXT,
+        provider TEXT,
+        success BOOLEAN,
+        latency_ms INTEGER,
+        prompt_chars INTEGER DEFAULT 0,
+        response_chars INTEGER DEFAULT 0,
+        error TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Quota notices already sent to admins, one per group/period/level
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS quota_notices (
+        group_id INTEGER NOT NULL,
+        period TEXT NOT NULL,
+        level TEXT NOT NULL,
+        sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (group_id, period, level)
+      )
+    `);
+
+    // Warnings issued to users, by admins or automatic moderation
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS strikes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        user_name TEXT,
+        reason TEXT,
+        source TEXT DEFAULT 'admin',
+        issued_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Pending join verifications (expires_at is epoch milliseconds)
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS captcha_challenges (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        user_name TEXT,
+        type TEXT NOT NULL,
+        answer TEXT NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        message_id INTEGER,
+        join_message_id INTEGER,
+        expires_at INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(group_id, user_id)
+      )
+    `);
+
+    // Lockdowns started by raid detection or /lockdown (times are epoch milliseconds)
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS lockdowns (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id INTEGER NOT NULL,
+        reason TEXT,
+        started_by TEXT,
+        started_at INTEGER NOT NULL,
+        ends_at INTEGER,
+        ended_at INTEGER
+      )
+    `);
+
+    // Recent joins for raid detection, linked to the lockdown they triggered or fell in
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS raid_joins (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        user_name TEXT,
+        username TEXT,
+        suspicious BOOLEAN DEFAULT 0,
+        lockdown_id INTEGER,
+        restricted BOOLEAN DEFAULT 0,
+        banned BOOLEAN DEFAULT 0,
+        joined_at INTEGER NOT NULL
+      )
+    `);
+
+    // Audit trail of every moderation action, automatic or manual
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS moderation_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id INTEGER NOT NULL,
+        user_id INTEGER,
+        user_name TEXT,
+        action TEXT NOT NULL,
+        source TEXT NOT NULL,
+        actor_id INTEGER,
+        reason TEXT,
+        rule TEXT,
+        ai_verdict TEXT,
+        message_text TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Messages held for an admin decision instead of being auto-moderated
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS review_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        user_name TEXT,
+        message_id INTEGER,
+        message_text TEXT,
+        rule TEXT,
+        reason TEXT,
+        proposed_action TEXT,
+        ai_verdict TEXT,
+        status TEXT DEFAULT 'pending',
+        decided_by INTEGER,
+        decided_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Per-group spam classifier: how many spam/ham examples contained each token
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS spam_tokens (
+        group_id INTEGER NOT NULL,
+        token TEXT NOT NULL,
+        spam_count INTEGER DEFAULT 0,
+        ham_count INTEGER DEFAULT 0,
+        PRIMARY KEY (group_id, token)
+      )
+    `);
+
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS spam_model_stats (
+        group_id INTEGER PRIMARY KEY,
+        spam_docs INTEGER DEFAULT 0,
+        ham_docs INTEGER DEFAULT 0,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Answers admins gave in the chat, waiting for approval before they're served
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS pending_knowledge (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id INTEGER NOT NULL,
+        question TEXT NOT NULL,
+        answer TEXT NOT NULL,
+        question_message_id INTEGER,
+        answer_message_id INTEGER,
+        answered_by INTEGER,
+        answered_by_name TEXT,
+        status TEXT DEFAULT 'pending',
+        decided_by INTEGER,
+        decided_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Columns added after the first release (CREATE TABLE IF NOT EXISTS
+    // won't touch tables that already exist)
+    await this.addColumnIfMissing('groups', 'settings', 'TEXT');
+    await this.addColumnIfMissing('groups', 'filters', 'TEXT');
+    await this.addColumnIfMissing('messages', 'user_name', 'TEXT');
+    await this.addColumnIfMissing('messages', 'username', 'TEXT');
+    await this.addColumnIfMissing('messages', 'reply_to_message_id', 'INTEGER');
+    await this.addColumnIfMissing('user_stats', 'first_seen', 'DATETIME');
+    await this.addColumnIfMissing('keywords', 'score', 'REAL DEFAULT 0');
+    await this.addColumnIfMissing('pending_knowledge', 'matched_response_id', 'INTEGER');
+    await this.addColumnIfMissing('learned_responses', 'good_votes', 'INTEGER DEFAULT 0');
+    await this.addColumnIfMissing('learned_responses', 'bad_votes', 'INTEGER DEFAULT 0');
+    await this.addColumnIfMissing('learned_responses', 'retired_at', 'DATETIME');
+    await this.addColumnIfMissing('interactions', 'response_id', 'INTEGER');
+    await this.addColumnIfMissing('interactions', 'up_votes', 'INTEGER DEFAULT 0');
+    await this.addColumnIfMissing('interactions', 'down_votes', 'INTEGER DEFAULT 0');
+    await this.addColumnIfMissing('interactions', 'promoted_at', 'DATETIME');
+
+    // Members tracked before first_seen existed: use their oldest stored message
+    await this.db.run(`
+      UPDATE user_stats SET first_seen = COALESCE(
+        (SELECT MIN(m.timestamp) FROM messages m WHERE m.group_id = user_stats.group_id AND m.user_id = user_stats.user_id),
+        last_active
+      )
+      WHERE first_seen IS NULL
+    `);
+
+    // keywords had no unique key for addKeyword's ON CONFLICT: merge any
+    // duplicate rows into the newest one before adding it
+    await this.db.run(`
+      UPDATE keywords SET frequency = (
+        SELECT SUM(k.frequency) FROM keywords k WHERE k.group_id = keywords.group_id AND k.keyword = keywords.keyword
+      )
+      WHERE id IN (SELECT MAX(id) FROM keywords GROUP BY group_id, keyword HAVING COUNT(*) > 1)
+    `);
+    await this.db.run(`
+      DELETE FROM keywords WHERE id NOT IN (SELECT MAX(id) FROM keywords GROUP BY group_id, keyword)
+    `);
+
     // Create indexes for better performance
     await this.db.exec(`
       CREATE INDEX IF NOT EXISTS idx_messages_group ON messages(group_id);
+      CREATE INDEX IF NOT EXISTS idx_messages_message_id ON messages(group_id, message_id);
+      CREATE INDEX IF NOT EXISTS idx_interactions_answer ON interactions(group_id, answer_msg_id);
       CREATE INDEX IF NOT EXISTS idx_learned_responses_group ON learned_responses(group_id);
+      CREATE INDEX IF NOT EXISTS idx_learned_questions_response ON learned_questions(response_id);
+      CREATE INDEX IF NOT EXISTS idx_learned_questions_group ON learned_questions(group_id);
       CREATE INDEX IF NOT EXISTS idx_interactions_group ON interactions(group_id);
       CREATE INDEX IF NOT EXISTS idx_keywords_group ON keywords(group_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_keywords_unique ON keywords(group_id, keyword);
       CREATE INDEX IF NOT EXISTS idx_setup_states_user ON setup_states(user_id);
+      CREATE INDEX IF NOT EXISTS idx_ai_usage_group ON ai_usage(group_id, timestamp);
+      CREATE INDEX IF NOT EXISTS idx_response_cache_lru ON response_cache(group_id, last_accessed);
+      CREATE INDEX IF NOT EXISTS idx_strikes_user ON strikes(group_id, user_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_raid_joins_group ON raid_joins(group_id, joined_at);
+      CREATE INDEX IF NOT EXISTS idx_raid_joins_lockdown ON raid_joins(lockdown_id);
+      CREATE INDEX IF NOT EXISTS idx_moderation_log_group ON moderation_log(group_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_review_queue_group ON review_queue(group_id, status);
+      CREATE INDEX IF NOT EXISTS idx_pending_knowledge_group ON pending_knowledge(group_id, status);
+    `);
+  }
+
+  /**
+   * Create an external-content FTS5 index over table.column with sync
+   * triggers. A freshly created index is built from the existing rows.
+   */
+  async createFtsIndex(ftsTable, table, column) {
+    const existing = await this.db.get(
+      'SELECT name FROM sqlite_master WHERE type = \'table\' AND name = ?',
+      [ftsTable]
+    );
+
+    await this.db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS ${ftsTable} USING fts5(
+        ${column},
+        content='${table}',
+        content_rowid='id',
+        tokenize='porter unicode61'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS ${ftsTable}_ai AFTER INSERT ON ${table} BEGIN
+        INSERT INTO ${ftsTable}(rowid, ${column}) VALUES (new.id, new.${column});
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS ${ftsTable}_ad AFTER DELETE ON ${table} BEGIN
+        INSERT INTO ${ftsTable}(${ftsTable}, rowid, ${column}) VALUES ('delete', old.id, old.${column});
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS ${ftsTable}_au AFTER UPDATE OF ${column} ON ${table} BEGIN
+        INSERT INTO ${ftsTable}(${ftsTable}, rowid, ${column}) VALUES ('delete', old.id, old.${column});
+        INSERT INTO ${ftsTable}(rowid, ${column}) VALUES (new.id, new.${column});
+      END;
     `);
+
+    if (!existing) {
+      await this.db.run(`INSERT INTO ${ftsTable}(${ftsTable}) VALUES ('rebuild')`);
+    }
+  }
+
+  async addColumnIfMissing(table, column, definition) {
+    const columns = await this.db.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(c => c.name === column)) {
+      await this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
   }
 
   // Setup state operations
@@ -203,6 +546,12 @@ class Database {
       if (group && group.triggers) {
         group.triggers = JSON.parse(group.triggers);
       }
+      if (group) {
+        group.filters = group.filters ? JSON.parse(group.filters) : [];
+      }
+      if (group) {
+        group.settings = resolveSettings(group.settings ? JSON.parse(group.settings) : {});
+      }
       
       return group;
     } catch (error) {
@@ -224,11 +573,49 @@ class Database {
         JSON.stringify(config.triggers),
         groupId
       ]);
+      await this.invalidateResponseCache(groupId);
     } catch (error) {
       console.error('Error updating group config:', error);
     }
   }
 
+  /**
+   * Merge a partial settings object into the group's stored overrides
+   */
+  async updateGroupSettings(groupId, patch) {
+    try {
+      const row = await this.db.get(
+        'SELECT settings FROM groups WHERE group_id = ?',
+        [groupId]
+      );
+      const stored = row && row.settings ? JSON.parse(row.settings) : {};
+
+      await this.db.run(
+        'UPDATE groups SET settings = ?, updated_at = CURRENT_TIMESTAMP WHERE group_id = ?',
+        [JSON.stringify(mergeSettings(stored, patch)), groupId]
+      );
+      await this.invalidateResponseCache(groupId);
+    } catch (error) {
+      console.error('Error updating group settings:', error);
+    }
+  }
+
+  /**
+   * Replace the group's word/regex filter list
+   */
+  async updateGroupFilters(groupId, filters) {
+    try {
+      await this.db.run(
+        'UPDATE groups SET filters = ?, updated_at = CURRENT_TIMESTAMP WHERE group_id = ?',
+        [JSON.stringify(filters), groupId]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error updating group filters:', error);
+      return false;
+    }
+  }
+
   async togglePause(groupId, paused) {
     try {
       await this.db.run(
@@ -241,17 +628,25 @@ class Database {
   }
 
   // Message operations
-  async storeMessage(groupId, userId, content, messageId) {
+  async storeMessage(groupId, userId, content, messageId, details = {}) {
     try {
       await this.db.run(
-        'INSERT INTO messages (group_id, user_id, content, message_id) VALUES (?, ?, ?, ?)',
-        [groupId, userId, content, messageId]
+        'INSERT INTO messages (group_id, user_id, content, message_id, user_name, username, reply_to_message_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [
+          groupId,
+          userId,
+          content,
+          messageId,
+          details.userName || null,
+          details.username || null,
+          details.replyToMessageId || null
+        ]
       );
 
       // Update user stats
       await this.db.run(`
-        INSERT INTO user_stats (group_id, user_id, message_count, last_active)
-        VALUES (?, ?, 1, CURRENT_TIMESTAMP)
+        INSERT INTO user_stats (group_id, user_id, message_count, last_active, first_seen)
+        VALUES (?, ?, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
         ON CONFLICT(group_id, user_id) 
         DO UPDATE SET message_count = message_count + 1, last_active = CURRENT_TIMESTAMP
       `, [groupId, userId]);
@@ -260,10 +655,38 @@ class Database {
     }
   }
 
+  /**
+   * Start tracking a member when they join, so their membership age
+   * counts from the join rather than their first message
+   */
+  async recordMemberJoin(groupId, userId) {
+    try {
+      await this.db.run(`
+        INSERT INTO user_stats (group_id, user_id, message_count, last_active, first_seen)
+        VALUES (?, ?, 0, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        ON CONFLICT(group_id, user_id) DO NOTHING
+      `, [groupId, userId]);
+    } catch (error) {
+      console.error('Error recording member join:', error);
+    }
+  }
+
+  async getUserStats(groupId, userId) {
+    try {
+      return await this.db.get(
+        'SELECT * FROM user_stats WHERE group_id = ? AND user_id = ?',
+        [groupId, userId]
+      );
+    } catch (error) {
+      console.error('Error getting user stats:', error);
+      return null;
+    }
+  }
+
   async getRecentMessages(groupId, limit = 10) {
     try {
       return await this.db.all(
-        'SELECT * FROM messages WHERE group_id = ? ORDER BY timestamp DESC LIMIT ?',
+        'SELECT * FROM messages WHERE group_id = ? ORDER BY timestamp DESC, id DESC LIMIT ?',
         [groupId, limit]
       );
     } catch (error) {
@@ -272,53 +695,254 @@ class Database {
     }
   }
 
+  /**
+   * Full-text search over a group's stored messages.
+   * filters: { matchQuery, from, before, after }, from matches the
+   * username or first name. Returns { results, total }.
+   */
+  async searchMessages(groupId, filters, limit = 5, offset = 0) {
+    try {
+      const conditions = ['m.group_id = ?'];
+      const params = [groupId];
+      let from = 'messages m';
+      let select = 'm.*, m.content AS snippet';
+      let order = 'm.timestamp DESC, m.id DESC';
+
+      if (filters.matchQuery) {
+        from = 'messages_fts JOIN messages m ON m.id = messages_fts.rowid';
+        select = 'm.*, snippet(messages_fts, 0, \'«\', \'»\', \'…\', 16) AS snippet';
+        order = 'bm25(messages_fts), m.timestamp DESC';
+        conditions.push('messages_fts MATCH ?');
+        params.push(filters.matchQuery);
+      }
+
+      if (filters.from) {
+        conditions.push('(LOWER(m.username) = LOWER(?) OR LOWER(m.user_name) = LOWER(?))');
+        params.push(filters.from, filters.from);
+      }
+
+      if (filters.after) {
+        conditions.push('m.timestamp >= ?');
+        params.push(filters.after);
+      }
+
+      if (filters.before) {
+        conditions.push('m.timestamp < ?');
+        params.push(filters.before);
+      }
+
+      const where = conditions.join(' AND ');
+
+      const total = await this.db.get(
+        `SELECT COUNT(*) as count FROM ${from} WHERE ${where}`,
+        params
+      );
+
+      const results = await this.db.all(
+        `SELECT ${select} FROM ${from} WHERE ${where} ORDER BY ${order} LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      return { results, total: total.count };
+    } catch (error) {
+      console.error('Error searching messages:', error);
+      return { results: [], total: 0 };
+    }
+  }
+
+  async getMessageByMessageId(groupId, messageId) {
+    try {
+      return await this.db.get(
+        'SELECT * FROM messages WHERE group_id = ? AND message_id = ? ORDER BY id DESC LIMIT 1',
+        [groupId, messageId]
+      );
+    } catch (error) {
+      console.error('Error getting message:', error);
+      return null;
+    }
+  }
+
   // Learned responses operations
-  async addLearnedResponse(groupId, question, answer, source = 'manual') {
+  /**
+   * Learn an answer. A question the group already has (as its main
+   * phrasing or another one) gets its answer replaced. aliases are other
+   * phrasings of the same question. Resolves with the response id.
+   */
+  async addLearnedResponse(groupId, question, answer, source = 'manual', aliases = []) {
     try {
       // Check if similar question exists
-      const existing = await this.db.get(
-        'SELECT id FROM learned_responses WHERE group_id = ? AND LOWER(question) = LOWER(?)',
-        [groupId, question]
-      );
+      const existingId = await this.findResponseIdByQuestion(groupId, question);
+      let responseId = existingId;
 
-      if (existing) {
+      if (existingId) {
         // Update existing
         await this.db.run(
-          'UPDATE learned_responses SET answer = ?, confidence = 1.0, learned_from = ? WHERE id = ?',
-          [answer, source, existing.id]
+          'UPDATE learned_responses SET answer = ?, confidence = 1.0, learned_from = ?, retired_at = NULL WHERE id = ?',
+          [answer, source, existingId]
         );
       } else {
         // Insert new
-        await this.db.run(
+        const result = await this.db.run(
           'INSERT INTO learned_responses (group_id, question, answer, learned_from) VALUES (?, ?, ?, ?)',
           [groupId, question, answer, source]
         );
+        responseId = result.lastID;
+      }
+
+      if (aliases.length > 0) {
+        await this.addQuestionAliases(responseId, aliases);
       }
+
+      await this.invalidateResponseCache(groupId);
+      return responseId;
     } catch (error) {
       console.error('Error adding learned response:', error);
+      return null;
     }
   }
 
-  async findLearnedResponse(groupId, question) {
+  /**
+   * Id of the learned response that has question as one of its
+   * phrasings (case-insensitive), or null
+   */
+  async findResponseIdByQuestion(groupId, question, connection = this.db) {
+    const row = await connection.get(`
+      SELECT id FROM learned_responses WHERE group_id = ? AND LOWER(question) = LOWER(?)
+      UNION ALL
+      SELECT response_id AS id FROM learned_questions WHERE group_id = ? AND LOWER(question) = LOWER(?)
+      LIMIT 1
+    `, [groupId, question.trim(), groupId, question.trim()]);
+    return row ? row.id : null;
+  }
+
+  /**
+   * Add other phrasings to a learned response. Phrasings the group already
+   * has (on any response) are skipped. Resolves with how many were added.
+   */
+  async addQuestionAliases(responseId, questions) {
     try {
-      // Try exact match first
-      let response = await this.db.get(
-        'SELECT * FROM learned_responses WHERE group_id = ? AND LOWER(question) = LOWER(?) AND confidence > 0.5',
-        [groupId, question]
-      );
+      const response = await this.db.get('SELECT group_id FROM learned_responses WHERE id = ?', [responseId]);
+      if (!response) return 0;
+
+      let added = 0;
+      for (const question of questions.map(q => q.trim()).filter(Boolean)) {
+        if (await this.findResponseIdByQuestion(response.group_id, question)) continue;
 
-      if (!response) {
-        // Try partial match
-        response = await this.db.get(
-          'SELECT * FROM learned_responses WHERE group_id = ? AND LOWER(?) LIKE \'%\' || LOWER(question) || \'%\' AND confidence > 0.5 ORDER BY confidence DESC LIMIT 1',
-          [groupId, question]
+        await this.db.run(
+          'INSERT INTO learned_questions (response_id, group_id, question) VALUES (?, ?, ?)',
+          [responseId, response.group_id, question]
         );
+        added++;
+      }
+
+      if (added > 0) {
+        await this.invalidateResponseCache(response.group_id);
+      }
+      return added;
+    } catch (error) {
+      console.error('Error adding question aliases:', error);
+      return 0;
+    }
+  }
+
+  async getQuestionAliases(responseId) {
+    try {
+      return await this.db.all(
+        'SELECT * FROM learned_questions WHERE response_id = ? ORDER BY id',
+        [responseId]
+      );
+    } catch (error) {
+      console.error('Error getting question aliases:', error);
+      return [];
+    }
+  }
+
+  async removeQuestionAlias(responseId, aliasId) {
+    try {
+      const alias = await this.db.get(
+        'SELECT group_id FROM learned_questions WHERE id = ? AND response_id = ?',
+        [aliasId, responseId]
+      );
+      if (!alias) return false;
+
+      await this.db.run('DELETE FROM learned_questions WHERE id = ?', [aliasId]);
+      await this.invalidateResponseCache(alias.group_id);
+      return true;
+    } catch (error) {
+      console.error('Error removing question alias:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Best learned response for a message, or null. The result carries a
+   * `score` (match relevance × confidence, 0..1) to compare against
+   * MIN_CONFIDENCE_THRESHOLD.
+   */
+  async findLearnedResponse(groupId, question) {
+    const [best] = await this.searchLearnedResponses(groupId, question, 1);
+    return best || null;
+  }
+
+  /**
+   * Ranked learned responses for a message: an exact question match
+   * first, then BM25 full-text candidates re-scored by term coverage.
+   * Every phrasing of a response competes; the response is scored by its
+   * best one, which is returned as matched_question.
+   */
+  async searchLearnedResponses(groupId, question, limit = 5) {
+    try {
+      const exactId = await this.findResponseIdByQuestion(groupId, question);
+      const exact = exactId
+        ? await this.db.get('SELECT * FROM learned_responses WHERE id = ? AND retired_at IS NULL', [exactId])
+        : null;
+
+      let ranked = [];
+      const matchQuery = buildMatchQuery(question);
+
+      if (matchQuery) {
+        const primary = await this.db.all(`
+          SELECT lr.*, lr.question AS phrasing, bm25(learned_responses_fts) AS rank
+          FROM learned_responses_fts
+          JOIN learned_responses lr ON lr.id = learned_responses_fts.rowid
+          WHERE learned_responses_fts MATCH ? AND lr.group_id = ? AND lr.retired_at IS NULL
+          ORDER BY rank
+          LIMIT 20
+        `, [matchQuery, groupId]);
+
+        const aliases = await this.db.all(`
+          SELECT lr.*, lq.question AS phrasing, bm25(learned_questions_fts) AS rank
+          FROM learned_questions_fts
+          JOIN learned_questions lq ON lq.id = learned_questions_fts.rowid
+          JOIN learned_responses lr ON lr.id = lq.response_id
+          WHERE learned_questions_fts MATCH ? AND lq.group_id = ? AND lr.retired_at IS NULL
+          ORDER BY rank
+          LIMIT 20
+        `, [matchQuery, groupId]);
+
+        // Rank each phrasing on its own, keep the best one per response
+        const seen = new Set();
+        const phrasings = [...primary, ...aliases].map(row => ({ ...row, main_question: row.question, question: row.phrasing }));
+        ranked = rankCandidates(question, phrasings)
+          .filter(candidate => !seen.has(candidate.id) && seen.add(candidate.id))
+          .map(({ phrasing, main_question: mainQuestion, ...candidate }) => ({
+            ...candidate,
+            question: mainQuestion,
+            matched_question: phrasing
+          }));
+      }
+
+      if (exact) {
+        ranked = [
+          { ...exact, matched_question: question.trim(), relevance: 1, score: exact.confidence, exact: true },
+          ...ranked.filter(r => r.id !== exact.id)
+        ];
       }
 
-      return response;
+      return ranked.slice(0, limit);
     } catch (error) {
       console.error('Error finding learned response:', error);
-      return null;
+      return [];
     }
   }
 
@@ -333,55 +957,1085 @@ class Database {
     }
   }
 
-  async updateResponseConfidence(responseId, isGood) {
+  /**
+   * Apply a user's vote (1 or -1) on a learned answer to its confidence
+   * and vote counts. previousVote (1, -1 or 0 for none) is undone first,
+   * so changing a vote doesn't count twice.
+   */
+  async applyResponseVote(responseId, vote, previousVote = 0) {
+    const effect = (value) => (value > 0 ? 0.1 : value < 0 ? -0.15 : 0);
+
     try {
-      const adjustment = isGood ? 0.1 : -0.15;
-      await this.db.run(
-        'UPDATE learned_responses SET confidence = MAX(0, MIN(1, confidence + ?)) WHERE id = ?',
-        [adjustment, responseId]
-      );
+      await this.db.run(`
+        UPDATE learned_responses
+        SET confidence = MAX(0, MIN(1, confidence + ?)),
+            good_votes = MAX(0, good_votes + ?),
+            bad_votes = MAX(0, bad_votes + ?)
+        WHERE id = ?
+      `, [
+        effect(vote) - effect(previousVote),
+        (vote > 0) - (previousVote > 0),
+        (vote < 0) - (previousVote < 0),
+        responseId
+      ]);
     } catch (error) {
       console.error('Error updating confidence:', error);
     }
   }
 
-  async forgetLearnedData(groupId, keyword) {
+  /**
+   * One page of a group's learned responses, oldest first, with the total
+   */
+  async getLearnedResponses(groupId, limit = 5, offset = 0) {
     try {
-      const result = await this.db.run(
-        'DELETE FROM learned_responses WHERE group_id = ? AND (LOWER(question) LIKE ? OR LOWER(answer) LIKE ?)',
-        [groupId, `%${keyword.toLowerCase()}%`, `%${keyword.toLowerCase()}%`]
+      const items = await this.db.all(`
+        SELECT lr.*, (SELECT COUNT(*) FROM learned_questions lq WHERE lq.response_id = lr.id) AS alias_count
+        FROM learned_responses lr
+        WHERE lr.group_id = ?
+        ORDER BY lr.id
+        LIMIT ? OFFSET ?
+      `, [groupId, limit, offset]);
+      const total = await this.db.get(
+        'SELECT COUNT(*) as count FROM learned_responses WHERE group_id = ?',
+        [groupId]
       );
-      return result.changes || 0;
+      return { items, total: total.count };
     } catch (error) {
-      console.error('Error forgetting data:', error);
-      return 0;
+      console.error('Error listing learned responses:', error);
+      return { items: [], total: 0 };
     }
   }
 
-  // Interaction operations
-  async storeInteraction(groupId, question, answer, source, questionMsgId, answerMsgId) {
+  async getLearnedResponse(responseId) {
     try {
-      await this.db.run(
-        'INSERT INTO interactions (group_id, question, answer, source, question_msg_id, answer_msg_id) VALUES (?, ?, ?, ?, ?, ?)',
-        [groupId, question, answer, source, questionMsgId, answerMsgId]
-      );
+      return await this.db.get('SELECT * FROM learned_responses WHERE id = ?', [responseId]);
     } catch (error) {
-      console.error('Error storing interaction:', error);
+      console.error('Error getting learned response:', error);
+      return null;
     }
   }
 
-  async updateInteractionFeedback(answerMsgId, feedback) {
+  /**
+   * Change a learned response's question and/or answer
+   */
+  async updateLearnedResponse(responseId, changes) {
+    const fields = ['question', 'answer'].filter(field => changes[field] !== undefined);
+    if (fields.length === 0) return false;
+
     try {
+      const response = await this.getLearnedResponse(responseId);
+      if (!response) return false;
+
       await this.db.run(
-        'UPDATE interactions SET feedback = ? WHERE answer_msg_id = ?',
-        [feedback, answerMsgId]
+        `UPDATE learned_responses SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(field => changes[field]), responseId]
       );
+      await this.invalidateResponseCache(response.group_id);
+      return true;
     } catch (error) {
-      console.error('Error updating feedback:', error);
+      console.error('Error updating learned response:', error);
+      return false;
     }
   }
 
-  // Statistics operations
+  /**
+   * Full confidence again; a retired response is put back in service
+   */
+  async resetResponseConfidence(responseId) {
+    try {
+      const response = await this.getLearnedResponse(responseId);
+      if (!response) return false;
+
+      await this.db.run(
+        'UPDATE learned_responses SET confidence = 1.0, retired_at = NULL WHERE id = ?',
+        [responseId]
+      );
+      await this.invalidateResponseCache(response.group_id);
+      return true;
+    } catch (error) {
+      console.error('Error resetting confidence:', error);
+      return false;
+    }
+  }
+
+  async deleteLearnedResponses(groupId, responseIds) {
+    if (responseIds.length === 0) return 0;
+
+    try {
+      const result = await this.db.run(
+        `DELETE FROM learned_responses WHERE group_id = ? AND id IN (${responseIds.map(() => '?').join(', ')})`,
+        [groupId, ...responseIds]
+      );
+      if (result.changes) {
+        await this.invalidateResponseCache(groupId);
+      }
+      return result.changes || 0;
+    } catch (error) {
+      console.error('Error deleting learned responses:', error);
+      return 0;
+    }
+  }
+
+  async getLearnedQuestions(groupId) {
+    try {
+      const rows = await this.db.all(`
+        SELECT question FROM learned_responses WHERE group_id = ?
+        UNION ALL
+        SELECT question FROM learned_questions WHERE group_id = ?
+      `, [groupId, groupId]);
+      return rows.map(row => row.question);
+    } catch (error) {
+      console.error('Error getting learned questions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Import validated { question, answer, aliases, confidence?, usageCount? }
+   * rows in one transaction. 'merge' updates the answer of questions the group
+   * already has and adds the rest; 'replace' deletes the group's learned
+   * responses first. Resolves with { added, updated, removed }, or null
+   * when nothing was changed because the import failed.
+   */
+  importLearnedResponses(groupId, rows, mode = 'merge') {
+    const run = this.importQueue.then(() => this.runImport(groupId, rows, mode));
+    this.importQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * The transaction runs on a connection of its own, so the bot's other
+   * writes wait for it instead of joining it (and being rolled back with it)
+   */
+  async runImport(groupId, rows, mode) {
+    const result = { added: 0, updated: 0, removed: 0 };
+    let connection = null;
+
+    try {
+      connection = await this.openConnection();
+      await connection.exec('BEGIN IMMEDIATE');
+
+      if (mode === 'replace') {
+        const deleted = await connection.run('DELETE FROM learned_responses WHERE group_id = ?', [groupId]);
+        result.removed = deleted.changes || 0;
+      }
+
+      for (const row of rows) {
+        let responseId = null;
+        if (mode === 'merge') {
+          for (const question of [row.question, ...row.aliases]) {
+            responseId = responseId || await this.findResponseIdByQuestion(groupId, question, connection);
+          }
+        }
+
+        if (responseId) {
+          await connection.run(
+            'UPDATE learned_responses SET answer = ?, confidence = ?, learned_from = ?, retired_at = NULL WHERE id = ?',
+            [row.answer, row.confidence !== undefined ? row.confidence : 1.0, 'import', responseId]
+          );
+          result.updated++;
+        } else {
+          const inserted = await connection.run(
+            'INSERT INTO learned_responses (group_id, question, answer, confidence, learned_from, usage_count) VALUES (?, ?, ?, ?, ?, ?)',
+            [groupId, row.question, row.answer, row.confidence !== undefined ? row.confidence : 1.0, 'import', row.usageCount || 0]
+          );
+          responseId = inserted.lastID;
+          result.added++;
+        }
+
+        for (const alias of row.aliases) {
+          if (await this.findResponseIdByQuestion(groupId, alias, connection)) continue;
+          await connection.run(
+            'INSERT INTO learned_questions (response_id, group_id, question) VALUES (?, ?, ?)',
+            [responseId, groupId, alias]
+          );
+        }
+      }
+
+      await connection.exec('COMMIT');
+    } catch (error) {
+      console.error('Error importing learned responses:', error);
+      if (connection) {
+        try {
+          await connection.exec('ROLLBACK');
+        } catch (rollbackError) {
+          console.error('Error rolling back import:', rollbackError);
+        }
+      }
+      return null;
+    } finally {
+      if (connection) await connection.close();
+    }
+
+    await this.invalidateResponseCache(groupId);
+    return result;
+  }
+
+  /**
+   * Learned responses forgetLearnedData(groupId, keyword) would delete
+   */
+  async findLearnedDataMatches(groupId, keyword) {
+    try {
+      return await this.db.all(
+        `SELECT * FROM learned_responses WHERE group_id = ? AND ${LEARNED_KEYWORD_CONDITION} ORDER BY id`,
+        [groupId, ...Array(3).fill(`%${keyword.toLowerCase()}%`)]
+      );
+    } catch (error) {
+      console.error('Error finding learned data:', error);
+      return [];
+    }
+  }
+
+  async forgetLearnedData(groupId, keyword) {
+    try {
+      const result = await this.db.run(
+        `DELETE FROM learned_responses WHERE group_id = ? AND ${LEARNED_KEYWORD_CONDITION}`,
+        [groupId, ...Array(3).fill(`%${keyword.toLowerCase()}%`)]
+      );
+      if (result.changes) {
+        await this.invalidateResponseCache(groupId);
+      }
+      return result.changes || 0;
+    } catch (error) {
+      console.error('Error forgetting data:', error);
+      return 0;
+    }
+  }
+
+  // Interaction operations
+  /**
+   * Record an answer the bot gave. responseId is the learned response it
+   * came from, if any. Resolves with the interaction id.
+   */
+  async storeInteraction(groupId, question, answer, source, questionMsgId, answerMsgId, responseId = null) {
+    try {
+      const result = await this.db.run(
+        'INSERT INTO interactions (group_id, question, answer, source, question_msg_id, answer_msg_id, response_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [groupId, question, answer, source, questionMsgId, answerMsgId, responseId]
+      );
+      return result.lastID;
+    } catch (error) {
+      console.error('Error storing interaction:', error);
+      return null;
+    }
+  }
+
+  async getInteraction(interactionId) {
+    try {
+      return await this.db.get('SELECT * FROM interactions WHERE id = ?', [interactionId]);
+    } catch (error) {
+      console.error('Error getting interaction:', error);
+      return null;
+    }
+  }
+
+  async getInteractionByAnswerMsgId(groupId, answerMsgId) {
+    try {
+      return await this.db.get(
+        'SELECT * FROM interactions WHERE group_id = ? AND answer_msg_id = ? ORDER BY id DESC LIMIT 1',
+        [groupId, answerMsgId]
+      );
+    } catch (error) {
+      console.error('Error getting interaction:', error);
+      return null;
+    }
+  }
+
+  async getRecentInteractions(groupId, limit = 10) {
+    try {
+      return await this.db.all(
+        'SELECT * FROM interactions WHERE group_id = ? ORDER BY timestamp DESC, id DESC LIMIT ?',
+        [groupId, limit]
+      );
+    } catch (error) {
+      console.error('Error getting recent interactions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Set userId's vote (1 or -1) on an interaction and refresh its totals;
+   * feedback becomes the sign of the net vote. Resolves with
+   * { previous, up, down } where previous is the user's earlier vote
+   * (0 if none), or null on failure.
+   */
+  async recordFeedbackVote(interactionId, userId, vote) {
+    try {
+      const existing = await this.db.get(
+        'SELECT vote FROM feedback_votes WHERE interaction_id = ? AND user_id = ?',
+        [interactionId, userId]
+      );
+
+      if (!existing || existing.vote !== vote) {
+        await this.db.run(`
+          INSERT INTO feedback_votes (interaction_id, user_id, vote) VALUES (?, ?, ?)
+          ON CONFLICT(interaction_id, user_id) DO UPDATE SET vote = excluded.vote, updated_at = CURRENT_TIMESTAMP
+        `, [interactionId, userId, vote]);
+
+        await this.db.run(`
+          UPDATE interactions SET
+            up_votes = (SELECT COUNT(*) FROM feedback_votes WHERE interaction_id = ? AND vote > 0),
+            down_votes = (SELECT COUNT(*) FROM feedback_votes WHERE interaction_id = ? AND vote < 0)
+          WHERE id = ?
+        `, [interactionId, interactionId, interactionId]);
+        await this.db.run(
+          'UPDATE interactions SET feedback = (up_votes > down_votes) - (down_votes > up_votes) WHERE id = ?',
+          [interactionId]
+        );
+      }
+
+      const totals = await this.db.get('SELECT up_votes, down_votes FROM interactions WHERE id = ?', [interactionId]);
+      return { previous: existing ? existing.vote : 0, up: totals.up_votes, down: totals.down_votes };
+    } catch (error) {
+      console.error('Error recording feedback vote:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Mark an interaction as promoted to learned knowledge. Returns false
+   * if it already was, so concurrent votes promote it only once.
+   */
+  async markInteractionPromoted(interactionId) {
+    try {
+      const result = await this.db.run(
+        'UPDATE interactions SET promoted_at = CURRENT_TIMESTAMP WHERE id = ? AND promoted_at IS NULL',
+        [interactionId]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error marking interaction promoted:', error);
+      return false;
+    }
+  }
+
+  // Response cache operations
+  async getCachedResponse(groupId, queryKey, ttlSeconds) {
+    try {
+      const now = Date.now();
+      const entry = await this.db.get(
+        'SELECT * FROM response_cache WHERE group_id = ? AND query_key = ?',
+        [groupId, queryKey]
+      );
+
+      if (!entry) return null;
+
+      if (now - entry.created_at > ttlSeconds * 1000) {
+        await this.db.run('DELETE FROM response_cache WHERE id = ?', [entry.id]);
+        return null;
+      }
+
+      await this.db.run(
+        'UPDATE response_cache SET hits = hits + 1, last_accessed = ? WHERE id = ?',
+        [now, entry.id]
+      );
+
+      return entry;
+    } catch (error) {
+      console.error('Error reading response cache:', error);
+      return null;
+    }
+  }
+
+  async setCachedResponse(groupId, queryKey, query, response, provider, maxSize) {
+    try {
+      const now = Date.now();
+
+      await this.db.run(`
+        INSERT INTO response_cache (group_id, query_key, query, response, provider, created_at, last_accessed)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(group_id, query_key)
+        DO UPDATE SET query = excluded.query, response = excluded.response, provider = excluded.provider,
+          hits = 0, created_at = excluded.created_at, last_accessed = excluded.last_accessed
+      `, [groupId, queryKey, query, response, provider, now, now]);
+
+      // Evict least recently used entries beyond the group's limit
+      await this.db.run(`
+        DELETE FROM response_cache WHERE group_id = ? AND id NOT IN (
+          SELECT id FROM response_cache WHERE group_id = ?
+          ORDER BY last_accessed DESC, id DESC LIMIT ?
+        )
+      `, [groupId, groupId, maxSize]);
+    } catch (error) {
+      console.error('Error writing response cache:', error);
+    }
+  }
+
+  async recordCacheLookup(groupId, hit) {
+    try {
+      await this.db.run(`
+        INSERT INTO cache_stats (group_id, hits, misses) VALUES (?, ?, ?)
+        ON CONFLICT(group_id)
+        DO UPDATE SET hits = hits + excluded.hits, misses = misses + excluded.misses
+      `, [groupId, hit ? 1 : 0, hit ? 0 : 1]);
+    } catch (error) {
+      console.error('Error recording cache lookup:', error);
+    }
+  }
+
+  async getCacheStats(groupId) {
+    try {
+      const entries = await this.db.get(
+        'SELECT COUNT(*) as count FROM response_cache WHERE group_id = ?',
+        [groupId]
+      );
+      const counters = await this.db.get(
+        'SELECT hits, misses FROM cache_stats WHERE group_id = ?',
+        [groupId]
+      );
+
+      return {
+        entries: entries.count,
+        hits: counters ? counters.hits : 0,
+        misses: counters ? counters.misses : 0
+      };
+    } catch (error) {
+      console.error('Error getting cache stats:', error);
+      return { entries: 0, hits: 0, misses: 0 };
+    }
+  }
+
+  async invalidateResponseCache(groupId) {
+    try {
+      await this.db.run('DELETE FROM response_cache WHERE group_id = ?', [groupId]);
+    } catch (error) {
+      console.error('Error invalidating response cache:', error);
+    }
+  }
+
+  // AI usage operations
+  async recordAIUsage(entry) {
+    try {
+      await this.db.run(`
+        INSERT INTO ai_usage (group_id, user_id, purpose, provider, success, latency_ms, prompt_chars, response_chars, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        entry.groupId,
+        entry.userId,
+        entry.purpose,
+        entry.provider,
+        entry.success ? 1 : 0,
+        entry.latencyMs,
+        entry.promptChars,
+        entry.responseChars,
+        entry.error
+      ]);
+    } catch (error) {
+      console.error('Error recording AI usage:', error);
+    }
+  }
+
+  /**
+   * Request counts for a group today and this month (UTC)
+   */
+  async getAIUsageCounts(groupId) {
+    try {
+      return await this.db.get(`
+        SELECT
+          COALESCE(SUM(CASE WHEN date(timestamp) = date('now') THEN 1 ELSE 0 END), 0) as today,
+          COUNT(*) as month
+        FROM ai_usage
+        WHERE group_id = ? AND strftime('%Y-%m', timestamp) = strftime('%Y-%m', 'now')
+      `, [groupId]);
+    } catch (error) {
+      console.error('Error getting AI usage counts:', error);
+      return { today: 0, month: 0 };
+    }
+  }
+
+  /**
+   * Usage summary for a group since the given SQLite modifier
+   * (e.g. 'start of day', 'start of month')
+   */
+  async getAIUsageSummary(groupId, since) {
+    try {
+      const totals = await this.db.get(`
+        SELECT
+          COUNT(*) as requests,
+          COALESCE(SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END), 0) as failures,
+          COALESCE(ROUND(AVG(latency_ms)), 0) as avgLatencyMs,
+          COALESCE(SUM(prompt_chars), 0) as promptChars,
+          COALESCE(SUM(response_chars), 0) as responseChars
+        FROM ai_usage
+        WHERE group_id = ? AND timestamp >= datetime('now', ?)
+      `, [groupId, since]);
+
+      const byPurpose = await this.db.all(`
+        SELECT purpose, COUNT(*) as count FROM ai_usage
+        WHERE group_id = ? AND timestamp >= datetime('now', ?)
+        GROUP BY purpose ORDER BY count DESC
+      `, [groupId, since]);
+
+      const topUsers = await this.db.all(`
+        SELECT u.user_id, COUNT(*) as count,
+          (SELECT m.user_name FROM messages m WHERE m.group_id = u.group_id AND m.user_id = u.user_id
+           ORDER BY m.id DESC LIMIT 1) as user_name
+        FROM ai_usage u
+        WHERE u.group_id = ? AND u.user_id IS NOT NULL AND u.timestamp >= datetime('now', ?)
+        GROUP BY u.user_id ORDER BY count DESC LIMIT 5
+      `, [groupId, since]);
+
+      return { ...totals, byPurpose, topUsers };
+    } catch (error) {
+      console.error('Error getting AI usage summary:', error);
+      return {
+        requests: 0,
+        failures: 0,
+        avgLatencyMs: 0,
+        promptChars: 0,
+        responseChars: 0,
+        byPurpose: [],
+        topUsers: []
+      };
+    }
+  }
+
+  /**
+   * Remember that a quota notice was sent. Returns false if it already was.
+   */
+  async markQuotaNotice(groupId, period, level) {
+    try {
+      const result = await this.db.run(
+        'INSERT OR IGNORE INTO quota_notices (group_id, period, level) VALUES (?, ?, ?)',
+        [groupId, period, level]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error marking quota notice:', error);
+      return false;
+    }
+  }
+
+  // Strike operations
+  async addStrike(groupId, userId, strike = {}) {
+    try {
+      const result = await this.db.run(`
+        INSERT INTO strikes (group_id, user_id, user_name, reason, source, issued_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        groupId,
+        userId,
+        strike.userName || null,
+        strike.reason || null,
+        strike.source || 'admin',
+        strike.issuedBy || null
+      ]);
+      return result.lastID;
+    } catch (error) {
+      console.error('Error adding strike:', error);
+      return null;
+    }
+  }
+
+  /**
+   * A user's strikes from the last expiryDays days (all of them when 0), newest first
+   */
+  async getActiveStrikes(groupId, userId, expiryDays = 0) {
+    try {
+      return await this.db.all(`
+        SELECT * FROM strikes
+        WHERE group_id = ? AND user_id = ? AND (? = 0 OR created_at >= datetime('now', ?))
+        ORDER BY created_at DESC, id DESC
+      `, [groupId, userId, expiryDays, `-${expiryDays} days`]);
+    } catch (error) {
+      console.error('Error getting strikes:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Remove a user's most recent active strike. Returns false if they had none.
+   */
+  async removeLatestStrike(groupId, userId, expiryDays = 0) {
+    try {
+      const result = await this.db.run(`
+        DELETE FROM strikes WHERE id = (
+          SELECT id FROM strikes
+          WHERE group_id = ? AND user_id = ? AND (? = 0 OR created_at >= datetime('now', ?))
+          ORDER BY created_at DESC, id DESC LIMIT 1
+        )
+      `, [groupId, userId, expiryDays, `-${expiryDays} days`]);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error removing strike:', error);
+      return false;
+    }
+  }
+
+  async clearStrikes(groupId, userId) {
+    try {
+      const result = await this.db.run(
+        'DELETE FROM strikes WHERE group_id = ? AND user_id = ?',
+        [groupId, userId]
+      );
+      return result.changes;
+    } catch (error) {
+      console.error('Error clearing strikes:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Most recent sender in a group with the given @username, from stored
+   * messages (the Bot API can't look users up by username)
+   */
+  async findUserByUsername(groupId, username) {
+    try {
+      return await this.db.get(`
+        SELECT user_id, user_name, username FROM messages
+        WHERE group_id = ? AND username = ? COLLATE NOCASE
+        ORDER BY id DESC LIMIT 1
+      `, [groupId, username.replace(/^@/, '')]);
+    } catch (error) {
+      console.error('Error finding user by username:', error);
+      return null;
+    }
+  }
+
+  // CAPTCHA operations
+  async saveCaptchaChallenge(challenge) {
+    try {
+      await this.db.run(`
+        INSERT INTO captcha_challenges (group_id, user_id, user_name, type, answer, message_id, join_message_id, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(group_id, user_id) DO UPDATE SET
+          user_name = excluded.user_name, type = excluded.type, answer = excluded.answer, attempts = 0,
+          message_id = excluded.message_id, join_message_id = excluded.join_message_id,
+          expires_at = excluded.expires_at, created_at = CURRENT_TIMESTAMP
+      `, [
+        challenge.groupId,
+        challenge.userId,
+        challenge.userName || null,
+        challenge.type,
+        challenge.answer,
+        challenge.messageId || null,
+        challenge.joinMessageId || null,
+        challenge.expiresAt
+      ]);
+    } catch (error) {
+      console.error('Error saving captcha challenge:', error);
+    }
+  }
+
+  async getCaptchaChallenge(groupId, userId) {
+    try {
+      return await this.db.get(
+        'SELECT * FROM captcha_challenges WHERE group_id = ? AND user_id = ?',
+        [groupId, userId]
+      );
+    } catch (error) {
+      console.error('Error getting captcha challenge:', error);
+      return null;
+    }
+  }
+
+  async getPendingCaptchaChallenges() {
+    try {
+      return await this.db.all('SELECT * FROM captcha_challenges ORDER BY expires_at');
+    } catch (error) {
+      console.error('Error getting captcha challenges:', error);
+      return [];
+    }
+  }
+
+  async updateCaptchaChallenge(groupId, userId, answer, attempts) {
+    try {
+      await this.db.run(
+        'UPDATE captcha_challenges SET answer = ?, attempts = ? WHERE group_id = ? AND user_id = ?',
+        [answer, attempts, groupId, userId]
+      );
+    } catch (error) {
+      console.error('Error updating captcha challenge:', error);
+    }
+  }
+
+  async deleteCaptchaChallenge(groupId, userId) {
+    try {
+      await this.db.run(
+        'DELETE FROM captcha_challenges WHERE group_id = ? AND user_id = ?',
+        [groupId, userId]
+      );
+    } catch (error) {
+      console.error('Error deleting captcha challenge:', error);
+    }
+  }
+
+  // Raid and lockdown operations
+  async recordRaidJoin(groupId, user, suspicious, lockdownId = null) {
+    try {
+      const result = await this.db.run(`
+        INSERT INTO raid_joins (group_id, user_id, user_name, username, suspicious, lockdown_id, joined_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        groupId,
+        user.id,
+        user.first_name || null,
+        user.username || null,
+        suspicious ? 1 : 0,
+        lockdownId,
+        Date.now()
+      ]);
+      return result.lastID;
+    } catch (error) {
+      console.error('Error recording join:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Joins (total and suspicious) in a group since the given epoch-ms time,
+   * not counting ones already handled by a lockdown
+   */
+  async getRecentJoinCounts(groupId, since) {
+    try {
+      return await this.db.get(`
+        SELECT COUNT(*) as total, COALESCE(SUM(suspicious), 0) as suspicious
+        FROM raid_joins WHERE group_id = ? AND joined_at >= ? AND lockdown_id IS NULL
+      `, [groupId, since]);
+    } catch (error) {
+      console.error('Error counting joins:', error);
+      return { total: 0, suspicious: 0 };
+    }
+  }
+
+  async createLockdown(groupId, reason, startedBy, endsAt = null) {
+    try {
+      const result = await this.db.run(
+        'INSERT INTO lockdowns (group_id, reason, started_by, started_at, ends_at) VALUES (?, ?, ?, ?, ?)',
+        [groupId, reason, String(startedBy), Date.now(), endsAt]
+      );
+      return result.lastID;
+    } catch (error) {
+      console.error('Error creating lockdown:', error);
+      return null;
+    }
+  }
+
+  async getLockdown(lockdownId) {
+    try {
+      return await this.db.get('SELECT * FROM lockdowns WHERE id = ?', [lockdownId]);
+    } catch (error) {
+      console.error('Error getting lockdown:', error);
+      return null;
+    }
+  }
+
+  async getActiveLockdown(groupId) {
+    try {
+      return await this.db.get(
+        'SELECT * FROM lockdowns WHERE group_id = ? AND ended_at IS NULL ORDER BY id DESC LIMIT 1',
+        [groupId]
+      );
+    } catch (error) {
+      console.error('Error getting active lockdown:', error);
+      return null;
+    }
+  }
+
+  async getActiveLockdowns() {
+    try {
+      return await this.db.all('SELECT * FROM lockdowns WHERE ended_at IS NULL');
+    } catch (error) {
+      console.error('Error getting active lockdowns:', error);
+      return [];
+    }
+  }
+
+  async endLockdown(lockdownId) {
+    try {
+      const result = await this.db.run(
+        'UPDATE lockdowns SET ended_at = ? WHERE id = ? AND ended_at IS NULL',
+        [Date.now(), lockdownId]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error ending lockdown:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Attach joins since the given time that aren't part of a lockdown yet
+   */
+  async assignJoinsToLockdown(groupId, lockdownId, since) {
+    try {
+      await this.db.run(
+        'UPDATE raid_joins SET lockdown_id = ? WHERE group_id = ? AND joined_at >= ? AND lockdown_id IS NULL',
+        [lockdownId, groupId, since]
+      );
+    } catch (error) {
+      console.error('Error assigning joins to lockdown:', error);
+    }
+  }
+
+  async getLockdownJoins(lockdownId) {
+    try {
+      return await this.db.all('SELECT * FROM raid_joins WHERE lockdown_id = ? ORDER BY id', [lockdownId]);
+    } catch (error) {
+      console.error('Error getting lockdown joins:', error);
+      return [];
+    }
+  }
+
+  async updateRaidJoin(joinId, { restricted, banned }) {
+    try {
+      await this.db.run(
+        'UPDATE raid_joins SET restricted = COALESCE(?, restricted), banned = COALESCE(?, banned) WHERE id = ?',
+        [restricted === undefined ? null : (restricted ? 1 : 0), banned === undefined ? null : (banned ? 1 : 0), joinId]
+      );
+    } catch (error) {
+      console.error('Error updating join:', error);
+    }
+  }
+
+  // Moderation log operations
+  async logModerationAction(entry) {
+    try {
+      await this.db.run(`
+        INSERT INTO moderation_log (group_id, user_id, user_name, action, source, actor_id, reason, rule, ai_verdict, message_text)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        entry.groupId,
+        entry.userId || null,
+        entry.userName || null,
+        entry.action,
+        entry.source || 'auto',
+        entry.actorId || null,
+        entry.reason || null,
+        entry.rule || null,
+        entry.aiVerdict || null,
+        entry.messageText || null
+      ]);
+    } catch (error) {
+      console.error('Error logging moderation action:', error);
+    }
+  }
+
+  /**
+   * Newest log entries first; limit null returns everything (for export)
+   */
+  async getModerationLog(groupId, limit = 10, offset = 0) {
+    try {
+      return await this.db.all(
+        `SELECT * FROM moderation_log WHERE group_id = ? ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [groupId, limit === null ? -1 : limit, offset]
+      );
+    } catch (error) {
+      console.error('Error getting moderation log:', error);
+      return [];
+    }
+  }
+
+  // Review queue operations
+  async addReviewItem(item) {
+    try {
+      const result = await this.db.run(`
+        INSERT INTO review_queue (group_id, user_id, user_name, message_id, message_text, rule, reason, proposed_action, ai_verdict)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        item.groupId,
+        item.userId,
+        item.userName || null,
+        item.messageId || null,
+        item.messageText || null,
+        item.rule || null,
+        item.reason || null,
+        item.proposedAction || null,
+        item.aiVerdict || null
+      ]);
+      return result.lastID;
+    } catch (error) {
+      console.error('Error adding review item:', error);
+      return null;
+    }
+  }
+
+  async getReviewItem(itemId) {
+    try {
+      return await this.db.get('SELECT * FROM review_queue WHERE id = ?', [itemId]);
+    } catch (error) {
+      console.error('Error getting review item:', error);
+      return null;
+    }
+  }
+
+  async getPendingReviewItems(groupId) {
+    try {
+      return await this.db.all(
+        'SELECT * FROM review_queue WHERE group_id = ? AND status = \'pending\' ORDER BY id',
+        [groupId]
+      );
+    } catch (error) {
+      console.error('Error getting review queue:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Record a decision. Returns false if the item was already decided,
+   * so two admins can't act on the same message.
+   */
+  async decideReviewItem(itemId, status, decidedBy) {
+    try {
+      const result = await this.db.run(`
+        UPDATE review_queue SET status = ?, decided_by = ?, decided_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'pending'
+      `, [status, decidedBy, itemId]);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error deciding review item:', error);
+      return false;
+    }
+  }
+
+  // Pending knowledge operations
+  async addPendingKnowledge(item) {
+    try {
+      const result = await this.db.run(`
+        INSERT INTO pending_knowledge (group_id, question, answer, question_message_id, answer_message_id, answered_by, answered_by_name, matched_response_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        item.groupId,
+        item.question,
+        item.answer,
+        item.questionMessageId || null,
+        item.answerMessageId || null,
+        item.answeredBy || null,
+        item.answeredByName || null,
+        item.matchedResponseId || null
+      ]);
+      return result.lastID;
+    } catch (error) {
+      console.error('Error adding pending knowledge:', error);
+      return null;
+    }
+  }
+
+  async getPendingKnowledgeItem(itemId) {
+    try {
+      return await this.db.get(`
+        SELECT pk.*, lr.question AS matched_question
+        FROM pending_knowledge pk
+        LEFT JOIN learned_responses lr ON lr.id = pk.matched_response_id
+        WHERE pk.id = ?
+      `, [itemId]);
+    } catch (error) {
+      console.error('Error getting pending knowledge:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Oldest candidates first, with the total still waiting
+   */
+  async getPendingKnowledge(groupId, limit = 5) {
+    try {
+      const items = await this.db.all(`
+        SELECT pk.*, lr.question AS matched_question
+        FROM pending_knowledge pk
+        LEFT JOIN learned_responses lr ON lr.id = pk.matched_response_id
+        WHERE pk.group_id = ? AND pk.status = 'pending'
+        ORDER BY pk.id
+        LIMIT ?
+      `, [groupId, limit]);
+      const total = await this.db.get(
+        'SELECT COUNT(*) as count FROM pending_knowledge WHERE group_id = ? AND status = \'pending\'',
+        [groupId]
+      );
+      return { items, total: total.count };
+    } catch (error) {
+      console.error('Error listing pending knowledge:', error);
+      return { items: [], total: 0 };
+    }
+  }
+
+  /**
+   * Record a decision, optionally with an edited answer. Returns false
+   * if the candidate was already decided.
+   */
+  async decidePendingKnowledge(itemId, status, decidedBy, answer = null) {
+    try {
+      const result = await this.db.run(`
+        UPDATE pending_knowledge
+        SET status = ?, decided_by = ?, decided_at = CURRENT_TIMESTAMP, answer = COALESCE(?, answer)
+        WHERE id = ? AND status = 'pending'
+      `, [status, decidedBy, answer, itemId]);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error deciding pending knowledge:', error);
+      return false;
+    }
+  }
+
+  // Spam classifier operations
+  async getSpamModelStats(groupId) {
+    try {
+      const row = await this.db.get('SELECT spam_docs, ham_docs FROM spam_model_stats WHERE group_id = ?', [groupId]);
+      return { spamDocs: row ? row.spam_docs : 0, hamDocs: row ? row.ham_docs : 0 };
+    } catch (error) {
+      console.error('Error getting spam model stats:', error);
+      return { spamDocs: 0, hamDocs: 0 };
+    }
+  }
+
+  /**
+   * Training counts for the given tokens, as token -> { spam, ham }
+   */
+  async getSpamTokenCounts(groupId, tokens) {
+    const counts = new Map();
+    if (tokens.length === 0) return counts;
+
+    try {
+      const rows = await this.db.all(
+        `SELECT token, spam_count, ham_count FROM spam_tokens
+         WHERE group_id = ? AND token IN (${tokens.map(() => '?').join(', ')})`,
+        [groupId, ...tokens]
+      );
+      rows.forEach(row => counts.set(row.token, { spam: row.spam_count, ham: row.ham_count }));
+    } catch (error) {
+      console.error('Error getting spam token counts:', error);
+    }
+
+    return counts;
+  }
+
+  /**
+   * Add one labelled example (its distinct tokens) to a group's model
+   */
+  async trainSpamModel(groupId, tokens, isSpam) {
+    const column = isSpam ? 'spam' : 'ham';
+
+    try {
+      await this.db.run(`
+        INSERT INTO spam_model_stats (group_id, ${column}_docs) VALUES (?, 1)
+        ON CONFLICT(group_id) DO UPDATE SET ${column}_docs = ${column}_docs + 1, updated_at = CURRENT_TIMESTAMP
+      `, [groupId]);
+
+      for (const token of tokens) {
+        await this.db.run(`
+          INSERT INTO spam_tokens (group_id, token, ${column}_count) VALUES (?, ?, 1)
+          ON CONFLICT(group_id, token) DO UPDATE SET ${column}_count = ${column}_count + 1
+        `, [groupId, token]);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error training spam model:', error);
+      return false;
+    }
+  }
+
+  async resetSpamModel(groupId) {
+    try {
+      await this.db.run('DELETE FROM spam_tokens WHERE group_id = ?', [groupId]);
+      await this.db.run('DELETE FROM spam_model_stats WHERE group_id = ?', [groupId]);
+      return true;
+    } catch (error) {
+      console.error('Error resetting spam model:', error);
+      return false;
+    }
+  }
+
+  // Statistics operations
   async getGroupStats(groupId) {
     try {
       const totalMessages = await this.db.get(
@@ -415,7 +2069,7 @@ class Database {
       );
 
       const topKeywords = await this.db.all(
-        'SELECT keyword as topic, frequency as count FROM keywords WHERE group_id = ? ORDER BY frequency DESC LIMIT 5',
+        'SELECT keyword as topic, frequency as count FROM keywords WHERE group_id = ? ORDER BY score DESC, frequency DESC LIMIT 5',
         [groupId]
       );
 
@@ -448,7 +2102,7 @@ class Database {
   async getGroupContext(groupId) {
     try {
       const keywords = await this.db.all(
-        'SELECT keyword, context FROM keywords WHERE group_id = ? ORDER BY frequency DESC LIMIT 20',
+        'SELECT keyword, context FROM keywords WHERE group_id = ? ORDER BY score DESC, frequency DESC LIMIT 20',
         [groupId]
       );
 
@@ -480,6 +2134,152 @@ class Database {
     }
   }
 
+  /**
+   * Replace a group's keywords with freshly extracted topics
+   * ([{ keyword, frequency, score, context }])
+   */
+  async replaceKeywords(groupId, topics) {
+    try {
+      const keywords = topics.map(topic => topic.keyword);
+      await this.db.run(
+        `DELETE FROM keywords WHERE group_id = ? AND keyword NOT IN (${keywords.map(() => '?').join(', ')})`,
+        [groupId, ...keywords]
+      );
+
+      for (const topic of topics) {
+        await this.db.run(`
+          INSERT INTO keywords (group_id, keyword, context, frequency, score, last_seen)
+          VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+          ON CONFLICT(group_id, keyword)
+          DO UPDATE SET context = excluded.context, frequency = excluded.frequency,
+            score = excluded.score, last_seen = CURRENT_TIMESTAMP
+        `, [groupId, topic.keyword, topic.context, topic.frequency, topic.score]);
+      }
+    } catch (error) {
+      console.error('Error replacing keywords:', error);
+    }
+  }
+
+  /**
+   * Groups with stored messages in the last `days` days
+   */
+  async getActiveGroupIds(days) {
+    try {
+      const rows = await this.db.all(
+        'SELECT DISTINCT group_id FROM messages WHERE timestamp >= datetime(\'now\', ?)',
+        [`-${days} days`]
+      );
+      return rows.map(row => row.group_id);
+    } catch (error) {
+      console.error('Error getting active groups:', error);
+      return [];
+    }
+  }
+
+  async getGroupsWithLearnedResponses() {
+    try {
+      const rows = await this.db.all('SELECT DISTINCT group_id FROM learned_responses');
+      return rows.map(row => row.group_id);
+    } catch (error) {
+      console.error('Error getting groups with learned responses:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Lower the confidence of in-service responses not used (or, if never
+   * used, not created) in the last idleDays by rate, doubled for answers
+   * with more 👎 than 👍 and halved for the reverse. Resolves with how
+   * many responses decayed.
+   */
+  async decayLearnedResponses(groupId, idleDays, rate) {
+    try {
+      const result = await this.db.run(`
+        UPDATE learned_responses
+        SET confidence = MAX(0, confidence - ? * CASE
+          WHEN bad_votes > good_votes THEN 2
+          WHEN good_votes > bad_votes THEN 0.5
+          ELSE 1
+        END)
+        WHERE group_id = ? AND retired_at IS NULL AND COALESCE(last_used, created_at) < datetime('now', ?)
+      `, [rate, groupId, `-${idleDays} days`]);
+      if (result.changes) {
+        await this.invalidateResponseCache(groupId);
+      }
+      return result.changes || 0;
+    } catch (error) {
+      console.error('Error decaying learned responses:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Take responses below threshold out of service. They stay in the
+   * database and can be restored from /faq. Resolves with how many.
+   */
+  async retireLearnedResponses(groupId, threshold) {
+    try {
+      const result = await this.db.run(`
+        UPDATE learned_responses SET retired_at = CURRENT_TIMESTAMP
+        WHERE group_id = ? AND retired_at IS NULL AND confidence < ?
+      `, [groupId, threshold]);
+      if (result.changes) {
+        await this.invalidateResponseCache(groupId);
+      }
+      return result.changes || 0;
+    } catch (error) {
+      console.error('Error retiring learned responses:', error);
+      return 0;
+    }
+  }
+
+  async getRetiredLearnedResponses(groupId, sinceDays) {
+    try {
+      return await this.db.all(`
+        SELECT * FROM learned_responses
+        WHERE group_id = ? AND retired_at >= datetime('now', ?)
+        ORDER BY retired_at DESC
+      `, [groupId, `-${sinceDays} days`]);
+    } catch (error) {
+      console.error('Error getting retired learned responses:', error);
+      return [];
+    }
+  }
+
+  /**
+   * In-service responses with confidence below `below`, weakest first
+   */
+  async getAtRiskLearnedResponses(groupId, below) {
+    try {
+      return await this.db.all(`
+        SELECT * FROM learned_responses
+        WHERE group_id = ? AND retired_at IS NULL AND confidence < ?
+        ORDER BY confidence
+      `, [groupId, below]);
+    } catch (error) {
+      console.error('Error getting at-risk learned responses:', error);
+      return [];
+    }
+  }
+
+  /**
+   * A group's messages from the last `days` days, oldest first, capped
+   * at the newest `limit`
+   */
+  async getMessagesForTopics(groupId, days, limit) {
+    try {
+      const rows = await this.db.all(`
+        SELECT content, user_id, timestamp FROM messages
+        WHERE group_id = ? AND timestamp >= datetime('now', ?)
+        ORDER BY timestamp DESC, id DESC LIMIT ?
+      `, [groupId, `-${days} days`, limit]);
+      return rows.reverse();
+    } catch (error) {
+      console.error('Error getting messages for topics:', error);
+      return [];
+    }
+  }
+
   // Export operations
   async exportGroupData(groupId) {
     try {
@@ -488,6 +2288,13 @@ class Database {
         'SELECT * FROM learned_responses WHERE group_id = ?',
         [groupId]
       );
+      const aliases = await this.db.all(
+        'SELECT response_id, question FROM learned_questions WHERE group_id = ? ORDER BY id',
+        [groupId]
+      );
+      for (const response of learnedResponses) {
+        response.aliases = aliases.filter(alias => alias.response_id === response.id).map(alias => alias.question);
+      }
       const stats = await this.getGroupStats(groupId);
 
       return {
@@ -514,6 +2321,12 @@ class Database {
         'DELETE FROM interactions WHERE timestamp < datetime(\'now\', ?)',
         [`-${days} days`]
       );
+      await this.db.run('DELETE FROM feedback_votes WHERE interaction_id NOT IN (SELECT id FROM interactions)');
+
+      await this.db.run(
+        'DELETE FROM raid_joins WHERE joined_at < ?',
+        [Date.now() - days * 24 * 60 * 60 * 1000]
+      );
 
       console.log(`🧹 Cleaned up data older than ${days} days`);
     } catch (error) {
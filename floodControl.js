@@ -0,0 +1,143 @@
+const MEDIA_TYPES = ['sticker', 'animation', 'photo', 'video', 'video_note', 'voice', 'audio', 'document'];
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_WINDOW_SECONDS = 10 * 60;
+const MAX_AI_WINDOW_MINUTES = 24 * 60;
+
+/**
+ * The kind of media a message carries, or null for text-only messages
+ */
+function getMediaType(msg) {
+  return MEDIA_TYPES.find(type => msg[type]) || null;
+}
+
+/**
+ * What counts as "the same message" for repeat detection: the text, or
+ * the file for stickers and other media (file_unique_id is stable across
+ * resends)
+ */
+function getFingerprint(msg) {
+  const text = (msg.text || msg.caption || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  const mediaType = getMediaType(msg);
+  if (!mediaType) return text ? `text:${text}` : null;
+
+  const media = Array.isArray(msg[mediaType]) ? msg[mediaType][msg[mediaType].length - 1] : msg[mediaType];
+  return `${mediaType}:${media.file_unique_id || ''}:${text}`;
+}
+
+/**
+ * In-memory sliding windows per user per group. Tracks recent messages
+ * for flood detection and recent AI answers for the per-user AI rate
+ * limit. State is lost on restart, which is fine for windows this short.
+ */
+class FloodControl {
+  constructor() {
+    this.messages = new Map(); // "chatId:userId" -> [{ at, fingerprint, media, mediaGroupId }]
+    this.aiRequests = new Map(); // "chatId:userId" -> { times: [], notified }
+    this.lastSweep = Date.now();
+  }
+
+  /**
+   * Record a message and check it against the group's flood settings.
+   * Returns a moderation verdict ({ type: 'flood', action, reason,
+   * muteMinutes }) when the user is flooding, null otherwise.
+   */
+  check(msg, settings) {
+    const now = Date.now();
+    const key = `${msg.chat.id}:${msg.from.id}`;
+    const windowMs = settings.windowSeconds * 1000;
+
+    this.sweep(now);
+
+    const recent = (this.messages.get(key) || []).filter(entry => now - entry.at < windowMs);
+
+    // An album arrives as one message per item but is a single post
+    if (msg.media_group_id && recent.some(e => e.mediaGroupId === msg.media_group_id)) {
+      this.messages.set(key, recent);
+      return null;
+    }
+
+    const entry = {
+      at: now,
+      fingerprint: getFingerprint(msg),
+      media: getMediaType(msg) !== null,
+      mediaGroupId: msg.media_group_id || null
+    };
+    recent.push(entry);
+    this.messages.set(key, recent);
+
+    let reason = null;
+    if (settings.maxMessages > 0 && recent.length > settings.maxMessages) {
+      reason = 'flooding the chat';
+    } else if (settings.maxRepeats > 0 && entry.fingerprint &&
+      recent.filter(e => e.fingerprint === entry.fingerprint).length > settings.maxRepeats) {
+      reason = 'repeating the same message';
+    } else if (settings.maxMedia > 0 && entry.media &&
+      recent.filter(e => e.media).length > settings.maxMedia) {
+      reason = 'sending too many stickers or media';
+    }
+
+    if (!reason) return null;
+
+    // Start over so the messages that were already in flight don't trigger again
+    this.messages.delete(key);
+    return { type: 'flood', action: 'mute', reason, muteMinutes: settings.muteMinutes };
+  }
+
+  /**
+   * Per-user AI rate limit. Counts the request when allowed. Returns
+   * { allowed, retryAfterSeconds, notify } where notify is true only for
+   * the first rejection in a window, so the user is told once.
+   */
+  allowAIRequest(chatId, userId, settings) {
+    if (!settings.aiRequestsPerUser) return { allowed: true, retryAfterSeconds: 0, notify: false };
+
+    const now = Date.now();
+    const key = `${chatId}:${userId}`;
+    const windowMs = settings.aiWindowMinutes * 60 * 1000;
+    const state = this.aiRequests.get(key) || { times: [], notified: false };
+
+    state.times = state.times.filter(time => now - time < windowMs);
+    if (state.times.length === 0) state.notified = false;
+
+    if (state.times.length >= settings.aiRequestsPerUser) {
+      const notify = !state.notified;
+      state.notified = true;
+      this.aiRequests.set(key, state);
+      return {
+        allowed: false,
+        retryAfterSeconds: Math.ceil((state.times[0] + windowMs - now) / 1000),
+        notify
+      };
+    }
+
+    state.times.push(now);
+    this.aiRequests.set(key, state);
+    return { allowed: true, retryAfterSeconds: 0, notify: false };
+  }
+
+  /**
+   * Drop users with no recent activity so the maps don't grow forever
+   */
+  sweep(now) {
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) return;
+    this.lastSweep = now;
+
+    for (const [key, entries] of this.messages) {
+      if (entries.every(entry => now - entry.at >= MAX_WINDOW_SECONDS * 1000)) {
+        this.messages.delete(key);
+      }
+    }
+
+    for (const [key, state] of this.aiRequests) {
+      if (state.times.every(time => now - time >= MAX_AI_WINDOW_MINUTES * 60 * 1000)) {
+        this.aiRequests.delete(key);
+      }
+    }
+  }
+}
+
+FloodControl.MAX_WINDOW_SECONDS = MAX_WINDOW_SECONDS;
+FloodControl.MAX_AI_WINDOW_MINUTES = MAX_AI_WINDOW_MINUTES;
+FloodControl.getMediaType = getMediaType;
+
+module.exports = FloodControl;
@@ -0,0 +1,123 @@
+const config = require('./config');
+
+/**
+ * Default per-group settings. Groups only store the values they override,
+ * everything else falls back to these (which in turn come from config).
+ */
+function getDefaultSettings() {
+  return {
+    ai: {
+      provider: null, // null = use config.AI_PROVIDER
+      model: null // null = provider default
+    },
+    quota: {
+      daily: config.AI_DAILY_QUOTA, // AI requests per day, 0 = unlimited
+      monthly: config.AI_MONTHLY_QUOTA, // AI requests per month, 0 = unlimited
+      warnRatio: config.AI_QUOTA_WARN_RATIO // warn admins at this share of a quota
+    },
+    moderation: {
+      enabled: config.AUTO_MODERATION,
+      spamDetection: config.SPAM_DETECTION, // ask the AI whether messages are spam
+      ruleChecks: true, // ask the AI whether messages break the group rules
+      spamAction: 'delete', // delete | warn | mute | ban
+      ruleAction: 'warn',
+      muteMinutes: 60,
+      notify: true, // post a notice in the chat when acting
+      reviewMode: 'borderline', // off | borderline | all: hold AI verdicts for an admin to decide
+      establishedDays: 14, // under 'borderline', members this old or this active get a review
+      establishedMessages: 50
+    },
+    classifier: {
+      enabled: true, // score messages locally before asking the AI about spam
+      spamThreshold: 0.95, // at or above: spam without an AI call
+      hamThreshold: 0.1 // at or below: not spam without an AI call; in between the AI decides
+    },
+    flood: {
+      enabled: true,
+      windowSeconds: 60,
+      maxMessages: config.MAX_MESSAGES_PER_MINUTE, // per user per window, 0 = off
+      maxRepeats: 3, // identical messages per window, 0 = off
+      maxMedia: 6, // stickers/media per window, 0 = off
+      muteMinutes: 10,
+      aiRequestsPerUser: 10, // AI answers per user per AI window, 0 = unlimited
+      aiWindowMinutes: 60
+    },
+    links: {
+      enabled: config.AUTO_MODERATION,
+      action: 'delete', // delete | warn | mute | ban
+      blockInvites: true, // t.me invite links and links to other chats
+      blockShorteners: true, // bit.ly, tinyurl.com, ...
+      blockChannelForwards: true,
+      blockBotForwards: true,
+      allowlistOnly: false, // block every domain not in allowedDomains
+      allowedDomains: [],
+      blockedDomains: [],
+      graceDays: 7, // members seen this long ago are trusted, 0 = off
+      graceMessages: 20 // members with this many messages are trusted, 0 = off
+    },
+    captcha: {
+      enabled: false,
+      mode: 'button', // button | math
+      timeoutSeconds: 120, // unverified members are removed after this
+      maxAttempts: 3 // wrong answers before removal (math mode)
+    },
+    raid: {
+      enabled: true,
+      joinThreshold: 10, // joins within the window that start a lockdown
+      suspiciousThreshold: 6, // suspicious joins within the window, 0 = off
+      windowSeconds: 60,
+      lockdownMinutes: 30 // length of automatic lockdowns
+    },
+    learning: {
+      notifyAdmins: true, // DM admins when an admin's reply is queued for approval
+      decay: true, // lower the confidence of learned answers nobody uses
+      idleDays: 30, // unused this long before an answer starts to decay
+      decayRate: 0.02, // confidence lost per decay run (daily by default)
+      retireBelow: 0.3, // answers below this confidence are taken out of service, 0 = never
+      report: true, // DM admins a periodic list of retired and at-risk answers
+      promoteVotes: 3, // 👍 that get one of my answers learned, 0 = off
+      promoteApproved: false // learn voted-up answers right away instead of queueing them for approval
+    },
+    strikes: {
+      expiryDays: 30, // strikes older than this stop counting, 0 = never expire
+      ladder: [ // action taken once a user reaches count active strikes
+        { count: 3, action: 'mute', minutes: 60 },
+        { count: 5, action: 'ban' }
+      ]
+    }
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep merge overrides into base. Arrays and scalars are replaced, not merged.
+ */
+function mergeSettings(base, overrides) {
+  const result = { ...base };
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = mergeSettings(result[key], value);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Resolve the effective settings for a group from its stored overrides
+ */
+function resolveSettings(stored) {
+  return mergeSettings(getDefaultSettings(), stored || {});
+}
+
+module.exports = {
+  getDefaultSettings,
+  mergeSettings,
+  resolveSettings
+};
@@ -0,0 +1,187 @@
+/**
+ * Parsing and validation for /import. Accepts the JSON written by /export
+ * ({ learnedResponses: [...] }), a bare JSON array of { question, answer,
+ * aliases } objects, or CSV with question and answer columns (a header
+ * row is optional, other phrasings go in the question cell separated by
+ * ||). Rows from an export keep their confidence and usage count.
+ */
+
+const MAX_ROWS = 5000;
+const MAX_QUESTION_LENGTH = 500;
+const MAX_ANSWER_LENGTH = 4000;
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells with commas,
+ * newlines and doubled quotes. Each row carries the line it started on.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  // Blank lines are not rows
+  return rows.filter(entry => entry.cells.some(value => value.trim() !== ''));
+}
+
+function fromCsv(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return { entries: [], error: 'The file has no rows.' };
+
+  const header = rows[0].cells.map(value => value.trim().toLowerCase());
+  let questionColumn = 0;
+  let answerColumn = 1;
+  if (header.includes('question') && header.includes('answer')) {
+    questionColumn = header.indexOf('question');
+    answerColumn = header.indexOf('answer');
+    rows.shift();
+  }
+
+  return {
+    entries: rows.map(row => {
+      const [question, ...aliases] = (row.cells[questionColumn] || '').split('||');
+      return { line: row.line, question, aliases, answer: row.cells[answerColumn] };
+    })
+  };
+}
+
+function fromJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { entries: [], error: `Invalid JSON: ${error.message}` };
+  }
+
+  const items = Array.isArray(data) ? data : data && data.learnedResponses;
+  if (!Array.isArray(items)) {
+    return { entries: [], error: 'Expected an /export file or a list of { question, answer } objects.' };
+  }
+
+  return {
+    entries: items.map((item, i) => ({
+      line: i + 1,
+      question: item && item.question,
+      answer: item && item.answer,
+      aliases: item && item.aliases,
+      confidence: item && item.confidence,
+      usageCount: item && item.usage_count
+    }))
+  };
+}
+
+/**
+ * Parse an uploaded file. The format comes from the file name, falling
+ * back to sniffing the content. Returns { format, entries, error }.
+ */
+function parseImportFile(fileName, text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const name = (fileName || '').toLowerCase();
+  const isJson = name.endsWith('.json') ||
+    (!name.endsWith('.csv') && /^\s*[[{]/.test(content));
+
+  const result = isJson ? fromJson(content) : fromCsv(content);
+  return { format: isJson ? 'json' : 'csv', ...result };
+}
+
+/**
+ * Sort parsed entries into rows to import and problems to report.
+ * existingQuestions is a Set of the group's lowercased questions.
+ * Returns { rows, malformed: [{ line, reason }], duplicates: [line],
+ * existing: number } where duplicates repeat an earlier row of the file
+ * and existing counts rows whose question the group already has.
+ */
+function validateImport(entries, existingQuestions) {
+  const rows = [];
+  const malformed = [];
+  const duplicates = [];
+  const seen = new Set();
+  let existing = 0;
+
+  for (const entry of entries) {
+    const question = typeof entry.question === 'string' ? entry.question.trim() : '';
+    const answer = typeof entry.answer === 'string' ? entry.answer.trim() : '';
+
+    if (!question || !answer) {
+      malformed.push({ line: entry.line, reason: `missing ${!question ? 'question' : 'answer'}` });
+      continue;
+    }
+    if (question.length > MAX_QUESTION_LENGTH) {
+      malformed.push({ line: entry.line, reason: `question longer than ${MAX_QUESTION_LENGTH} characters` });
+      continue;
+    }
+    if (answer.length > MAX_ANSWER_LENGTH) {
+      malformed.push({ line: entry.line, reason: `answer longer than ${MAX_ANSWER_LENGTH} characters` });
+      continue;
+    }
+
+    const key = question.toLowerCase();
+    if (seen.has(key)) {
+      duplicates.push(entry.line);
+      continue;
+    }
+    seen.add(key);
+
+    // Other phrasings already used earlier in the file are dropped
+    const aliases = [];
+    for (const alias of Array.isArray(entry.aliases) ? entry.aliases : []) {
+      const text = typeof alias === 'string' ? alias.trim() : '';
+      if (!text || text.length > MAX_QUESTION_LENGTH || seen.has(text.toLowerCase())) continue;
+      seen.add(text.toLowerCase());
+      aliases.push(text);
+    }
+
+    if ([question, ...aliases].some(phrasing => existingQuestions.has(phrasing.toLowerCase()))) existing++;
+
+    const row = { question, answer, aliases };
+    if (Number.isFinite(entry.confidence)) row.confidence = Math.min(Math.max(entry.confidence, 0), 1);
+    if (Number.isInteger(entry.usageCount) && entry.usageCount >= 0) row.usageCount = entry.usageCount;
+    rows.push(row);
+  }
+
+  return { rows, malformed, duplicates, existing };
+}
+
+module.exports = {
+  MAX_ROWS,
+  parseImportFile,
+  validateImport
+};
@@ -0,0 +1,87 @@
+const { html } = require('./renderer');
+
+// Answers this close above the retirement threshold are reported as at risk
+const AT_RISK_MARGIN = 0.2;
+// The report lists answers retired within this many days (one report period)
+const REPORT_DAYS = 7;
+const REPORT_ITEMS = 10;
+
+/**
+ * Keeps learned answers from outliving their usefulness. Answers nobody
+ * has used for a while lose confidence a little on every decay run, and
+ * ones that fall below the group's threshold are retired: no longer
+ * served, but kept so an admin can restore them from /faq. Admins get a
+ * periodic report of what was retired and what is close to it.
+ */
+class KnowledgeMaintenance {
+  /**
+   * notifyAdmins(chatId, text, options) delivers DMs to the group's admins
+   */
+  constructor(db, notifyAdmins) {
+    this.db = db;
+    this.notifyAdmins = notifyAdmins;
+  }
+
+  async decay() {
+    let decayed = 0;
+    let retired = 0;
+
+    for (const groupId of await this.db.getGroupsWithLearnedResponses()) {
+      const group = await this.db.getGroup(groupId);
+      if (!group) continue;
+
+      const { decay, idleDays, decayRate, retireBelow } = group.settings.learning;
+      if (decay) {
+        decayed += await this.db.decayLearnedResponses(groupId, idleDays, decayRate);
+      }
+      if (retireBelow > 0) {
+        retired += await this.db.retireLearnedResponses(groupId, retireBelow);
+      }
+    }
+
+    console.log(`📉 Knowledge decay: ${decayed} answer(s) decayed, ${retired} retired`);
+    return { decayed, retired };
+  }
+
+  async report() {
+    let sent = 0;
+
+    for (const groupId of await this.db.getGroupsWithLearnedResponses()) {
+      const group = await this.db.getGroup(groupId);
+      if (!group || !group.settings.learning.report) continue;
+
+      const { retireBelow } = group.settings.learning;
+      const retired = await this.db.getRetiredLearnedResponses(groupId, REPORT_DAYS);
+      const atRisk = retireBelow > 0
+        ? await this.db.getAtRiskLearnedResponses(groupId, retireBelow + AT_RISK_MARGIN)
+        : [];
+      if (retired.length === 0 && atRisk.length === 0) continue;
+
+      if (await this.notifyAdmins(groupId, this.formatReport(group, retired, atRisk), { parse_mode: 'HTML' })) {
+        sent++;
+      }
+    }
+
+    console.log(`📉 Knowledge reports sent for ${sent} group(s)`);
+    return sent;
+  }
+
+  formatReport(group, retired, atRisk) {
+    const list = (items) => items.slice(0, REPORT_ITEMS)
+      .map(item => html`• #${item.id} (${item.confidence.toFixed(2)}) ${item.question.replace(/\s+/g, ' ').substring(0, 80)}`)
+      .join('\n') + (items.length > REPORT_ITEMS ? `\n…and ${items.length - REPORT_ITEMS} more` : '');
+
+    const sections = [html`📉 <b>Learned answers report</b> for ${group.group_name || 'your group'}`];
+    if (retired.length > 0) {
+      sections.push(`💤 <b>Retired in the last ${REPORT_DAYS} days</b> (no longer used):\n${list(retired)}`);
+    }
+    if (atRisk.length > 0) {
+      sections.push(`⚠️ <b>At risk</b> (close to being retired):\n${list(atRisk)}`);
+    }
+    sections.push('Open /faq in the group to restore, reset or edit them.');
+
+    return sections.join('\n\n');
+  }
+}
+
+module.exports = KnowledgeMaintenance;
@@ -0,0 +1,194 @@
+const { html } = require('./renderer');
+
+const QUESTION_WORDS = ['what', 'how', 'why', 'when', 'where', 'who', 'which', 'can', 'could', 'would', 'should', 'is', 'are', 'do', 'does'];
+const QUESTION_PHRASES = ['anyone know', 'anybody know', 'does anyone', 'can someone', 'any idea'];
+// Replies made up only of these are chatter, not answers
+const FILLER_WORDS = new Set([
+  'lol', 'lmao', 'lmfao', 'rofl', 'haha', 'hahaha', 'hehe', 'xd', 'ok', 'okay', 'k', 'kk', 'yes', 'yeah', 'yep',
+  'yup', 'no', 'nope', 'nah', 'sure', 'thanks', 'thx', 'ty', 'idk', 'hmm', 'wow', 'nice', 'cool', 'true', 'same'
+]);
+
+// A question this close to a learned one is offered as another phrasing of it
+const REWORDING_RELEVANCE = 0.5;
+
+const DECISIONS = {
+  approve: 'approved',
+  alias: 'approved',
+  reject: 'rejected'
+};
+
+function isQuestion(text) {
+  const lower = (text || '').trim().toLowerCase();
+  if (!lower) return false;
+  if (lower.includes('?')) return true;
+
+  return QUESTION_WORDS.some(word => lower.startsWith(`${word} `)) ||
+    QUESTION_PHRASES.some(phrase => lower.includes(phrase));
+}
+
+/**
+ * Whether a reply looks like an actual answer rather than banter or a
+ * follow-up question
+ */
+function isAnswer(text) {
+  const trimmed = (text || '').trim();
+  const words = trimmed.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+
+  if (words.length === 0) return false;
+  if (words.every(word => FILLER_WORDS.has(word))) return false;
+  if (trimmed.endsWith('?') && words.length < 8) return false;
+
+  return true;
+}
+
+/**
+ * Answers admins give by replying to questions in the chat, and bot
+ * answers the group voted up. They used to be learned on the spot; now
+ * they wait here until an admin approves, edits or rejects them, so only
+ * vetted answers get served.
+ */
+class KnowledgeQueue {
+  /**
+   * notifyAdmins(chatId, text, options) delivers DMs to the group's admins
+   */
+  constructor(db, notifyAdmins) {
+    this.db = db;
+    this.notifyAdmins = notifyAdmins;
+  }
+
+  /**
+   * Queue an admin's reply as a candidate answer to the message it
+   * replies to. Resolves with the candidate id, or null when the pair
+   * doesn't look like a question and an answer.
+   */
+  async propose(msg, group) {
+    const original = msg.reply_to_message;
+    if (!original || !original.text || !msg.text) return null;
+    if (!original.from || original.from.is_bot || original.from.id === msg.from.id) return null;
+    if (!isQuestion(original.text) || !isAnswer(msg.text)) return null;
+
+    const [match] = await this.db.searchLearnedResponses(msg.chat.id, original.text, 1);
+    const isRewording = match && !match.exact && match.relevance >= REWORDING_RELEVANCE;
+
+    return this.enqueue(group, {
+      groupId: msg.chat.id,
+      question: original.text,
+      answer: msg.text,
+      questionMessageId: original.message_id,
+      answerMessageId: msg.message_id,
+      answeredBy: msg.from.id,
+      answeredByName: msg.from.first_name || msg.from.username,
+      matchedResponseId: isRewording ? match.id : null
+    });
+  }
+
+  /**
+   * Learn a bot answer the group voted up, once it has at least the
+   * group's promoteVotes 👍 and more 👍 than 👎. Depending on the group's
+   * settings it goes to the approval queue or straight into learned
+   * answers. Resolves with 'pending', 'approved' or null.
+   */
+  async promoteInteraction(interaction, group) {
+    const { promoteVotes, promoteApproved } = group.settings.learning;
+    if (!promoteVotes || interaction.response_id || interaction.promoted_at) return null;
+    if (interaction.up_votes < promoteVotes || interaction.up_votes <= interaction.down_votes) return null;
+    if (!(await this.db.markInteractionPromoted(interaction.id))) return null;
+
+    if (promoteApproved) {
+      await this.db.addLearnedResponse(interaction.group_id, interaction.question, interaction.answer, 'votes');
+      console.log(`📚 Learned answer ${interaction.id} in ${interaction.group_id} after ${interaction.up_votes} 👍`);
+      return 'approved';
+    }
+
+    const itemId = await this.enqueue(group, {
+      groupId: interaction.group_id,
+      question: interaction.question,
+      answer: interaction.answer,
+      questionMessageId: interaction.question_msg_id,
+      answerMessageId: interaction.answer_msg_id,
+      answeredByName: `the bot (${interaction.up_votes} 👍, ${interaction.down_votes} 👎)`
+    });
+    return itemId ? 'pending' : null;
+  }
+
+  /**
+   * Store a candidate and tell the admins about it if the group wants
+   */
+  async enqueue(group, candidate) {
+    const itemId = await this.db.addPendingKnowledge(candidate);
+    if (!itemId) return null;
+
+    console.log(`📚 Queued answer ${itemId} in ${candidate.groupId} for approval`);
+
+    if (group.settings.learning.notifyAdmins) {
+      const item = await this.db.getPendingKnowledgeItem(itemId);
+      await this.notifyAdmins(
+        candidate.groupId,
+        html`📚 <b>New answer to learn</b> in ${group.group_name || 'your group'}\n\n` + this.format(item),
+        { parse_mode: 'HTML', reply_markup: this.getKeyboard(item) }
+      );
+    }
+
+    return itemId;
+  }
+
+  /**
+   * Candidate as HTML: question, answer and who gave it, plus the learned
+   * question it seems to reword
+   */
+  format(item) {
+    return html`<b>Q:</b> ${item.question.substring(0, 500)}\n<b>A:</b> ${item.answer.substring(0, 1500)}\n` +
+      html`<i>Answered by ${item.answered_by_name || 'an admin'}</i>` +
+      (item.matched_question
+        ? html`\n\n🔗 Looks like a rewording of #${item.matched_response_id}: ${item.matched_question.substring(0, 300)}`
+        : '');
+  }
+
+  getKeyboard(item) {
+    const rows = [[
+      { text: '✅ Approve', callback_data: `knowledge_approve_${item.id}` },
+      { text: '✏️ Edit', callback_data: `knowledge_edit_${item.id}` },
+      { text: '🗑 Reject', callback_data: `knowledge_reject_${item.id}` }
+    ]];
+    if (item.matched_question) {
+      rows.push([{ text: `🔗 Add as phrasing of #${item.matched_response_id}`, callback_data: `knowledge_alias_${item.id}` }]);
+    }
+    return { inline_keyboard: rows };
+  }
+
+  /**
+   * Approve (optionally with an edited answer), approve as another
+   * phrasing of the learned question it matched ('alias'), or reject a
+   * candidate. Resolves with { ok, item, status, aliasOf } where ok is
+   * false when another admin already decided.
+   */
+  async decide(itemId, decision, admin, answer = null) {
+    const item = await this.db.getPendingKnowledgeItem(itemId);
+    const status = DECISIONS[decision];
+    if (!item || !status) return { ok: false, item, status: null };
+
+    if (!(await this.db.decidePendingKnowledge(itemId, status, admin.id, answer))) {
+      return { ok: false, item, status: item.status };
+    }
+
+    // The matched answer may have been deleted since; learn it as new then
+    const aliasOf = decision === 'alias' && item.matched_response_id &&
+      await this.db.getLearnedResponse(item.matched_response_id)
+      ? item.matched_response_id
+      : null;
+
+    if (aliasOf) {
+      await this.db.addQuestionAliases(aliasOf, [item.question]);
+    } else if (status === 'approved') {
+      await this.db.addLearnedResponse(item.group_id, item.question, answer || item.answer, 'admin');
+    }
+
+    console.log(`📚 Candidate answer ${itemId} ${status}${answer ? ' with edits' : ''}${aliasOf ? ` as a phrasing of #${aliasOf}` : ''} by ${admin.id}`);
+    return { ok: true, item: { ...item, answer: answer || item.answer }, status, aliasOf };
+  }
+}
+
+KnowledgeQueue.isQuestion = isQuestion;
+KnowledgeQueue.isAnswer = isAnswer;
+
+module.exports = KnowledgeQueue;
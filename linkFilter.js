@@ -0,0 +1,167 @@
+const TELEGRAM_HOSTS = ['t.me', 'telegram.me', 'telegram.dog'];
+
+const SHORTENERS = [
+  'bit.ly', 'bit.do', 'buff.ly', 'cutt.ly', 'goo.gl', 'is.gd', 'lnkd.in', 'ow.ly', 'rb.gy',
+  'rebrand.ly', 's.id', 'shorturl.at', 't.co', 't.ly', 'tiny.cc', 'tinyurl.com', 'v.gd', 'adf.ly',
+  'shorte.st', 'clck.ru', 'qr.ae'
+];
+
+const REASONS = {
+  invite: 'posting invite links to other chats',
+  shortener: 'posting shortened links',
+  blocked: 'posting links to blocked sites',
+  unlisted: 'posting links to sites that aren\'t allowed',
+  channelForward: 'forwarding from channels',
+  botForward: 'forwarding from bots'
+};
+
+/**
+ * Lowercase host without "www.", or null if the text isn't a usable domain/URL
+ */
+function normalizeDomain(text) {
+  const value = (text || '').trim().toLowerCase();
+  if (!value) return null;
+
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(value) ? value : `http://${value}`);
+    const host = url.hostname.replace(/^www\./, '');
+    return host.includes('.') ? host : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * host is domain or one of its subdomains
+ */
+function matchesDomain(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * All links in a message from its url and text_link entities
+ * (text or caption), as parsed URL objects
+ */
+function extractLinks(msg) {
+  const text = msg.text || msg.caption || '';
+  const entities = msg.entities || msg.caption_entities || [];
+  const links = [];
+
+  for (const entity of entities) {
+    let raw = null;
+    if (entity.type === 'url') raw = text.substring(entity.offset, entity.offset + entity.length);
+    if (entity.type === 'text_link') raw = entity.url;
+    if (!raw) continue;
+
+    try {
+      const url = new URL(/^[a-z][a-z0-9+.-]*:/i.test(raw) ? raw : `http://${raw}`);
+      links.push(url);
+    } catch (error) {
+      // Not a URL after all
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Whether a URL invites to a chat other than the current one. Links to
+ * messages in this group (t.me/c/..., t.me/<own username>/...) are fine.
+ */
+function isForeignInvite(url, chat) {
+  if (url.protocol === 'tg:') return /^(join|resolve)$/.test(url.hostname);
+
+  const host = url.hostname.replace(/^www\./, '').toLowerCase();
+  if (!TELEGRAM_HOSTS.includes(host)) return false;
+
+  const [first = ''] = url.pathname.split('/').filter(Boolean);
+  if (first.startsWith('+') || first === 'joinchat' || first === 'addlist') return true;
+  if (!first || first === 'c' || first === 'share') return false;
+
+  return !chat.username || first.toLowerCase() !== chat.username.toLowerCase();
+}
+
+/**
+ * Where a forwarded message came from: 'channel', 'bot' or null
+ */
+function getForwardSource(msg) {
+  const origin = msg.forward_origin;
+  if (origin) {
+    if (origin.type === 'channel') return 'channel';
+    if (origin.type === 'user' && origin.sender_user && origin.sender_user.is_bot) return 'bot';
+    return null;
+  }
+
+  // Before Bot API 7.0
+  if (msg.forward_from_chat && msg.forward_from_chat.type === 'channel') return 'channel';
+  if (msg.forward_from && msg.forward_from.is_bot) return 'bot';
+  return null;
+}
+
+/**
+ * Per-group link and forward policy. Members who have been around long
+ * enough (by days since first seen or by message count) are trusted and
+ * skip these checks.
+ */
+class LinkFilter {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Moderation verdict for msg, or null when it's allowed
+   */
+  async check(msg, settings) {
+    const violation = this.findViolation(msg, settings);
+    if (!violation) return null;
+
+    if (await this.hasGrace(msg.chat.id, msg.from.id, settings)) return null;
+
+    return { type: 'links', action: settings.action, reason: REASONS[violation] };
+  }
+
+  /**
+   * The first policy msg breaks (a key of REASONS), or null
+   */
+  findViolation(msg, settings) {
+    const forwardSource = getForwardSource(msg);
+    if (forwardSource === 'channel' && settings.blockChannelForwards) return 'channelForward';
+    if (forwardSource === 'bot' && settings.blockBotForwards) return 'botForward';
+
+    for (const url of extractLinks(msg)) {
+      if (settings.blockInvites && isForeignInvite(url, msg.chat)) return 'invite';
+      if (url.protocol === 'tg:') continue;
+
+      const host = url.hostname.replace(/^www\./, '').toLowerCase();
+      if (TELEGRAM_HOSTS.includes(host)) continue;
+
+      if (settings.allowedDomains.some(domain => matchesDomain(host, domain))) continue;
+      if (settings.blockedDomains.some(domain => matchesDomain(host, domain))) return 'blocked';
+      if (settings.blockShorteners && SHORTENERS.some(domain => matchesDomain(host, domain))) return 'shortener';
+      if (settings.allowlistOnly) return 'unlisted';
+    }
+
+    return null;
+  }
+
+  async hasGrace(chatId, userId, settings) {
+    if (!settings.graceDays && !settings.graceMessages) return false;
+
+    const stats = await this.db.getUserStats(chatId, userId);
+    if (!stats) return false;
+
+    if (settings.graceMessages > 0 && stats.message_count >= settings.graceMessages) return true;
+    if (settings.graceDays > 0 && stats.first_seen) {
+      const firstSeen = new Date(`${stats.first_seen.replace(' ', 'T')}Z`).getTime();
+      return Date.now() - firstSeen >= settings.graceDays * 24 * 60 * 60 * 1000;
+    }
+
+    return false;
+  }
+}
+
+LinkFilter.SHORTENERS = SHORTENERS;
+LinkFilter.normalizeDomain = normalizeDomain;
+LinkFilter.extractLinks = extractLinks;
+
+module.exports = LinkFilter;
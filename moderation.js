@@ -0,0 +1,242 @@
+const { html } = require('./renderer');
+
+const ACTIONS = ['delete', 'warn', 'mute', 'ban'];
+
+const REASONS = {
+  spam: 'spam',
+  rules: 'breaking the group rules'
+};
+
+/**
+ * Runs every group message through the moderation checks before the bot
+ * considers answering it. Each check returns a verdict
+ * ({ type, action, reason }) or null; the first verdict wins and its
+ * action is applied. Cheap local checks run before the AI ones.
+ */
+class ModerationPipeline {
+  /**
+   * components: optional { strikes, floodControl, linkFilter, contentFilter,
+   * reviewQueue, spamClassifier }; checks whose component is missing are
+   * skipped
+   */
+  constructor(ai, actions, renderer, components = {}) {
+    this.ai = ai;
+    this.actions = actions;
+    this.renderer = renderer;
+    this.strikes = components.strikes || null;
+    this.floodControl = components.floodControl || null;
+    this.linkFilter = components.linkFilter || null;
+    this.contentFilter = components.contentFilter || null;
+    this.reviewQueue = components.reviewQueue || null;
+    this.spamClassifier = components.spamClassifier || null;
+    this.checks = [
+      (msg, group, options) => this.checkFlood(msg, group, options),
+      (msg, group, options) => this.checkLinks(msg, group, options),
+      (msg, group, options) => this.checkFilters(msg, group, options),
+      (msg, group, options) => this.checkSpam(msg, group, options),
+      (msg, group, options) => this.checkRules(msg, group, options)
+    ];
+  }
+
+  /**
+   * Check msg and act on it. options.aiOptions are passed to AI calls,
+   * options.aiAllowed() decides whether AI checks may run at all.
+   * Resolves with the verdict when the message was actioned or held for
+   * review (verdict.held), null otherwise.
+   */
+  async process(msg, group, options = {}) {
+    const verdict = await this.evaluate(msg, group, options);
+    if (!verdict) return null;
+
+    if (this.reviewQueue && (await this.reviewQueue.shouldHold(msg, group, verdict))) {
+      await this.reviewQueue.hold(msg, group, verdict);
+      return { ...verdict, held: true };
+    }
+
+    await this.apply(msg, group, verdict);
+    return verdict;
+  }
+
+  async evaluate(msg, group, options = {}) {
+    for (const check of this.checks) {
+      try {
+        const verdict = await check(msg, group, options);
+        if (verdict) return verdict;
+      } catch (error) {
+        console.error('Error running moderation check:', error);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Flood control has its own switch so it works without AI moderation
+   */
+  async checkFlood(msg, group, options) {
+    const settings = group.settings.flood;
+    if (!this.floodControl || !settings.enabled) return null;
+
+    return this.floodControl.check(msg, settings);
+  }
+
+  async checkLinks(msg, group, options) {
+    const settings = group.settings.links;
+    if (!this.linkFilter || !settings.enabled) return null;
+
+    return this.linkFilter.check(msg, settings);
+  }
+
+  /**
+   * Admin-defined word and regex filters apply whenever a group has any
+   */
+  async checkFilters(msg, group, options) {
+    if (!this.contentFilter) return null;
+
+    return this.contentFilter.check(msg, group.filters);
+  }
+
+  /**
+   * The local classifier settles clear cases; only messages it's unsure
+   * about (or all of them, when it's off) go to the AI
+   */
+  async checkSpam(msg, group, options) {
+    const settings = group.settings.moderation;
+    if (!settings.enabled || !settings.spamDetection) return null;
+
+    const text = msg.text || msg.caption || '';
+    if (!text.trim()) return null;
+
+    const verdict = (aiVerdict) => ({ type: 'spam', action: settings.spamAction, reason: REASONS.spam, aiVerdict });
+    const classifier = group.settings.classifier;
+    let score = null;
+
+    if (this.spamClassifier && classifier.enabled) {
+      const { probability } = await this.spamClassifier.score(msg.chat.id, text, msg);
+      score = Math.round(probability * 100);
+
+      if (probability >= classifier.spamThreshold) return verdict(`classifier: ${score}% spam`);
+      if (probability <= classifier.hamThreshold) return null;
+    }
+
+    if (!(await this.canUseAI(options))) return null;
+
+    // null means the AI couldn't decide; never punish on a failed check
+    const isSpam = await this.ai.isSpam(text, { ...options.aiOptions, purpose: 'spam' });
+    if (isSpam !== true) return null;
+
+    return verdict(score === null ? 'spam: yes' : `spam: yes (classifier: ${score}%)`);
+  }
+
+  async checkRules(msg, group, options) {
+    const settings = group.settings.moderation;
+    if (!settings.enabled || !settings.ruleChecks || !(await this.canUseAI(options))) return null;
+
+    const text = msg.text || msg.caption || '';
+    if (!text.trim()) return null;
+
+    const violates = await this.ai.isInappropriate(text, group.rules || [], {
+      ...options.aiOptions,
+      purpose: 'moderation'
+    });
+    return violates === true
+      ? { type: 'rules', action: settings.ruleAction, reason: REASONS.rules, aiVerdict: 'rule violation: yes' }
+      : null;
+  }
+
+  async canUseAI(options) {
+    return options.aiAllowed ? options.aiAllowed() : true;
+  }
+
+  /**
+   * Delete the message, apply the verdict's action, record a strike
+   * and tell the chat
+   */
+  async apply(msg, group, verdict) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const settings = group.settings.moderation;
+    const action = ACTIONS.includes(verdict.action) ? verdict.action : 'delete';
+    const muteMinutes = verdict.muteMinutes || settings.muteMinutes;
+
+    await this.actions.deleteMessage(chatId, msg.message_id);
+
+    let done = true;
+    if (action === 'mute') {
+      done = await this.actions.mute(chatId, userId, muteMinutes);
+    } else if (action === 'ban') {
+      done = await this.actions.ban(chatId, userId);
+    }
+
+    console.log(`🛡️ Moderation: ${action} user ${userId} in ${chatId} (${verdict.type})`);
+    await this.actions.log({
+      groupId: chatId,
+      userId,
+      userName: msg.from.first_name || msg.from.username,
+      action: done ? action : 'delete',
+      source: 'auto',
+      reason: verdict.reason,
+      rule: verdict.rule || verdict.type,
+      aiVerdict: verdict.aiVerdict,
+      messageText: msg.text || msg.caption
+    });
+
+    // Banned users can't escalate any further, but the strike is still recorded
+    let strike = null;
+    if (this.strikes) {
+      strike = await this.strikes.addStrike(chatId, {
+        id: userId,
+        name: msg.from.first_name || msg.from.username
+      }, group.settings.strikes, {
+        reason: verdict.reason,
+        source: 'auto',
+        escalate: action !== 'ban'
+      });
+    }
+
+    if (settings.notify) {
+      await this.notify(msg, group, action, verdict, done, strike);
+    }
+  }
+
+  async notify(msg, group, action, verdict, done, strike) {
+    const muteMinutes = verdict.muteMinutes || group.settings.moderation.muteMinutes;
+    const name = msg.from.first_name || msg.from.username || 'User';
+    if (action === 'warn' && strike) {
+      const warning = this.strikes.formatNotice(name, strike, group.settings.strikes, verdict.reason);
+      return this.sendNotice(msg.chat.id, warning);
+    }
+
+    // Other notices already name the reason
+    const strikeNotice = strike && action !== 'ban'
+      ? this.strikes.formatNotice(name, strike, group.settings.strikes)
+      : null;
+
+    const notices = {
+      delete: html`🛡️ Removed a message from ${name} for ${verdict.reason}.`,
+      warn: html`⚠️ ${name}, your message was removed for ${verdict.reason}. Please follow the group rules.`,
+      mute: html`🔇 ${name} was muted for ${muteMinutes} minutes for ${verdict.reason}.`,
+      ban: html`⛔ ${name} was banned for ${verdict.reason}.`
+    };
+
+    let notice = notices[action];
+    if (!done) {
+      notice = html`🛡️ Removed a message from ${name} for ${verdict.reason}, ` +
+        `but I couldn't ${action} them. Make sure I'm an admin with the "Ban users" right.`;
+    }
+
+    await this.sendNotice(msg.chat.id, strikeNotice ? `${notice}\n${strikeNotice}` : notice);
+  }
+
+  async sendNotice(chatId, notice) {
+    try {
+      await this.renderer.send(chatId, notice, { parse_mode: 'HTML' });
+    } catch (error) {
+      console.error('Error sending moderation notice:', error.message);
+    }
+  }
+}
+
+ModerationPipeline.ACTIONS = ACTIONS;
+
+module.exports = ModerationPipeline;
@@ -0,0 +1,112 @@
+/**
+ * Telegram moderation primitives. Each action resolves with true on
+ * success and false when Telegram refused (missing rights, user gone...),
+ * so callers can report what actually happened. Callers record what they
+ * did, and why, with log() once per decision rather than per primitive.
+ */
+class ModerationActions {
+  constructor(bot, db) {
+    this.bot = bot;
+    this.db = db;
+  }
+
+  /**
+   * Add an audit log entry: { groupId, userId, userName, action, source
+   * ('auto' | 'admin' | 'review'), actorId, reason, rule, aiVerdict, messageText }
+   */
+  async log(entry) {
+    await this.db.logModerationAction(entry);
+  }
+
+  async deleteMessage(chatId, messageId) {
+    try {
+      await this.bot.deleteMessage(chatId, messageId);
+      return true;
+    } catch (error) {
+      console.error('Error deleting message:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Take away a member's right to send anything. minutes = 0 mutes until unmute().
+   */
+  async mute(chatId, userId, minutes) {
+    try {
+      await this.bot.restrictChatMember(chatId, userId, {
+        // The library only JSON-encodes reply_markup and entities; nested
+        // objects would otherwise be form-encoded and rejected by Telegram
+        permissions: JSON.stringify({
+          can_send_messages: false,
+          can_send_audios: false,
+          can_send_documents: false,
+          can_send_photos: false,
+          can_send_videos: false,
+          can_send_video_notes: false,
+          can_send_voice_notes: false,
+          can_send_polls: false,
+          can_send_other_messages: false,
+          can_add_web_page_previews: false
+        }),
+        until_date: minutes > 0 ? Math.floor(Date.now() / 1000) + minutes * 60 : 0
+      });
+      return true;
+    } catch (error) {
+      console.error('Error muting user:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Lift a mute by restoring the group's default member permissions
+   */
+  async unmute(chatId, userId) {
+    try {
+      const chat = await this.bot.getChat(chatId);
+      await this.bot.restrictChatMember(chatId, userId, {
+        permissions: JSON.stringify(chat.permissions || {
+          can_send_messages: true,
+          can_send_audios: true,
+          can_send_documents: true,
+          can_send_photos: true,
+          can_send_videos: true,
+          can_send_video_notes: true,
+          can_send_voice_notes: true,
+          can_send_polls: true,
+          can_send_other_messages: true,
+          can_add_web_page_previews: true
+        })
+      });
+      return true;
+    } catch (error) {
+      console.error('Error unmuting user:', error.message);
+      return false;
+    }
+  }
+
+  async ban(chatId, userId) {
+    try {
+      await this.bot.banChatMember(chatId, userId);
+      return true;
+    } catch (error) {
+      console.error('Error banning user:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a user without a permanent ban (they may rejoin)
+   */
+  async kick(chatId, userId) {
+    try {
+      await this.bot.banChatMember(chatId, userId);
+      await this.bot.unbanChatMember(chatId, userId, { only_if_banned: true });
+      return true;
+    } catch (error) {
+      console.error('Error kicking user:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = ModerationActions;
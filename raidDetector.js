@@ -0,0 +1,241 @@
+const { html } = require('./renderer');
+
+const SPAM_NAME_PATTERN = /(https?:|t\.me|www\.|@|\b(crypto|bitcoin|btc|forex|invest|airdrop|casino|porn|sex|onlyfans|earn|profit|signals?)\b)/i;
+const INVISIBLE_PATTERN = /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/;
+
+/**
+ * Signals that an account joining is likely a bot or spammer. Accounts
+ * without a username are common among real users too, so this only adds
+ * weight during a join wave.
+ */
+function getSuspicionReasons(user) {
+  const name = `${user.first_name || ''} ${user.last_name || ''}`.trim();
+  const reasons = [];
+
+  if (!user.username) reasons.push('no username');
+  if (SPAM_NAME_PATTERN.test(name)) reasons.push('spammy name');
+  if (INVISIBLE_PATTERN.test(name)) reasons.push('invisible characters in name');
+  if (/\d{4,}/.test(name) || name.replace(/[^\p{L}]/gu, '').length < 2) reasons.push('random-looking name');
+
+  return reasons;
+}
+
+function isSuspicious(user) {
+  return getSuspicionReasons(user).length > 0;
+}
+
+/**
+ * Join-rate monitoring and lockdown mode. While a group is locked down,
+ * everyone who joins is restricted and not welcomed; admins get a DM with
+ * one-tap actions. Lockdowns are stored so timers and the "ban all"
+ * action survive a restart.
+ */
+class RaidDetector {
+  /**
+   * notifyAdmins(chatId, text, options) delivers DMs to the group's admins
+   */
+  constructor(db, actions, renderer, notifyAdmins) {
+    this.db = db;
+    this.actions = actions;
+    this.renderer = renderer;
+    this.notifyAdmins = notifyAdmins;
+    this.timers = new Map(); // lockdownId -> timeout
+  }
+
+  /**
+   * Record new members and check for a raid. Resolves with the active
+   * lockdown (newly started or ongoing) or null; members who joined during
+   * a lockdown have already been restricted.
+   */
+  async handleJoins(chat, members, settings) {
+    const lockdown = await this.db.getActiveLockdown(chat.id);
+
+    if (lockdown) {
+      for (const member of members) {
+        const joinId = await this.db.recordRaidJoin(chat.id, member, isSuspicious(member), lockdown.id);
+        await this.restrict(chat.id, joinId, member.id);
+      }
+      return lockdown;
+    }
+
+    for (const member of members) {
+      await this.db.recordRaidJoin(chat.id, member, isSuspicious(member));
+    }
+
+    if (!settings.enabled) return null;
+
+    const since = Date.now() - settings.windowSeconds * 1000;
+    const counts = await this.db.getRecentJoinCounts(chat.id, since);
+
+    let reason = null;
+    if (counts.total >= settings.joinThreshold) {
+      reason = `${counts.total} joins in ${settings.windowSeconds} seconds`;
+    } else if (settings.suspiciousThreshold > 0 && counts.suspicious >= settings.suspiciousThreshold) {
+      reason = `${counts.suspicious} suspicious accounts joined in ${settings.windowSeconds} seconds`;
+    }
+
+    if (!reason) return null;
+
+    return this.startLockdown(chat, reason, 'auto', settings.lockdownMinutes, since);
+  }
+
+  /**
+   * Lock a group down. Joins since `since` (the raid so far) are attached
+   * to the lockdown and restricted. minutes = 0 lasts until ended by hand.
+   */
+  async startLockdown(chat, reason, startedBy, minutes, since = null) {
+    const endsAt = minutes > 0 ? Date.now() + minutes * 60 * 1000 : null;
+    const lockdownId = await this.db.createLockdown(chat.id, reason, startedBy, endsAt);
+    if (!lockdownId) return null;
+
+    if (since !== null) {
+      await this.db.assignJoinsToLockdown(chat.id, lockdownId, since);
+      for (const join of await this.db.getLockdownJoins(lockdownId)) {
+        await this.restrict(chat.id, join.id, join.user_id);
+      }
+    }
+
+    if (endsAt) this.schedule(lockdownId, endsAt);
+    console.log(`🚨 Lockdown started in ${chat.id}: ${reason}`);
+    await this.actions.log({
+      groupId: chat.id,
+      action: 'lockdown',
+      source: startedBy === 'auto' ? 'auto' : 'admin',
+      actorId: startedBy === 'auto' ? null : startedBy,
+      reason,
+      rule: 'raid'
+    });
+
+    const until = minutes > 0 ? `for ${minutes} minutes` : 'until an admin ends it';
+    await this.sendNotice(chat.id,
+      `🚨 <b>Lockdown</b> ${until}.\n` +
+      html`${startedBy === 'auto' ? `Raid detected: ${reason}. ` : ''}` +
+      'New members are restricted and won\'t be welcomed until it ends.');
+
+    await this.notifyAdmins(
+      chat.id,
+      html`🚨 Lockdown started in ${chat.title || 'your group'}\nReason: ${reason}\n` +
+      `New members are restricted ${until}.`,
+      { parse_mode: 'HTML', reply_markup: this.getAdminKeyboard(lockdownId) }
+    );
+
+    return this.db.getLockdown(lockdownId);
+  }
+
+  getAdminKeyboard(lockdownId) {
+    return {
+      inline_keyboard: [[
+        { text: '⛔ Ban all joined during raid', callback_data: `raid_ban_${lockdownId}` },
+        { text: '🔓 End lockdown', callback_data: `raid_end_${lockdownId}` }
+      ]]
+    };
+  }
+
+  /**
+   * End a lockdown and lift the restrictions it placed on members who
+   * weren't banned. Resolves with the number of members released, or
+   * null if it had already ended.
+   */
+  async endLockdown(lockdownId, endedBy = null) {
+    const lockdown = await this.db.getLockdown(lockdownId);
+    if (!lockdown || !(await this.db.endLockdown(lockdownId))) return null;
+
+    this.clearTimer(lockdownId);
+
+    let released = 0;
+    for (const join of await this.db.getLockdownJoins(lockdownId)) {
+      if (join.restricted && !join.banned && (await this.actions.unmute(lockdown.group_id, join.user_id))) {
+        await this.db.updateRaidJoin(join.id, { restricted: false });
+        released++;
+      }
+    }
+
+    console.log(`🔓 Lockdown ${lockdownId} ended in ${lockdown.group_id}`);
+    await this.actions.log({
+      groupId: lockdown.group_id,
+      action: 'end lockdown',
+      source: endedBy ? 'admin' : 'auto',
+      actorId: endedBy,
+      reason: `${released} member(s) released`,
+      rule: 'raid'
+    });
+    await this.sendNotice(lockdown.group_id, '🔓 Lockdown ended. New members are welcome again.');
+    return released;
+  }
+
+  /**
+   * Ban everyone attached to a lockdown. Resolves with the number banned.
+   */
+  async banAll(lockdownId, bannedBy = null) {
+    const lockdown = await this.db.getLockdown(lockdownId);
+    if (!lockdown) return 0;
+
+    let banned = 0;
+    for (const join of await this.db.getLockdownJoins(lockdownId)) {
+      if (join.banned) continue;
+      if (await this.actions.ban(lockdown.group_id, join.user_id)) {
+        await this.db.updateRaidJoin(join.id, { banned: true });
+        await this.actions.log({
+          groupId: lockdown.group_id,
+          userId: join.user_id,
+          userName: join.user_name,
+          action: 'ban',
+          source: 'admin',
+          actorId: bannedBy,
+          reason: 'joined during a raid',
+          rule: 'raid'
+        });
+        banned++;
+      }
+    }
+
+    console.log(`⛔ Banned ${banned} raid account(s) in ${lockdown.group_id}`);
+    return banned;
+  }
+
+  async restrict(chatId, joinId, userId) {
+    if (joinId && (await this.actions.mute(chatId, userId, 0))) {
+      await this.db.updateRaidJoin(joinId, { restricted: true });
+    }
+  }
+
+  schedule(lockdownId, endsAt) {
+    this.clearTimer(lockdownId);
+    this.timers.set(lockdownId, setTimeout(() => {
+      this.timers.delete(lockdownId);
+      this.endLockdown(lockdownId).catch(error => console.error('Error ending lockdown:', error));
+    }, Math.max(endsAt - Date.now(), 0)));
+  }
+
+  clearTimer(lockdownId) {
+    if (this.timers.has(lockdownId)) {
+      clearTimeout(this.timers.get(lockdownId));
+      this.timers.delete(lockdownId);
+    }
+  }
+
+  /**
+   * Reschedule timed lockdowns after a restart
+   */
+  async restore() {
+    const lockdowns = await this.db.getActiveLockdowns();
+    lockdowns.filter(lockdown => lockdown.ends_at).forEach(lockdown => this.schedule(lockdown.id, lockdown.ends_at));
+
+    if (lockdowns.length > 0) {
+      console.log(`🚨 ${lockdowns.length} lockdown(s) still active`);
+    }
+  }
+
+  async sendNotice(chatId, text) {
+    try {
+      await this.renderer.send(chatId, text, { parse_mode: 'HTML' });
+    } catch (error) {
+      console.error('Error sending lockdown notice:', error.message);
+    }
+  }
+}
+
+RaidDetector.isSuspicious = isSuspicious;
+RaidDetector.getSuspicionReasons = getSuspicionReasons;
+
+module.exports = RaidDetector;
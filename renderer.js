@@ -0,0 +1,361 @@
+const config = require('./config');
+
+const TELEGRAM_MAX_LENGTH = 4096;
+// Leave room for escaping and tags added when converting a chunk to HTML
+const RAW_CHUNK_LENGTH = 3500;
+
+/**
+ * Escape text for parse_mode: 'HTML'
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape text for parse_mode: 'MarkdownV2'
+ */
+function escapeMarkdownV2(text) {
+  return String(text ?? '').replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+/**
+ * Tagged template that HTML-escapes every interpolated value:
+ *   html`<b>Purpose:</b> ${group.purpose}`
+ */
+function html(strings, ...values) {
+  return strings.reduce((result, str, i) =>
+    result + str + (i < values.length ? escapeHtml(values[i]) : ''), '');
+}
+
+/**
+ * Plain-text version of formatted text, used when Telegram rejects the markup
+ */
+function toPlainText(text, parseMode) {
+  if (parseMode === 'HTML') {
+    return text
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<a\s+href="([^"]*)"[^>]*>(.*?)<\/a>/gi, '$2 ($1)')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, '&');
+  }
+
+  if (parseMode === 'MarkdownV2') {
+    return text.replace(/\\([_*[\]()~`>#+\-=|{}.!\\])/g, '$1');
+  }
+
+  if (parseMode === 'Markdown') {
+    return text.replace(/[*_`]/g, '');
+  }
+
+  return text;
+}
+
+/**
+ * Convert the common Markdown an AI model produces (code blocks, inline
+ * code, bold, italics, links) to Telegram HTML. Everything else is escaped.
+ */
+function markdownToHtml(text) {
+  const blocks = [];
+
+  // Pull code out first so nothing inside it gets formatted
+  let result = text
+    .replace(/```[^\n`]*\n?([\s\S]*?)```/g, (match, code) => {
+      blocks.push(`<pre>${escapeHtml(code.replace(/\n$/, ''))}</pre>`);
+      return `\u0000${blocks.length - 1}\u0000`;
+    })
+    .replace(/`([^`\n]+)`/g, (match, code) => {
+      blocks.push(`<code>${escapeHtml(code)}</code>`);
+      return `\u0000${blocks.length - 1}\u0000`;
+    });
+
+  result = escapeHtml(result)
+    .replace(/\[([^\]\n]+)\]\((https?:\/\/[^)\s]+)\)/g, (match, label, url) =>
+      `<a href="${url.replace(/"/g, '&quot;')}">${label}</a>`)
+    .replace(/\*\*(?=\S)([^*\n]*?\S)\*\*/g, '<b>$1</b>')
+    .replace(/__(?=\S)([^_\n]*?\S)__/g, '<b>$1</b>')
+    .replace(/(^|[^\w*])\*(?=\S)([^*\n]*?\S)\*(?!\w)/g, '$1<i>$2</i>')
+    .replace(/(^|[^\w_])_(?=\S)([^_\n]*?\S)_(?!\w)/g, '$1<i>$2</i>')
+    .replace(/^#{1,6}\s+(.+)$/gm, '<b>$1</b>');
+
+  return result.replace(/\u0000(\d+)\u0000/g, (match, index) => blocks[index]);
+}
+
+/**
+ * Cut text to maxLength, preferring a sentence or word boundary
+ */
+function truncate(text, maxLength) {
+  if (text.length <= maxLength) return text;
+
+  const slice = text.substring(0, maxLength - 1);
+  const sentenceEnd = Math.max(
+    slice.lastIndexOf('. '),
+    slice.lastIndexOf('! '),
+    slice.lastIndexOf('? '),
+    slice.lastIndexOf('\n')
+  );
+
+  if (sentenceEnd > maxLength * 0.6) {
+    return slice.substring(0, sentenceEnd + 1).trimEnd() + ' …';
+  }
+
+  const wordEnd = slice.lastIndexOf(' ');
+  return (wordEnd > maxLength * 0.6 ? slice.substring(0, wordEnd) : slice) + '…';
+}
+
+/**
+ * Find the best place to cut text within maxLength: a code block
+ * boundary, then paragraph, line, sentence, word, or a hard cut.
+ */
+function findSplitPoint(text, maxLength) {
+  const window = text.substring(0, maxLength);
+  const minimum = maxLength * 0.3;
+
+  const fenceEnd = window.lastIndexOf('```\n');
+  if (fenceEnd > minimum) return fenceEnd + 4;
+
+  for (const separator of ['\n\n', '\n']) {
+    const index = window.lastIndexOf(separator);
+    if (index > minimum) return index + separator.length;
+  }
+
+  const sentence = Math.max(
+    window.lastIndexOf('. '),
+    window.lastIndexOf('! '),
+    window.lastIndexOf('? ')
+  );
+  if (sentence > minimum) return sentence + 2;
+
+  const word = window.lastIndexOf(' ');
+  if (word > minimum) return word + 1;
+
+  return maxLength;
+}
+
+/**
+ * Split Markdown-ish text into chunks of at most maxLength characters.
+ * A code block cut in half is closed at the end of one chunk and
+ * reopened at the start of the next.
+ */
+function splitMessage(text, maxLength = TELEGRAM_MAX_LENGTH) {
+  const chunks = [];
+  let remaining = text;
+
+  while (remaining.length > maxLength) {
+    const cut = findSplitPoint(remaining, maxLength - 4); // room for a closing fence
+    let chunk = remaining.substring(0, cut);
+    let rest = remaining.substring(cut);
+
+    const fences = (chunk.match(/```/g) || []).length;
+    if (fences % 2 === 1) {
+      const language = (chunk.substring(chunk.lastIndexOf('```') + 3).match(/^[^\n`]*/) || [''])[0];
+      chunk = chunk.trimEnd() + '\n```';
+      rest = '```' + language + '\n' + rest;
+    }
+
+    chunks.push(chunk.trimEnd());
+    remaining = rest.trimStart();
+  }
+
+  if (remaining.trim().length > 0) {
+    chunks.push(remaining);
+  }
+
+  return chunks;
+}
+
+/**
+ * Move a cut back so it doesn't land inside a tag or an entity
+ */
+function avoidMarkupCut(text, cut) {
+  const tagStart = text.lastIndexOf('<', cut - 1);
+  if (tagStart > text.lastIndexOf('>', cut - 1)) cut = tagStart;
+
+  const entityStart = text.lastIndexOf('&', cut - 1);
+  if (entityStart !== -1 && /^&#?\w*$/.test(text.substring(entityStart, cut))) cut = entityStart;
+
+  return cut;
+}
+
+/**
+ * Tags left open at the end of an HTML fragment, outermost first,
+ * as { name, tag } where tag is the full opening tag
+ */
+function getOpenTags(text) {
+  const open = [];
+  for (const [tag, closing, name] of text.matchAll(/<(\/?)([a-z][\w-]*)[^>]*>/gi)) {
+    const lowerName = name.toLowerCase();
+    if (!closing) {
+      open.push({ name: lowerName, tag });
+      continue;
+    }
+    const index = open.map(entry => entry.name).lastIndexOf(lowerName);
+    if (index !== -1) open.splice(index, 1);
+  }
+  return open;
+}
+
+/**
+ * Split Telegram HTML into chunks of at most maxLength characters without
+ * cutting inside a tag or entity. Tags open at a cut are closed at the end
+ * of one chunk and reopened at the start of the next.
+ */
+function splitHtml(text, maxLength = TELEGRAM_MAX_LENGTH) {
+  const chunks = [];
+  let remaining = text;
+
+  while (remaining.length > maxLength) {
+    let budget = maxLength;
+    let cut;
+    let chunk;
+    let open;
+
+    // Shrink the window until the chunk fits along with its closing tags
+    do {
+      budget -= 100;
+      cut = avoidMarkupCut(remaining, findSplitPoint(remaining, budget));
+      if (cut <= 0) cut = budget;
+      open = getOpenTags(remaining.substring(0, cut));
+      chunk = remaining.substring(0, cut).trimEnd() +
+        open.map(entry => `</${entry.name}>`).reverse().join('');
+    } while (chunk.length > maxLength && budget > 200);
+
+    chunks.push(chunk);
+    const reopening = open.map(entry => entry.tag).join('');
+    remaining = reopening + remaining.substring(cut).trimStart();
+  }
+
+  if (remaining.trim().length > 0) {
+    chunks.push(remaining);
+  }
+
+  return chunks;
+}
+
+function isFormattingError(error) {
+  const description = (error.response && error.response.body && error.response.body.description) ||
+    error.message || '';
+  return /can't parse entities|unsupported start tag|can't find end|unexpected end tag/i.test(description);
+}
+
+function isNotModifiedError(error) {
+  return /message is not modified/i.test(error.message || '');
+}
+
+/**
+ * Central place for sending text to Telegram: escapes or converts
+ * content, enforces length limits, splits long answers into continuation
+ * messages and retries as plain text when Telegram rejects the markup.
+ */
+class MessageRenderer {
+  constructor(bot) {
+    this.bot = bot;
+  }
+
+  /**
+   * Send already formatted text. reply_to_message_id applies to the first
+   * part, reply_markup to the last. Resolves with all sent messages.
+   */
+  async send(chatId, text, options = {}) {
+    const { parse_mode: parseMode, reply_markup: replyMarkup, reply_to_message_id: replyTo, ...rest } = options;
+    const split = parseMode === 'HTML' ? splitHtml : splitMessage;
+    const parts = text.length > TELEGRAM_MAX_LENGTH
+      ? split(text, TELEGRAM_MAX_LENGTH)
+      : [text];
+
+    const sent = [];
+    for (let i = 0; i < parts.length; i++) {
+      const partOptions = { ...rest };
+      if (parseMode) partOptions.parse_mode = parseMode;
+      if (i === 0 && replyTo) partOptions.reply_to_message_id = replyTo;
+      if (i === parts.length - 1 && replyMarkup) partOptions.reply_markup = replyMarkup;
+
+      sent.push(await this.sendPart(chatId, parts[i], partOptions));
+    }
+
+    return sent;
+  }
+
+  async sendPart(chatId, text, options) {
+    try {
+      return await this.bot.sendMessage(chatId, text, options);
+    } catch (error) {
+      if (!options.parse_mode || !isFormattingError(error)) throw error;
+
+      console.warn('Telegram rejected formatting, sending as plain text:', error.message);
+      const { parse_mode: parseMode, ...plainOptions } = options;
+      return this.bot.sendMessage(chatId, toPlainText(text, parseMode), plainOptions);
+    }
+  }
+
+  /**
+   * Send an AI or learned answer: capped at MAX_RESPONSE_LENGTH, its
+   * Markdown converted to HTML and split at sentence/code-block boundaries
+   */
+  async sendAnswer(chatId, text, options = {}) {
+    const answer = truncate(text.trim(), options.maxLength || config.MAX_RESPONSE_LENGTH);
+    const { maxLength, ...telegramOptions } = options;
+
+    const chunks = this.toHtmlChunks(answer);
+    const sent = [];
+
+    for (let i = 0; i < chunks.length; i++) {
+      const partOptions = { ...telegramOptions, parse_mode: 'HTML' };
+      if (i > 0) delete partOptions.reply_to_message_id;
+      if (i < chunks.length - 1) delete partOptions.reply_markup;
+
+      sent.push(await this.sendPart(chatId, chunks[i], partOptions));
+    }
+
+    return sent;
+  }
+
+  /**
+   * Split raw Markdown, then convert each part; parts that grow past
+   * Telegram's limit through escaping are split again
+   */
+  toHtmlChunks(text, maxLength = RAW_CHUNK_LENGTH) {
+    return splitMessage(text, maxLength).flatMap(chunk => {
+      const converted = markdownToHtml(chunk);
+      if (converted.length <= TELEGRAM_MAX_LENGTH || maxLength < 500) {
+        return [converted.substring(0, TELEGRAM_MAX_LENGTH)];
+      }
+      return this.toHtmlChunks(chunk, Math.floor(maxLength / 2));
+    });
+  }
+
+  /**
+   * Edit a message's text with the same plain-text fallback as send().
+   * Editing to identical content is not an error.
+   */
+  async edit(chatId, messageId, text, options = {}) {
+    const editOptions = { ...options, chat_id: chatId, message_id: messageId };
+
+    try {
+      return await this.bot.editMessageText(text, editOptions);
+    } catch (error) {
+      if (isNotModifiedError(error)) return null;
+      if (!options.parse_mode || !isFormattingError(error)) throw error;
+
+      const { parse_mode: parseMode, ...plainOptions } = editOptions;
+      return this.bot.editMessageText(toPlainText(text, parseMode), plainOptions);
+    }
+  }
+}
+
+MessageRenderer.TELEGRAM_MAX_LENGTH = TELEGRAM_MAX_LENGTH;
+MessageRenderer.escapeHtml = escapeHtml;
+MessageRenderer.escapeMarkdownV2 = escapeMarkdownV2;
+MessageRenderer.html = html;
+MessageRenderer.markdownToHtml = markdownToHtml;
+MessageRenderer.splitMessage = splitMessage;
+MessageRenderer.splitHtml = splitHtml;
+MessageRenderer.truncate = truncate;
+MessageRenderer.toPlainText = toPlainText;
+
+module.exports = MessageRenderer;
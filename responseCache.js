@@ -0,0 +1,65 @@
+const config = require('./config');
+
+/**
+ * Persistent per-group cache of AI answers, stored in SQLite so it
+ * survives restarts. Lookups use a normalized form of the question,
+ * entries expire after CACHE_TTL_SECONDS and each group keeps at most
+ * MAX_CACHE_SIZE entries (least recently used are evicted first).
+ */
+class ResponseCache {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.ttlSeconds = options.ttlSeconds || config.CACHE_TTL_SECONDS;
+    this.maxSize = options.maxSize || config.MAX_CACHE_SIZE;
+  }
+
+  /**
+   * Normalize a question so trivial differences (case, punctuation,
+   * spacing, bot mentions) map to the same cache key
+   */
+  normalizeQuery(query) {
+    return (query || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/@\w+/g, ' ')
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Cached answer for a group's question, or null
+   */
+  async get(groupId, query) {
+    const key = this.normalizeQuery(query);
+    if (!key) return null;
+
+    const entry = await this.db.getCachedResponse(groupId, key, this.ttlSeconds);
+    await this.db.recordCacheLookup(groupId, !!entry);
+
+    return entry ? entry.response : null;
+  }
+
+  async set(groupId, query, response, provider = null) {
+    const key = this.normalizeQuery(query);
+    if (!key || !response) return;
+
+    await this.db.setCachedResponse(groupId, key, query, response, provider, this.maxSize);
+  }
+
+  async invalidate(groupId) {
+    await this.db.invalidateResponseCache(groupId);
+  }
+
+  async getStats(groupId) {
+    const stats = await this.db.getCacheStats(groupId);
+    const lookups = stats.hits + stats.misses;
+
+    return {
+      ...stats,
+      hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 100) : 0
+    };
+  }
+}
+
+module.exports = ResponseCache;
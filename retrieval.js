@@ -0,0 +1,62 @@
+const { analyze, tokenize } = require('./textProcessing');
+
+// Coverage (share of the learned question's terms found in the message)
+// scales everything, so a half-matched question can never score above 0.5.
+// The rest is split between precision (share of the message's terms the
+// question explains) and BM25 rank relative to the best candidate.
+const COVERAGE_FLOOR = 0.7;
+const PRECISION_WEIGHT = 0.6;
+const BM25_WEIGHT = 0.4;
+
+/**
+ * Build an FTS5 MATCH expression that ORs the message's content terms.
+ * Returns null when nothing searchable is left after stopword removal.
+ */
+function buildMatchQuery(text) {
+  const terms = [...new Set(
+    tokenize(text).filter(token => analyze(token).length > 0)
+  )];
+
+  if (terms.length === 0) return null;
+
+  return terms.map(term => `"${term.replace(/"/g, '""')}"`).join(' OR ');
+}
+
+/**
+ * Score and sort retrieval candidates for a message.
+ * Each candidate needs `question`, `confidence` and `rank` (FTS5 bm25(),
+ * lower is better). Adds `relevance` (0..1) and `score` = relevance × confidence.
+ */
+function rankCandidates(text, candidates) {
+  const queryTerms = new Set(analyze(text));
+  if (queryTerms.size === 0 || candidates.length === 0) return [];
+
+  const bestRank = Math.max(...candidates.map(c => -c.rank), Number.EPSILON);
+
+  return candidates
+    .map(candidate => {
+      const docTerms = new Set(analyze(candidate.question));
+      const overlap = [...docTerms].filter(term => queryTerms.has(term)).length;
+
+      const coverage = docTerms.size > 0 ? overlap / docTerms.size : 0;
+      const precision = overlap / queryTerms.size;
+      const bm25 = Math.max(0, -candidate.rank) / bestRank;
+
+      const relevance = coverage * (
+        COVERAGE_FLOOR +
+        (1 - COVERAGE_FLOOR) * (PRECISION_WEIGHT * precision + BM25_WEIGHT * bm25)
+      );
+
+      return {
+        ...candidate,
+        relevance,
+        score: relevance * candidate.confidence
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  buildMatchQuery,
+  rankCandidates
+};
@@ -0,0 +1,166 @@
+const { html } = require('./renderer');
+
+const DECISIONS = {
+  approve: 'approved',
+  remove: 'removed',
+  ban: 'banned'
+};
+
+/**
+ * Messages the AI flagged but a human should judge. Instead of acting,
+ * the bot DMs the group's admins with Approve/Remove/Ban buttons and
+ * applies whichever decision comes first.
+ *
+ * reviewMode 'all' sends every AI verdict here, 'borderline' only the
+ * ones against established members, 'off' none.
+ */
+class ReviewQueue {
+  /**
+   * notifyAdmins(chatId, text, options) delivers DMs to the group's admins
+   */
+  constructor(db, actions, strikes, notifyAdmins) {
+    this.db = db;
+    this.actions = actions;
+    this.strikes = strikes;
+    this.notifyAdmins = notifyAdmins;
+  }
+
+  async shouldHold(msg, group, verdict) {
+    const settings = group.settings.moderation;
+    if (!verdict.aiVerdict || settings.reviewMode === 'off') return false;
+    if (settings.reviewMode === 'all') return true;
+
+    return this.isEstablished(msg.chat.id, msg.from.id, settings);
+  }
+
+  /**
+   * Members with enough history that an AI verdict against them deserves
+   * a second look
+   */
+  async isEstablished(chatId, userId, settings) {
+    const stats = await this.db.getUserStats(chatId, userId);
+    if (!stats) return false;
+
+    if (settings.establishedMessages > 0 && stats.message_count >= settings.establishedMessages) return true;
+    if (settings.establishedDays > 0 && stats.first_seen) {
+      const firstSeen = new Date(`${stats.first_seen.replace(' ', 'T')}Z`).getTime();
+      return Date.now() - firstSeen >= settings.establishedDays * 24 * 60 * 60 * 1000;
+    }
+
+    return false;
+  }
+
+  /**
+   * Queue msg for review and ask the admins. The message stays visible
+   * until someone decides.
+   */
+  async hold(msg, group, verdict) {
+    const name = msg.from.first_name || msg.from.username || `User ${msg.from.id}`;
+    const text = msg.text || msg.caption || '';
+
+    const itemId = await this.db.addReviewItem({
+      groupId: msg.chat.id,
+      userId: msg.from.id,
+      userName: name,
+      messageId: msg.message_id,
+      messageText: text,
+      rule: verdict.type,
+      reason: verdict.reason,
+      proposedAction: verdict.action,
+      aiVerdict: verdict.aiVerdict
+    });
+    if (!itemId) return null;
+
+    await this.actions.log({
+      groupId: msg.chat.id,
+      userId: msg.from.id,
+      userName: name,
+      action: 'hold',
+      source: 'auto',
+      reason: verdict.reason,
+      rule: verdict.type,
+      aiVerdict: verdict.aiVerdict,
+      messageText: text
+    });
+
+    const delivered = await this.notifyAdmins(
+      msg.chat.id,
+      html`🕵️ <b>Review needed</b> in ${group.group_name || 'your group'}\n\n` +
+      html`<b>From:</b> ${name}\n<b>Flagged for:</b> ${verdict.reason}\n` +
+      html`<b>Would have:</b> ${verdict.action}\n\n<blockquote>${text.substring(0, 1000)}</blockquote>`,
+      { parse_mode: 'HTML', reply_markup: this.getKeyboard(itemId) }
+    );
+
+    if (delivered === 0) {
+      console.log(`⚠️ No admin could be reached for review item ${itemId} in ${msg.chat.id}`);
+    }
+
+    console.log(`🕵️ Holding message from ${msg.from.id} in ${msg.chat.id} for review (${verdict.type})`);
+    return itemId;
+  }
+
+  getKeyboard(itemId) {
+    return {
+      inline_keyboard: [[
+        { text: '✅ Approve', callback_data: `review_approve_${itemId}` },
+        { text: '🗑 Remove', callback_data: `review_remove_${itemId}` },
+        { text: '⛔ Ban', callback_data: `review_ban_${itemId}` }
+      ]]
+    };
+  }
+
+  /**
+   * Apply an admin's decision ('approve' | 'remove' | 'ban').
+   * Resolves with { ok, item, status } where ok is false when another
+   * admin already decided.
+   */
+  async decide(itemId, decision, admin) {
+    const item = await this.db.getReviewItem(itemId);
+    const status = DECISIONS[decision];
+    if (!item || !status) return { ok: false, item, status: null };
+
+    if (!(await this.db.decideReviewItem(itemId, status, admin.id))) {
+      return { ok: false, item, status: item.status };
+    }
+
+    const chatId = item.group_id;
+    if (decision !== 'approve') {
+      await this.actions.deleteMessage(chatId, item.message_id);
+    }
+    if (decision === 'ban') {
+      await this.actions.ban(chatId, item.user_id);
+    }
+
+    await this.actions.log({
+      groupId: chatId,
+      userId: item.user_id,
+      userName: item.user_name,
+      action: decision === 'approve' ? 'approve' : (decision === 'ban' ? 'ban' : 'delete'),
+      source: 'review',
+      actorId: admin.id,
+      reason: item.reason,
+      rule: item.rule,
+      aiVerdict: item.ai_verdict,
+      messageText: item.message_text
+    });
+
+    // A removal counts as a warning, like the automatic action would have
+    if (decision === 'remove' && this.strikes) {
+      const group = await this.db.getGroup(chatId);
+      if (group) {
+        await this.strikes.addStrike(chatId, { id: item.user_id, name: item.user_name }, group.settings.strikes, {
+          reason: item.reason,
+          source: 'review',
+          issuedBy: admin.id
+        });
+      }
+    }
+
+    console.log(`🕵️ Review item ${itemId} ${status} by ${admin.id}`);
+    return { ok: true, item, status };
+  }
+}
+
+ReviewQueue.MODES = ['off', 'borderline', 'all'];
+
+module.exports = ReviewQueue;
@@ -0,0 +1,61 @@
+const cron = require('node-cron');
+
+/**
+ * Periodic background jobs on cron expressions. A job that is still
+ * running when its next run comes up is skipped rather than overlapped,
+ * and errors are logged so one failing job can't take the bot down.
+ */
+class Scheduler {
+  constructor() {
+    this.jobs = new Map(); // name -> { expression, task, running, lastRun, cronTask }
+  }
+
+  /**
+   * Register task (an async function) under name. runOnStart also runs it
+   * once right away. Returns false when the expression is invalid.
+   */
+  add(name, expression, task, options = {}) {
+    if (!cron.validate(expression)) {
+      console.error(`Invalid schedule "${expression}" for job ${name}, not scheduling it`);
+      return false;
+    }
+
+    const job = { expression, task, running: false, lastRun: null, cronTask: null };
+    job.cronTask = cron.schedule(expression, () => this.run(name));
+    this.jobs.set(name, job);
+
+    console.log(`⏰ Scheduled ${name} (${expression})`);
+    if (options.runOnStart) this.run(name);
+    return true;
+  }
+
+  /**
+   * Run a job now. Resolves with false if it's unknown or already running.
+   */
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job || job.running) return false;
+
+    job.running = true;
+    const startedAt = Date.now();
+    try {
+      await job.task();
+      console.log(`⏰ Job ${name} finished in ${Date.now() - startedAt} ms`);
+    } catch (error) {
+      console.error(`Error running job ${name}:`, error);
+    } finally {
+      job.running = false;
+      job.lastRun = new Date();
+    }
+    return true;
+  }
+
+  stop() {
+    for (const job of this.jobs.values()) {
+      job.cronTask.stop();
+    }
+    this.jobs.clear();
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,123 @@
+/**
+ * Parsing for /search queries:
+ *   /search wifi password from:@alice after:2024-01-01 before:2024-02-01
+ * Bare words must all appear in the message, "quoted text" is matched as
+ * a phrase. after: is inclusive, before: is exclusive.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * The words FTS can match in a term: letters, digits and underscores
+ */
+function searchableWords(text) {
+  return text.replace(/[^\p{L}\p{N}_]+/gu, ' ').trim().split(' ').filter(word => word.length > 0);
+}
+
+/**
+ * Split a query into terms and filters. Returns
+ * { terms: [], phrases: [], from, before, after, errors: [] }
+ */
+function parseSearchQuery(input) {
+  const query = { terms: [], phrases: [], from: null, before: null, after: null, errors: [] };
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(input || '')) !== null) {
+    if (match[1]) {
+      query.phrases.push(match[1].trim());
+      continue;
+    }
+
+    const token = match[2];
+    const filter = token.match(/^(from|before|after):(.+)$/i);
+
+    if (!filter) {
+      query.terms.push(token);
+      continue;
+    }
+
+    const [, name, value] = filter;
+    const key = name.toLowerCase();
+
+    if (key === 'from') {
+      query.from = value.replace(/^@/, '');
+    } else if (isValidDate(value)) {
+      query[key] = value;
+    } else {
+      query.errors.push(`Invalid date "${value}" (use YYYY-MM-DD)`);
+    }
+  }
+
+  const hasFilter = query.from || query.before || query.after;
+  const hasText = query.terms.length > 0 || query.phrases.length > 0;
+  if (!hasText && !hasFilter) {
+    query.errors.push('Give at least one search term or filter');
+  } else if (hasText && ![...query.terms, ...query.phrases].some(text => searchableWords(text).length > 0)) {
+    // Punctuation alone would leave nothing to match and return everything
+    query.errors.push('Search terms need at least one letter or digit');
+  }
+
+  return query;
+}
+
+/**
+ * FTS5 MATCH expression requiring every term and phrase, or null when
+ * the query only has filters
+ */
+function buildFtsQuery(query) {
+  const parts = [
+    ...query.terms.flatMap(searchableWords),
+    ...query.phrases.filter(phrase => searchableWords(phrase).length > 0)
+  ];
+
+  if (parts.length === 0) return null;
+
+  return parts.map(part => `"${part.replace(/"/g, '""')}"`).join(' AND ');
+}
+
+/**
+ * Link to a message in a group. Only public groups (by username) and
+ * supergroups (by internal id) can be linked; returns null otherwise.
+ */
+function getMessageLink(chat, messageId) {
+  if (chat.username) {
+    return `https://t.me/${chat.username}/${messageId}`;
+  }
+
+  const id = String(chat.id);
+  if (id.startsWith('-100')) {
+    return `https://t.me/c/${id.substring(4)}/${messageId}`;
+  }
+
+  return null;
+}
+
+/**
+ * Human readable summary of a parsed query
+ */
+function describeSearchQuery(query) {
+  const parts = [
+    ...query.terms,
+    ...query.phrases.map(phrase => `"${phrase}"`)
+  ];
+
+  if (query.from) parts.push(`from:@${query.from}`);
+  if (query.after) parts.push(`after:${query.after}`);
+  if (query.before) parts.push(`before:${query.before}`);
+
+  return parts.join(' ');
+}
+
+module.exports = {
+  parseSearchQuery,
+  buildFtsQuery,
+  getMessageLink,
+  describeSearchQuery
+};
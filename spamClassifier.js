@@ -0,0 +1,151 @@
+const LinkFilter = require('./linkFilter');
+const defaultCorpus = require('./spamCorpus');
+
+// A group's own examples count this many times as much as the built-in ones
+const GROUP_WEIGHT = 3;
+// How many examples a token needs before its own evidence counts as much
+// as the neutral 0.5 guess
+const TOKEN_STRENGTH = 3;
+// Words the model has never seen lean slightly towards ham: most of a
+// group's vocabulary is ordinary conversation
+const UNKNOWN_TOKEN_PROBABILITY = 0.4;
+// Messages with fewer known tokens than this score as undecided (0.5)
+const MIN_EVIDENCE = 2;
+
+const URL_PATTERN = /(?:https?:\/\/|www\.)\S+|\b(?:t\.me|telegram\.me)\/\S+/gi;
+const MENTION_PATTERN = /@\w{4,}/;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{8,}\d/;
+const MONEY_PATTERN = /[$€£₦₹]\s?\d|\d\s?(?:\$|usd|usdt|btc|eth|naira)\b/i;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+
+/**
+ * Distinct features of a message: lowercase words plus url:<host> for
+ * each link and has:* flags for mentions, phone numbers, money amounts,
+ * emoji runs and shouting. msg, when given, adds links from its entities.
+ */
+function tokenize(text, msg = null) {
+  const tokens = new Set();
+  let rest = (text || '').normalize('NFKC');
+
+  const addLink = (raw) => {
+    const host = LinkFilter.normalizeDomain(raw);
+    tokens.add('has:url');
+    if (host) tokens.add(`url:${host}`);
+  };
+
+  rest = rest.replace(URL_PATTERN, (raw) => {
+    addLink(raw);
+    return ' ';
+  });
+  if (msg) {
+    LinkFilter.extractLinks(msg).forEach(url => addLink(url.href));
+  }
+
+  if (MENTION_PATTERN.test(rest)) tokens.add('has:mention');
+  if (PHONE_PATTERN.test(rest)) tokens.add('has:phone');
+  if (MONEY_PATTERN.test(rest)) tokens.add('has:money');
+  if ((rest.match(EMOJI_PATTERN) || []).length >= 3) tokens.add('has:emojis');
+
+  const letters = rest.replace(/[^\p{L}]/gu, '');
+  if (letters.length >= 10 && letters.replace(/[^\p{Lu}]/gu, '').length / letters.length > 0.6) {
+    tokens.add('has:caps');
+  }
+
+  for (const word of rest.toLowerCase().match(/[\p{L}\p{N}]{2,24}/gu) || []) {
+    if (!/^\d+$/.test(word)) tokens.add(word);
+  }
+
+  return [...tokens];
+}
+
+/**
+ * Naive Bayes spam classifier. Each group trains its own model on top of
+ * a built-in one; scoring is local, so it keeps working when the AI
+ * provider is down and lets the moderation pipeline skip the AI for
+ * clear-cut messages.
+ */
+class SpamClassifier {
+  constructor(db, corpus = defaultCorpus) {
+    this.db = db;
+    this.defaults = { spamDocs: 0, hamDocs: 0, counts: new Map() };
+
+    corpus.spam.forEach(text => this.addDefault(tokenize(text), true));
+    corpus.ham.forEach(text => this.addDefault(tokenize(text), false));
+  }
+
+  addDefault(tokens, isSpam) {
+    const label = isSpam ? 'spam' : 'ham';
+    this.defaults[`${label}Docs`]++;
+
+    for (const token of tokens) {
+      const count = this.defaults.counts.get(token) || { spam: 0, ham: 0 };
+      count[label]++;
+      this.defaults.counts.set(token, count);
+    }
+  }
+
+  /**
+   * Probability (0-1) that text is spam, with the number of tokens the
+   * model knew. Both classes get equal prior weight.
+   */
+  async score(chatId, text, msg = null) {
+    const tokens = tokenize(text, msg);
+    const stats = await this.db.getSpamModelStats(chatId);
+    const groupCounts = await this.db.getSpamTokenCounts(chatId, tokens);
+
+    const spamDocs = this.defaults.spamDocs + stats.spamDocs * GROUP_WEIGHT;
+    const hamDocs = this.defaults.hamDocs + stats.hamDocs * GROUP_WEIGHT;
+
+    let logOdds = 0;
+    let evidence = 0;
+    for (const token of tokens) {
+      const base = this.defaults.counts.get(token) || { spam: 0, ham: 0 };
+      const own = groupCounts.get(token) || { spam: 0, ham: 0 };
+      const spam = base.spam + own.spam * GROUP_WEIGHT;
+      const ham = base.ham + own.ham * GROUP_WEIGHT;
+      if (spam + ham === 0) {
+        logOdds += Math.log(UNKNOWN_TOKEN_PROBABILITY / (1 - UNKNOWN_TOKEN_PROBABILITY));
+        continue;
+      }
+
+      // Per-token spam probability, pulled towards 0.5 while the token is
+      // rare (Robinson's adjustment) so a single example can't decide
+      const spamRate = spam / spamDocs;
+      const hamRate = ham / hamDocs;
+      const n = spam + ham;
+      const p = (TOKEN_STRENGTH * 0.5 + n * (spamRate / (spamRate + hamRate))) / (TOKEN_STRENGTH + n);
+
+      evidence++;
+      logOdds += Math.log(p / (1 - p));
+    }
+
+    if (evidence < MIN_EVIDENCE) return { probability: 0.5, evidence };
+    return { probability: 1 / (1 + Math.exp(-logOdds)), evidence };
+  }
+
+  /**
+   * Teach a group's model that text is (or isn't) spam
+   */
+  async train(chatId, text, isSpam, msg = null) {
+    const tokens = tokenize(text, msg);
+    if (tokens.length === 0) return false;
+
+    const trained = await this.db.trainSpamModel(chatId, tokens, isSpam);
+    if (trained) {
+      console.log(`🧠 Spam model for ${chatId} trained on a ${isSpam ? 'spam' : 'ham'} example`);
+    }
+    return trained;
+  }
+
+  async getStats(chatId) {
+    return this.db.getSpamModelStats(chatId);
+  }
+
+  async reset(chatId) {
+    return this.db.resetSpamModel(chatId);
+  }
+}
+
+SpamClassifier.tokenize = tokenize;
+
+module.exports = SpamClassifier;
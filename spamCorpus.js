@@ -0,0 +1,60 @@
+/**
+ * Starter examples for the spam classifier, so it gives useful scores
+ * before a group has trained it. Groups' own examples outweigh these.
+ */
+module.exports = {
+  spam: [
+    'Earn $500 daily from home, no experience needed! DM me now',
+    'I made $3,000 this week trading crypto with this expert, message him on WhatsApp',
+    'Invest 100 USDT and get 1000 USDT in 24 hours guaranteed profit',
+    'Join my VIP signals channel for 100% accurate forex signals https://t.me/+abcdEFGH',
+    'FREE AIRDROP! Claim your tokens before they run out: bit.ly/claim-now',
+    'Hello dear, I am a certified account manager, I can help you recover your lost funds',
+    'Click here to win a free iPhone 15 Pro 🎁🎁🎁 limited offer',
+    'Hot singles in your area want to chat, click the link in my bio',
+    'Contact me for cheap followers, likes and views on Instagram and TikTok',
+    'Bitcoin mining investment platform, withdraw daily, minimum deposit 50$',
+    'Make money online fast, send me a message to learn how I earn passive income',
+    'Get a loan approved instantly without credit check, call +1 555 013 2456',
+    'Crypto pump starting now!!! Buy before it moons 🚀🚀🚀',
+    'Selling verified accounts and cards, best prices, DM for details',
+    'Need a hacker? I recover hacked accounts and lost wallets, contact me',
+    'Work from home opportunity, earn 200 USD per day, only smartphone needed',
+    'Congratulations you have been selected to receive a cash reward, claim now',
+    'Double your bitcoin in 2 hours, trusted investment manager, testimonials in my channel',
+    'OnlyFans leaks free, join now www.free-leaks.xyz',
+    'Casino bonus 300% on first deposit, play now and win big',
+    'Message me privately for an investment plan with weekly payouts',
+    'Who wants to make money? I will teach you how to earn from crypto trading, inbox me',
+    'Limited time promo: buy 1 get 3 free, order on our website now',
+    'Your account will be suspended, verify your wallet here immediately',
+    'Join our telegram group for free betting tips and fixed matches'
+  ],
+  ham: [
+    'Does anyone know when the next meeting is scheduled?',
+    'Thanks for the help yesterday, it worked perfectly',
+    'I think the issue is with the config file, can you share the error?',
+    'Good morning everyone, hope you all have a great day',
+    'Where can I find the documentation for the new version?',
+    'I agree with what you said about the release plan',
+    'Can someone explain how the registration process works?',
+    'The event starts at 6pm, see you there',
+    'Has anybody tried the latest update yet? Any problems?',
+    'Please read the pinned message before posting questions',
+    'I had the same problem, restarting fixed it for me',
+    'What time does the office open on Saturdays?',
+    'That makes sense, thank you for explaining',
+    'Welcome to the group! Feel free to introduce yourself',
+    'Could you send me the link to the slides from the talk?',
+    'I will be late today, stuck in traffic',
+    'Is there a discount for students this semester?',
+    'Happy birthday! Have a wonderful day',
+    'The build is failing on my machine, any ideas?',
+    'Let us keep the discussion on topic please',
+    'Does this work on Windows or only on Linux?',
+    'Great question, I was wondering the same thing',
+    'I uploaded the photos from the trip to the shared folder',
+    'When is the deadline for submitting the assignment?',
+    'Sorry, I missed the call, can we reschedule for tomorrow?'
+  ]
+};
@@ -0,0 +1,121 @@
+const config = require('./config');
+const { truncate } = require('./renderer');
+
+const PLACEHOLDER = '💭 …';
+const CURSOR = ' ▌';
+
+/**
+ * A reply that fills in while the AI answer streams: a placeholder is
+ * posted first and edited as text arrives, at most once per
+ * STREAM_EDIT_INTERVAL_MS to stay within Telegram's edit limits.
+ * Partial text is shown plain; the finished answer is rendered like any
+ * other answer (HTML, split into continuation messages when long).
+ */
+class StreamingReply {
+  constructor(renderer, chatId, replyToMessageId, options = {}) {
+    this.renderer = renderer;
+    this.chatId = chatId;
+    this.replyToMessageId = replyToMessageId;
+    this.intervalMs = options.intervalMs || config.STREAM_EDIT_INTERVAL_MS;
+    this.messageId = null;
+    this.latestText = '';
+    this.shownText = '';
+    this.lastEditAt = 0;
+    this.timer = null;
+    this.pendingEdit = Promise.resolve();
+    this.finished = false;
+  }
+
+  async start() {
+    const [placeholder] = await this.renderer.send(this.chatId, PLACEHOLDER, {
+      reply_to_message_id: this.replyToMessageId
+    });
+    this.messageId = placeholder.message_id;
+    return placeholder;
+  }
+
+  /**
+   * Called with the full text received so far
+   */
+  update(text) {
+    if (this.finished || !this.messageId) return;
+
+    this.latestText = text;
+    if (this.timer) return;
+
+    const wait = Math.max(0, this.lastEditAt + this.intervalMs - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.pendingEdit = this.pendingEdit.then(() => this.flush());
+    }, wait);
+  }
+
+  async flush() {
+    if (this.finished || this.latestText === this.shownText) return;
+
+    const text = this.latestText;
+    const preview = text.length > 4000 ? text.substring(0, 4000) + ' …' : text.trimEnd() + CURSOR;
+    this.lastEditAt = Date.now();
+
+    try {
+      await this.renderer.edit(this.chatId, this.messageId, preview);
+      this.shownText = text;
+    } catch (error) {
+      // Rate limited or unchanged text, the next update or finish() catches up
+    }
+  }
+
+  stopUpdates() {
+    this.finished = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Replace the placeholder with the final answer. Resolves with every
+   * message that makes up the answer (the placeholder first), or the
+   * freshly sent answer when the placeholder can't be edited.
+   */
+  async finish(text) {
+    this.stopUpdates();
+    await this.pendingEdit;
+
+    const [first, ...rest] = this.renderer.toHtmlChunks(
+      truncate(text.trim(), config.MAX_RESPONSE_LENGTH)
+    );
+
+    let sent;
+    try {
+      const edited = await this.renderer.edit(this.chatId, this.messageId, first, { parse_mode: 'HTML' });
+      sent = [edited && edited.message_id ? edited : { message_id: this.messageId }];
+    } catch (error) {
+      // The placeholder was deleted or can't be edited, post the answer instead
+      console.error('Error finishing streaming reply:', error.message);
+      return this.renderer.sendAnswer(this.chatId, text, { reply_to_message_id: this.replyToMessageId });
+    }
+
+    for (const chunk of rest) {
+      sent.push(await this.renderer.sendPart(this.chatId, chunk, { parse_mode: 'HTML' }));
+    }
+
+    return sent;
+  }
+
+  /**
+   * Show a failure message in place of the placeholder
+   */
+  async fail(text) {
+    this.stopUpdates();
+    await this.pendingEdit;
+
+    try {
+      await this.renderer.edit(this.chatId, this.messageId, text);
+    } catch (error) {
+      console.error('Error updating streaming reply:', error.message);
+    }
+  }
+}
+
+module.exports = StreamingReply;
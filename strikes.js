@@ -0,0 +1,148 @@
+const { html } = require('./renderer');
+
+const LADDER_ACTIONS = ['mute', 'kick', 'ban'];
+
+/**
+ * Parse a ladder like "3:mute:60,5:ban" into
+ * [{ count: 3, action: 'mute', minutes: 60 }, { count: 5, action: 'ban' }].
+ * Returns null when the text is not a valid ladder.
+ */
+function parseLadder(text) {
+  const steps = [];
+
+  for (const part of (text || '').split(',').map(p => p.trim()).filter(Boolean)) {
+    const [countStr, action, minutesStr] = part.split(':').map(p => p.trim().toLowerCase());
+    const count = parseInt(countStr);
+
+    if (isNaN(count) || count < 1 || !LADDER_ACTIONS.includes(action)) return null;
+
+    const step = { count, action };
+    if (action === 'mute') {
+      const minutes = parseInt(minutesStr);
+      if (isNaN(minutes) || minutes < 1) return null;
+      step.minutes = minutes;
+    }
+    steps.push(step);
+  }
+
+  const counts = steps.map(step => step.count);
+  if (new Set(counts).size !== counts.length) return null;
+
+  return steps.sort((a, b) => a.count - b.count);
+}
+
+function formatLadder(ladder) {
+  if (!ladder || ladder.length === 0) return 'no automatic escalation';
+
+  return ladder
+    .map(step => `${step.count} → ${step.action}${step.action === 'mute' ? ` ${step.minutes}m` : ''}`)
+    .join(', ');
+}
+
+/**
+ * Persisted warnings with per-group escalation. Admin /warn and automatic
+ * moderation both go through addStrike(), so they share one count and
+ * one escalation ladder.
+ */
+class StrikeManager {
+  constructor(db, actions) {
+    this.db = db;
+    this.actions = actions;
+  }
+
+  /**
+   * Record a strike and apply the ladder step it reaches, if any.
+   * user is { id, name }, settings the group's strikes settings.
+   * Resolves with { count, escalation, applied }.
+   */
+  async addStrike(chatId, user, settings, strike = {}) {
+    await this.db.addStrike(chatId, user.id, {
+      userName: user.name,
+      reason: strike.reason,
+      source: strike.source,
+      issuedBy: strike.issuedBy
+    });
+
+    const count = (await this.db.getActiveStrikes(chatId, user.id, settings.expiryDays)).length;
+    const escalation = strike.escalate === false ? null : this.getEscalation(settings.ladder, count);
+    let applied = false;
+
+    if (escalation) {
+      applied = await this.applyEscalation(chatId, user.id, escalation);
+      console.log(`⚖️ Strike ${count} for user ${user.id} in ${chatId}: ${escalation.action}`);
+
+      if (applied) {
+        await this.actions.log({
+          groupId: chatId,
+          userId: user.id,
+          userName: user.name,
+          action: escalation.action,
+          source: 'auto',
+          reason: `reached ${count} warnings`,
+          rule: 'strikes'
+        });
+      }
+    }
+
+    return { count, escalation, applied };
+  }
+
+  /**
+   * The highest ladder step a strike count has reached
+   */
+  getEscalation(ladder, count) {
+    return (ladder || [])
+      .filter(step => step.count <= count)
+      .sort((a, b) => b.count - a.count)[0] || null;
+  }
+
+  async applyEscalation(chatId, userId, step) {
+    if (step.action === 'mute') return this.actions.mute(chatId, userId, step.minutes);
+    if (step.action === 'kick') return this.actions.kick(chatId, userId);
+    if (step.action === 'ban') return this.actions.ban(chatId, userId);
+    return false;
+  }
+
+  async getStrikes(chatId, userId, settings) {
+    return this.db.getActiveStrikes(chatId, userId, settings.expiryDays);
+  }
+
+  async removeStrike(chatId, userId, settings) {
+    return this.db.removeLatestStrike(chatId, userId, settings.expiryDays);
+  }
+
+  async resetStrikes(chatId, userId) {
+    return this.db.clearStrikes(chatId, userId);
+  }
+
+  /**
+   * Chat notice (HTML) for a strike outcome returned by addStrike()
+   */
+  formatNotice(name, outcome, settings, reason) {
+    const last = settings.ladder && settings.ladder.length > 0
+      ? settings.ladder[settings.ladder.length - 1].count
+      : null;
+    let notice = html`⚠️ ${name} has been warned (${outcome.count}${last ? `/${last}` : ''})`;
+    notice += reason ? html`. Reason: ${reason}` : '.';
+
+    const step = outcome.escalation;
+    if (step && outcome.applied) {
+      const results = {
+        mute: `🔇 Muted for ${step.minutes} minutes.`,
+        kick: '👢 Removed from the group.',
+        ban: '⛔ Banned from the group.'
+      };
+      notice += `\n${results[step.action]}`;
+    } else if (step) {
+      notice += `\n❌ Couldn't ${step.action} them. Make sure I'm an admin with the "Ban users" right.`;
+    }
+
+    return notice;
+  }
+}
+
+StrikeManager.LADDER_ACTIONS = LADDER_ACTIONS;
+StrikeManager.parseLadder = parseLadder;
+StrikeManager.formatLadder = formatLadder;
+
+module.exports = StrikeManager;
@@ -0,0 +1,209 @@
+/**
+ * Local text processing helpers: tokenization, stopword removal and
+ * Porter stemming. Used for retrieval, topic extraction and the spam
+ * classifier so they all agree on what a "term" is.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any',
+  'anyone', 'anybody', 'are', 'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below',
+  'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'done',
+  'during', 'each', 'else', 'even', 'ever', 'few', 'for', 'from', 'further', 'get', 'got', 'had',
+  'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'hey', 'hi', 'him', 'himself',
+  'his', 'how', 'i', 'if', 'im', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'know',
+  'let', 'like', 'me', 'might', 'more', 'most', 'much', 'must', 'my', 'myself', 'need', 'no',
+  'nor', 'not', 'now', 'of', 'oh', 'ok', 'okay', 'on', 'once', 'one', 'only', 'or',
+  'other', 'our', 'ours', 'ourselves', 'own', 'please', 'pls', 'plz', 're',
+  'really', 'same', 'shall', 'she', 'should', 'so', 'some', 'someone', 'something', 'still',
+  'such', 'than', 'thank', 'thanks', 'that', 'thats', 'the', 'their', 'theirs', 'them',
+  'themselves', 'then', 'there', 'these', 'they', 'thing', 'this', 'those', 'through', 'to',
+  'too', 'u', 'until', 'us', 'very', 'want', 'was', 'way', 'we', 'were', 'what',
+  'whats', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would',
+  'yeah', 'yes', 'yet', 'you', 'your', 'yours', 'yourself', 'yourselves'
+]);
+
+/**
+ * Split text into lowercase word tokens (letters/digits, Unicode aware).
+ * URLs and @mentions are dropped.
+ */
+function tokenize(text) {
+  return (text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+|www\.\S+/g, ' ')
+    .replace(/@\w+/g, ' ')
+    .replace(/['’]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 0);
+}
+
+function isStopword(token) {
+  return STOPWORDS.has(token);
+}
+
+// --- Porter stemmer (M.F. Porter, 1980) ---
+
+function isConsonant(word, i) {
+  const c = word[i];
+  if ('aeiou'.includes(c)) return false;
+  if (c === 'y') return i === 0 ? true : !isConsonant(word, i - 1);
+  return true;
+}
+
+/**
+ * Number of VC sequences in word[0..end)
+ */
+function measure(word, end = word.length) {
+  let m = 0;
+  let i = 0;
+
+  while (i < end && isConsonant(word, i)) i++;
+  while (i < end) {
+    while (i < end && !isConsonant(word, i)) i++;
+    if (i >= end) break;
+    m++;
+    while (i < end && isConsonant(word, i)) i++;
+  }
+
+  return m;
+}
+
+function hasVowel(word, end = word.length) {
+  for (let i = 0; i < end; i++) {
+    if (!isConsonant(word, i)) return true;
+  }
+  return false;
+}
+
+function endsDoubleConsonant(word) {
+  const n = word.length;
+  return n >= 2 && word[n - 1] === word[n - 2] && isConsonant(word, n - 1);
+}
+
+function endsCVC(word, end = word.length) {
+  if (end < 3) return false;
+  const last = word[end - 1];
+  return isConsonant(word, end - 3) &&
+    !isConsonant(word, end - 2) &&
+    isConsonant(word, end - 1) &&
+    !'wxy'.includes(last);
+}
+
+/**
+ * Replace suffix with replacement when the remaining stem has measure > minMeasure
+ */
+function replaceSuffix(word, suffixes, minMeasure) {
+  for (const [suffix, replacement] of suffixes) {
+    if (word.endsWith(suffix)) {
+      const stemEnd = word.length - suffix.length;
+      return measure(word, stemEnd) > minMeasure
+        ? word.substring(0, stemEnd) + replacement
+        : word;
+    }
+  }
+  return word;
+}
+
+const STEP2 = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+  ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'],
+  ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'],
+  ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'],
+  ['logi', 'log']
+];
+
+const STEP3 = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'],
+  ['ful', ''], ['ness', '']
+];
+
+const STEP4 = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent',
+  'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+function stem(word) {
+  if (word.length <= 2 || !/^[a-z]+$/.test(word)) return word;
+
+  // Step 1a
+  if (word.endsWith('sses')) word = word.slice(0, -2);
+  else if (word.endsWith('ies')) word = word.slice(0, -2);
+  else if (word.endsWith('ss')) { /* keep */ }
+  else if (word.endsWith('s')) word = word.slice(0, -1);
+
+  // Step 1b
+  let step1bExtra = false;
+  if (word.endsWith('eed')) {
+    if (measure(word, word.length - 3) > 0) word = word.slice(0, -1);
+  } else if (word.endsWith('ed') && hasVowel(word, word.length - 2)) {
+    word = word.slice(0, -2);
+    step1bExtra = true;
+  } else if (word.endsWith('ing') && hasVowel(word, word.length - 3)) {
+    word = word.slice(0, -3);
+    step1bExtra = true;
+  }
+
+  if (step1bExtra) {
+    if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+      word += 'e';
+    } else if (endsDoubleConsonant(word) && !/[lsz]$/.test(word)) {
+      word = word.slice(0, -1);
+    } else if (measure(word) === 1 && endsCVC(word)) {
+      word += 'e';
+    }
+  }
+
+  // Step 1c
+  if (word.endsWith('y') && hasVowel(word, word.length - 1)) {
+    word = word.slice(0, -1) + 'i';
+  }
+
+  // Steps 2 and 3
+  word = replaceSuffix(word, STEP2, 0);
+  word = replaceSuffix(word, STEP3, 0);
+
+  // Step 4
+  for (const suffix of STEP4) {
+    if (word.endsWith(suffix)) {
+      const stemEnd = word.length - suffix.length;
+      if (measure(word, stemEnd) > 1) {
+        if (suffix !== 'ion' || /[st]$/.test(word.substring(0, stemEnd))) {
+          word = word.substring(0, stemEnd);
+        }
+      }
+      break;
+    }
+  }
+
+  // Step 5a
+  if (word.endsWith('e')) {
+    const m = measure(word, word.length - 1);
+    if (m > 1 || (m === 1 && !endsCVC(word, word.length - 1))) {
+      word = word.slice(0, -1);
+    }
+  }
+
+  // Step 5b
+  if (measure(word) > 1 && endsDoubleConsonant(word) && word.endsWith('l')) {
+    word = word.slice(0, -1);
+  }
+
+  return word;
+}
+
+/**
+ * Tokenize, drop stopwords and stem: the terms used for matching
+ */
+function analyze(text) {
+  return tokenize(text)
+    .filter(token => !isStopword(token) && (token.length > 1 || /\d/.test(token)))
+    .map(stem);
+}
+
+module.exports = {
+  STOPWORDS,
+  tokenize,
+  isStopword,
+  stem,
+  analyze
+};
@@ -0,0 +1,133 @@
+const { tokenize, isStopword, stem } = require('./textProcessing');
+
+const MAX_NGRAM = 3;
+const MIN_DOC_FREQ = 3; // messages a topic must appear in
+const MIN_USERS = 2; // so one person repeating themselves isn't a topic
+// A shorter term is dropped when most of its uses are inside a longer
+// phrase that made the cut ("machine" inside "machine learning")
+const SUBSUMED_RATIO = 0.7;
+const MAX_CONTEXT_LENGTH = 200;
+
+/**
+ * Runs of consecutive content words in text; stopwords, numbers and very
+ * short tokens break a run so phrases never span them
+ */
+function getContentRuns(text) {
+  const runs = [];
+  let run = [];
+
+  for (const token of tokenize(text)) {
+    if (isStopword(token) || token.length < 3 || /^\d+$/.test(token)) {
+      if (run.length > 0) runs.push(run);
+      run = [];
+    } else {
+      run.push(token);
+    }
+  }
+  if (run.length > 0) runs.push(run);
+
+  return runs;
+}
+
+/**
+ * Local topic extraction. Each message in a recent window is a document;
+ * words and 2-3 word phrases are scored by TF-IDF (total uses × how
+ * specific they are to the messages that use them) and the best ones are
+ * stored as the group's keywords, with an example message as context.
+ */
+class TopicExtractor {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.windowDays = options.windowDays || 14;
+    this.maxMessages = options.maxMessages || 5000;
+    this.maxTopics = options.maxTopics || 30;
+  }
+
+  /**
+   * Refresh topics for every group with messages in the window
+   */
+  async run() {
+    const groupIds = await this.db.getActiveGroupIds(this.windowDays);
+    let updated = 0;
+
+    for (const groupId of groupIds) {
+      try {
+        await this.updateGroup(groupId);
+        updated++;
+      } catch (error) {
+        console.error(`Error extracting topics for ${groupId}:`, error);
+      }
+    }
+
+    console.log(`🏷️ Topics refreshed for ${updated} group(s)`);
+    return updated;
+  }
+
+  async updateGroup(groupId) {
+    const messages = await this.db.getMessagesForTopics(groupId, this.windowDays, this.maxMessages);
+    const topics = this.extract(messages);
+    await this.db.replaceKeywords(groupId, topics);
+    return topics;
+  }
+
+  /**
+   * Topics in messages ([{ content, user_id }], oldest first), best first:
+   * [{ keyword, frequency, score, context }]
+   */
+  extract(messages) {
+    const terms = new Map(); // stemmed key -> stats
+
+    for (const message of messages) {
+      const seen = new Set();
+
+      for (const run of getContentRuns(message.content)) {
+        for (let n = 1; n <= MAX_NGRAM; n++) {
+          for (let i = 0; i + n <= run.length; i++) {
+            const words = run.slice(i, i + n);
+            const key = words.map(stem).join(' ');
+            const surface = words.join(' ');
+
+            const term = terms.get(key) || { key, n, count: 0, docs: 0, users: new Set(), surfaces: new Map(), context: null };
+            term.count++;
+            term.surfaces.set(surface, (term.surfaces.get(surface) || 0) + 1);
+
+            if (!seen.has(key)) {
+              seen.add(key);
+              term.docs++;
+              term.users.add(message.user_id);
+              term.context = message.content; // ends up as the most recent use
+            }
+            terms.set(key, term);
+          }
+        }
+      }
+    }
+
+    const total = messages.length;
+    const candidates = [...terms.values()]
+      .filter(term => term.docs >= MIN_DOC_FREQ && term.users.size >= MIN_USERS);
+
+    const kept = candidates.filter(term => !candidates.some(longer =>
+      longer.n > term.n &&
+      ` ${longer.key} `.includes(` ${term.key} `) &&
+      longer.docs >= term.docs * SUBSUMED_RATIO
+    ));
+
+    return kept
+      .map(term => ({
+        keyword: [...term.surfaces.entries()].sort((a, b) => b[1] - a[1])[0][0],
+        frequency: term.docs,
+        // Phrases are rarer than single words but say more, so they get a boost
+        score: term.count * Math.log(1 + total / term.docs) * (1 + (term.n - 1) * 0.5),
+        context: term.context.length > MAX_CONTEXT_LENGTH
+          ? `${term.context.substring(0, MAX_CONTEXT_LENGTH)}…`
+          : term.context
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxTopics);
+  }
+}
+
+TopicExtractor.getContentRuns = getContentRuns;
+
+module.exports = TopicExtractor;
@@ -0,0 +1,87 @@
+/**
+ * Per-group/per-user accounting of AI requests and quota enforcement.
+ * Every request that reaches a provider is recorded (cache hits and
+ * circuit-breaker rejections are not, they cost nothing).
+ */
+class UsageTracker {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Record one AI call. Called by AIService for every request it sends.
+   */
+  async record(result, messages, options = {}) {
+    if (!options.groupId || result.attempts === 0) return;
+
+    await this.db.recordAIUsage({
+      groupId: options.groupId,
+      userId: options.userId || null,
+      purpose: options.purpose || 'answer',
+      provider: result.provider,
+      success: result.ok,
+      latencyMs: result.latencyMs,
+      promptChars: messages.reduce((sum, m) => sum + (m.content || '').length, 0),
+      responseChars: result.ok ? result.text.length : 0,
+      error: result.ok ? null : result.error.message
+    });
+  }
+
+  /**
+   * Quota state for a group:
+   * { allowed, exceeded: 'daily' | 'monthly' | null, warnings: [...], today, month }
+   * `warnings` lists the quotas past their warning ratio but not used up.
+   */
+  async checkQuota(group) {
+    const { daily, monthly, warnRatio } = group.settings.quota;
+    const counts = await this.db.getAIUsageCounts(group.group_id);
+
+    const status = {
+      allowed: true,
+      exceeded: null,
+      warnings: [],
+      today: { used: counts.today, limit: daily },
+      month: { used: counts.month, limit: monthly }
+    };
+
+    for (const [name, usage] of [['daily', status.today], ['monthly', status.month]]) {
+      if (!usage.limit) continue;
+
+      if (usage.used >= usage.limit) {
+        status.allowed = false;
+        status.exceeded = status.exceeded || name;
+      } else if (usage.used >= usage.limit * warnRatio) {
+        status.warnings.push(name);
+      }
+    }
+
+    return status;
+  }
+
+  /**
+   * Period key used to send each quota notice only once
+   */
+  getPeriodKey(quotaName) {
+    const iso = new Date().toISOString();
+    return quotaName === 'daily' ? `day:${iso.substring(0, 10)}` : `month:${iso.substring(0, 7)}`;
+  }
+
+  /**
+   * Whether a notice for this quota/level still needs to be sent this
+   * period; marks it as sent
+   */
+  async shouldNotify(groupId, quotaName, level) {
+    return this.db.markQuotaNotice(groupId, this.getPeriodKey(quotaName), `${quotaName}:${level}`);
+  }
+
+  async getReport(groupId) {
+    const [today, month] = await Promise.all([
+      this.db.getAIUsageSummary(groupId, 'start of day'),
+      this.db.getAIUsageSummary(groupId, 'start of month')
+    ]);
+
+    return { today, month };
+  }
+}
+
+module.exports = UsageTracker;